@@ -0,0 +1,237 @@
+#!/usr/bin/env node
+// Command-line front end for the DOM-free operations in src/lib/pdf.js.
+import { readdir, readFile, stat, mkdir, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import { excludePdfPages, imagesToPdf, mergePdfs, splitPdf } from '../src/lib/pdf.js';
+import { METADATA_FIELDS, readPdfProperties, writePdfMetadata } from '../src/lib/metadata.js';
+import { stampPdf } from '../src/lib/stamp.js';
+
+const USAGE = `Usage: convertzz <command> [options]
+
+Commands:
+  merge <inputs...> -o <out.pdf>          Merge PDFs in the given order, one bookmark
+                                          per file; encrypted or empty files are skipped
+  exclude <inputs...> <pages> [-o <out>]  Drop pages, e.g. "2-4" or "1, 7-"
+  split <inputs...> [-o <dir>]            Split into several PDFs, using one of
+      --ranges "<spec>"                     "1-3; 4-10; 11-"
+      --every <n>                           n pages per document
+      --bookmarks                           one document per top-level bookmark
+      --template "<name>"                   output names, default "{name}-part{n}"
+  images-to-pdf <inputs...> -o <out.pdf>  Put PNG/JPEG images on pages
+      --page-size <size>                    image (default), a4, letter or legal
+      --orientation <o>                     auto (default), portrait or landscape
+      --margin <mm>                         page margin and gap, default 10
+      --fit <mode>                          fit (default), fill or center
+      --columns <n> --rows <n>              images per page, default 1 x 1
+  stamp <inputs...> [-o <out>]            Add watermarks, headers/footers or Bates numbers
+      --watermark <text>                    text watermark, e.g. CONFIDENTIAL
+      --watermark-image <file>              PNG/JPEG watermark instead
+      --opacity <0-1> --angle <deg>         watermark look, default 0.3 and 45
+      --position <pos>                      watermark position, default center
+      --header <tpl> --footer <tpl>         centred text; {page}, {total}, {filename}, {date}, {bates}
+      --bates <prefix> --bates-start <n>    Bates numbers, continued across inputs
+      --pages <spec>                        pages to stamp, default all
+  info <inputs...>                        Print document properties
+  meta <inputs...> [-o <out>]             Write copies with new document properties
+      --title, --author, --subject,         set a field; "{name}" is the file name
+      --keywords, --creator, --producer
+      --remove <fields>                     comma-separated fields to remove
+      --strip                               remove every field, the dates and XMP
+
+Inputs may be folders; their files with a matching extension are used in name order.
+With several inputs, -o names an output folder for exclude, split, stamp and meta.`;
+
+const IMAGE_TYPES = { '.png': 'image/png', '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg' };
+
+class UsageError extends Error {}
+
+async function expandInputs(inputs, extensions) {
+  const paths = [];
+  for (const input of inputs) {
+    if ((await stat(input)).isDirectory()) {
+      const entries = (await readdir(input))
+        .filter(name => extensions.includes(path.extname(name).toLowerCase()))
+        .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+      paths.push(...entries.map(name => path.join(input, name)));
+    } else {
+      paths.push(input);
+    }
+  }
+  if (paths.length === 0) throw new UsageError(`No ${extensions.join('/')} files found in the given inputs.`);
+  return paths;
+}
+
+async function readAsFile(filePath) {
+  const type = IMAGE_TYPES[path.extname(filePath).toLowerCase()] || 'application/pdf';
+  return new File([await readFile(filePath)], path.basename(filePath), { type });
+}
+
+async function write(outPath, bytes) {
+  await mkdir(path.dirname(outPath), { recursive: true });
+  await writeFile(outPath, bytes);
+  console.log(`wrote ${outPath}`);
+}
+
+// Where per-input outputs go: next to the input, or into -o (a folder when there are several inputs).
+function outputDir(inputPath, out, inputCount) {
+  if (!out) return path.dirname(inputPath);
+  return inputCount > 1 || !out.toLowerCase().endsWith('.pdf') ? out : path.dirname(out);
+}
+
+const commands = {
+  async merge(positionals, { output }) {
+    if (!output) throw new UsageError('merge needs -o <out.pdf>.');
+    const inputs = await expandInputs(positionals, ['.pdf']);
+    if (inputs.length < 2) throw new UsageError('merge needs at least two PDFs.');
+    const { bytes, skipped } = await mergePdfs(await Promise.all(inputs.map(readAsFile)));
+    skipped.forEach(({ reason }) => console.warn(`skipped: ${reason}`));
+    await write(output, bytes);
+  },
+
+  async exclude(positionals, { output }) {
+    if (positionals.length < 2) throw new UsageError('exclude needs an input and a page spec.');
+    const spec = positionals[positionals.length - 1];
+    const inputs = await expandInputs(positionals.slice(0, -1), ['.pdf']);
+    for (const input of inputs) {
+      const bytes = await excludePdfPages(await readAsFile(input), spec);
+      const single = inputs.length === 1 && output?.toLowerCase().endsWith('.pdf');
+      const name = `${path.basename(input, path.extname(input))}-excluded.pdf`;
+      await write(single ? output : path.join(outputDir(input, output, inputs.length), name), bytes);
+    }
+  },
+
+  async split(positionals, options) {
+    const modes = ['ranges', 'every', 'bookmarks'].filter(mode => options[mode] !== undefined);
+    if (modes.length !== 1) throw new UsageError('split needs exactly one of --ranges, --every or --bookmarks.');
+    const inputs = await expandInputs(positionals, ['.pdf']);
+    for (const input of inputs) {
+      const outputs = await splitPdf(await readAsFile(input), {
+        mode: modes[0],
+        spec: options.ranges,
+        every: options.every,
+        template: options.template,
+      });
+      const dir = options.output || path.dirname(input);
+      for (const { name, bytes } of outputs) await write(path.join(dir, name), bytes);
+    }
+  },
+
+  async stamp(positionals, options) {
+    const watermark = options['watermark-image']
+      ? { type: 'image', image: await readAsFile(options['watermark-image']) }
+      : options.watermark && { type: 'text', text: options.watermark };
+    if (watermark) Object.assign(watermark, { opacity: options.opacity, rotation: options.angle, position: options.position });
+    if (!watermark && !options.header && !options.footer && options.bates === undefined) {
+      throw new UsageError('stamp needs --watermark, --watermark-image, --header, --footer or --bates.');
+    }
+    let bates = options.bates !== undefined ? { prefix: options.bates, start: options['bates-start'], position: 'bottom-right' } : null;
+
+    const inputs = await expandInputs(positionals, ['.pdf']);
+    for (const input of inputs) {
+      const { bytes, nextBates } = await stampPdf(await readAsFile(input), {
+        watermark,
+        header: { center: options.header || '' },
+        footer: { center: options.footer || '' },
+        bates,
+        pages: options.pages,
+      });
+      if (bates) bates = { ...bates, start: nextBates };
+      const single = inputs.length === 1 && options.output?.toLowerCase().endsWith('.pdf');
+      const name = `${path.basename(input, path.extname(input))}-stamped.pdf`;
+      await write(single ? options.output : path.join(outputDir(input, options.output, inputs.length), name), bytes);
+    }
+  },
+
+  async info(positionals) {
+    for (const input of await expandInputs(positionals, ['.pdf'])) {
+      const { fields, pageCount, version, creationDate, modificationDate } = await readPdfProperties(await readAsFile(input));
+      console.log(`${input}\n  PDF ${version}, ${pageCount} pages`);
+      METADATA_FIELDS.forEach(({ key, label }) => fields[key] && console.log(`  ${label}: ${fields[key]}`));
+      if (creationDate) console.log(`  Created: ${creationDate.toISOString()}`);
+      if (modificationDate) console.log(`  Modified: ${modificationDate.toISOString()}`);
+    }
+  },
+
+  async meta(positionals, options) {
+    const keys = METADATA_FIELDS.map(({ key }) => key);
+    const remove = options.strip ? keys : (options.remove || '').split(',').map(key => key.trim().toLowerCase()).filter(Boolean);
+    const unknown = remove.filter(key => !keys.includes(key));
+    if (unknown.length) throw new UsageError(`Unknown field(s): ${unknown.join(', ')}.`);
+    const fields = Object.fromEntries([
+      ...keys.filter(key => options[key] !== undefined).map(key => [key, options[key]]),
+      ...remove.map(key => [key, null]),
+    ]);
+    if (Object.keys(fields).length === 0) throw new UsageError('meta needs a field to set, --remove or --strip.');
+
+    const inputs = await expandInputs(positionals, ['.pdf']);
+    for (const input of inputs) {
+      const bytes = await writePdfMetadata(await readAsFile(input), fields, { removeDates: options.strip, removeXmp: options.strip });
+      const single = inputs.length === 1 && options.output?.toLowerCase().endsWith('.pdf');
+      const name = `${path.basename(input, path.extname(input))}-meta.pdf`;
+      await write(single ? options.output : path.join(outputDir(input, options.output, inputs.length), name), bytes);
+    }
+  },
+
+  async 'images-to-pdf'(positionals, options) {
+    const { output } = options;
+    if (!output) throw new UsageError('images-to-pdf needs -o <out.pdf>.');
+    const inputs = await expandInputs(positionals, Object.keys(IMAGE_TYPES));
+    await write(output, await imagesToPdf(await Promise.all(inputs.map(readAsFile)), {
+      pageSize: options['page-size'],
+      orientation: options.orientation,
+      margin: options.margin,
+      fit: options.fit,
+      columns: options.columns,
+      rows: options.rows,
+    }));
+  },
+};
+
+async function main(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      output: { type: 'string', short: 'o' },
+      ranges: { type: 'string' },
+      every: { type: 'string' },
+      bookmarks: { type: 'boolean' },
+      template: { type: 'string', default: '{name}-part{n}' },
+      'page-size': { type: 'string', default: 'image' },
+      orientation: { type: 'string', default: 'auto' },
+      margin: { type: 'string', default: '10' },
+      fit: { type: 'string', default: 'fit' },
+      columns: { type: 'string', default: '1' },
+      rows: { type: 'string', default: '1' },
+      ...Object.fromEntries(METADATA_FIELDS.map(({ key }) => [key, { type: 'string' }])),
+      remove: { type: 'string' },
+      watermark: { type: 'string' },
+      'watermark-image': { type: 'string' },
+      opacity: { type: 'string', default: '0.3' },
+      angle: { type: 'string', default: '45' },
+      position: { type: 'string', default: 'center' },
+      header: { type: 'string' },
+      footer: { type: 'string' },
+      bates: { type: 'string' },
+      'bates-start': { type: 'string', default: '1' },
+      pages: { type: 'string', default: '' },
+      strip: { type: 'boolean' },
+      help: { type: 'boolean', short: 'h' },
+    },
+  });
+  const [command, ...rest] = positionals;
+  if (values.help || !command) {
+    console.log(USAGE);
+    return;
+  }
+  if (!commands[command]) throw new UsageError(`Unknown command "${command}".`);
+  if (rest.length === 0) throw new UsageError(`${command} needs at least one input.`);
+  await commands[command](rest, values);
+}
+
+main(process.argv.slice(2)).catch((error) => {
+  console.error(`convertzz: ${error.message}`);
+  if (error instanceof UsageError || error.code === 'ERR_PARSE_ARGS_UNKNOWN_OPTION') console.error(`\n${USAGE}`);
+  process.exitCode = 1;
+});
@@ -1,117 +1,76 @@
-import { useCallback, useRef, useState } from 'react';
-import { saveAs } from 'file-saver';
-import { PDFDocument } from 'pdf-lib';
-import * as pdfjsLib from 'pdfjs-dist';
-import { UploadCloud, X, ChevronDown, Move } from 'lucide-react';
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { UploadCloud, X, ChevronDown, Move, GripVertical, Lock, LockOpen, AlertTriangle, FolderOpen, Filter } from 'lucide-react';
 import './App.css';
 import { HoverDropWidget } from './components/HoverDropWidget';
 import { Modal } from './components/Modal';
+import { PageOrganizer } from './components/PageOrganizer';
+import { JobsPanel } from './components/JobsPanel';
+import { ImageSettingsModal } from './components/ImageSettingsModal';
+import { MergeModal } from './components/MergeModal';
+import { PropertiesModal } from './components/PropertiesModal';
+import { StampModal } from './components/StampModal';
+import { UnlockModal } from './components/UnlockModal';
+import { PdfImagesModal } from './components/PdfImagesModal';
+import { CompressModal, CompressResultModal } from './components/CompressModal';
+import { TextModal } from './components/TextModal';
+import { RecipesModal } from './components/RecipesModal';
+import { HistoryPanel } from './components/HistoryPanel';
+import { PreviewModal } from './components/PreviewModal';
+import { Toasts } from './components/Toasts';
+import { BatchReport } from './components/BatchReport';
+import { ImportFiltersModal } from './components/ImportFiltersModal';
+import { FormModal } from './components/FormModal';
+import { SignModal } from './components/SignModal';
+import { RedactModal } from './components/RedactModal';
+import { ScanModal } from './components/ScanModal';
+import { OcrModal } from './components/OcrModal';
+import { createDownloads } from './lib/downloads';
+import {
+  applyImportFilters, expandArchives, filesFromClipboard, filesFromDataTransfer, filesFromList, loadImportFilters, saveImportFilters,
+} from './lib/imports';
+import { checkPdfPassword, rasterizeImages } from './lib/convert';
+import { inspectPdf } from './lib/pdf';
+import { createJobQueue, JobCancelledError } from './lib/jobs';
+import { IMAGE_FORMATS } from './lib/imageSettings';
+import { RECIPE_STEPS, loadRecipes, recipeFileName, saveRecipes } from './lib/recipes';
+import { detectFileType, isImage, isPdf, typeLabel } from './lib/fileType';
+import { unavailableReason } from './lib/actionInputs';
+import { addHistory, clearHistory, deleteHistory, listHistory, loadQueue, saveQueue } from './lib/storage';
 
-// Setup PDF.js worker
-pdfjsLib.GlobalWorkerOptions.workerSrc = new URL('pdfjs-dist/build/pdf.worker.min.mjs', import.meta.url).toString();
-
-// --- FULLY FUNCTIONAL CONVERSION LOGIC ---
-async function dataURLFromImage(file, targetType) {
-  return new Promise((resolve, reject) => {
-    const img = new Image();
-    img.onload = () => {
-      const canvas = document.createElement('canvas');
-      canvas.width = img.width;
-      canvas.height = img.height;
-      const ctx = canvas.getContext('2d');
-      ctx.drawImage(img, 0, 0);
-      const quality = targetType === 'image/jpeg' ? 0.92 : 1.0;
-      canvas.toBlob((blob) => {
-        if (!blob) return reject(new Error('Canvas to Blob conversion failed'));
-        const reader = new FileReader();
-        reader.onloadend = () => resolve(reader.result);
-        reader.onerror = reject;
-        reader.readAsArrayBuffer(blob);
-      }, targetType, quality);
-    };
-    img.onerror = reject;
-    img.src = URL.createObjectURL(file);
-  });
-}
+// Workers can't decode SVG, so those are rasterized here before a job starts.
+const rasterizeSvgs = (files) => rasterizeImages(files, (file) => file.type === 'image/svg+xml');
 
-async function imagesToPdf(imageFiles) {
-  const pdfDoc = await PDFDocument.create();
-  for (const file of imageFiles) {
-    const arrayBuffer = await file.arrayBuffer();
-    const embeddedImage = file.type === 'image/png'
-      ? await pdfDoc.embedPng(arrayBuffer)
-      : await pdfDoc.embedJpg(arrayBuffer);
-    const page = pdfDoc.addPage([embeddedImage.width, embeddedImage.height]);
-    page.drawImage(embeddedImage, { x: 0, y: 0, width: embeddedImage.width, height: embeddedImage.height });
-  }
-  return await pdfDoc.save();
-}
-
-async function pdfToImages(pdfFile) {
-  const arrayBuffer = await pdfFile.arrayBuffer();
-  const pdf = await pdfjsLib.getDocument({ data: arrayBuffer }).promise;
-  const images = [];
-  for (let i = 1; i <= pdf.numPages; i++) {
-    const page = await pdf.getPage(i);
-    const viewport = page.getViewport({ scale: 2.0 });
-    const canvas = document.createElement('canvas');
-    canvas.height = viewport.height;
-    canvas.width = viewport.width;
-    const context = canvas.getContext('2d');
-    await page.render({ canvasContext: context, viewport }).promise;
-    const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', 0.92));
-    images.push({ page: i, blob });
-  }
-  return images;
-}
+// Actions that edit PDFs with pdf-lib, which can't decrypt: encrypted inputs
+// are swapped for a rasterized copy. The rest read PDFs through pdfjs.
+const PDF_LIB_ACTIONS = new Set(['merge_pdfs', 'organize_pages', 'exclude_pages', 'split_pdf', 'stamp_pdf', 'compress_pdf', 'properties', 'sign_pdf', 'redact_pdf']);
 
-async function mergePdfs(files) {
-  const mergedPdf = await PDFDocument.create();
-  for (const file of files) {
-    const pdfBytes = await file.arrayBuffer();
-    const pdf = await PDFDocument.load(pdfBytes);
-    const copiedPages = await mergedPdf.copyPages(pdf, pdf.getPageIndices());
-    copiedPages.forEach((page) => mergedPdf.addPage(page));
-  }
-  return await mergedPdf.save();
-}
+const TOAST_DURATION = 6000;
 
-async function excludePdfPages(file, excludeSpec) {
-    const pdfBytes = await file.arrayBuffer();
-    const pdfDoc = await PDFDocument.load(pdfBytes);
-    const totalPages = pdfDoc.getPageCount();
-    const pagesToExclude = new Set();
-    
-    excludeSpec.split(',').forEach(part => {
-        part = part.trim();
-        if (part.includes('-')) {
-            let [start, end] = part.split('-').map(num => parseInt(num, 10));
-            if (start > end) [start, end] = [end, start];
-            for (let i = start; i <= end; i++) {
-                if (i > 0 && i <= totalPages) pagesToExclude.add(i - 1);
-            }
-        } else {
-            const pageNum = parseInt(part, 10);
-            if (pageNum > 0 && pageNum <= totalPages) pagesToExclude.add(pageNum - 1);
-        }
-    });
+// Job arguments narrowed to some of their inputs, for "retry failed".
+const withInputs = (args, indices) => {
+    const key = args.files ? 'files' : 'inputs';
+    return { ...args, [key]: args[key].filter((_, i) => indices.includes(i)) };
+};
 
-    if (pagesToExclude.size === totalPages) {
-        throw new Error("Cannot exclude all pages from the document.");
-    }
+// Leave a core free for the UI thread.
+const JOB_CONCURRENCY = Math.max(1, Math.min(4, (navigator.hardwareConcurrency || 2) - 1));
 
-    const newPdfDoc = await PDFDocument.create();
-    const pageIndices = pdfDoc.getPageIndices().filter(i => !pagesToExclude.has(i));
-    const copiedPages = await newPdfDoc.copyPages(pdfDoc, pageIndices);
-    copiedPages.forEach(page => newPdfDoc.addPage(page));
-    
-    return await newPdfDoc.save();
-}
+// --- UI COMPONENTS ---
 
+const FileQueue = ({ files, selected, setSelected, setFiles, pdfLocks, fileTypes }) => {
+  const dragIndex = useRef(null);
+  const [dragOver, setDragOver] = useState(null);
 
-// --- UI COMPONENTS ---
+  // Moves a queue entry and keeps the selection pointing at the same files.
+  const moveFile = (from, to) => {
+    if (from === null || from === to) return;
+    const order = files.map((_, i) => i);
+    const [moved] = order.splice(from, 1);
+    order.splice(to, 0, moved);
+    setFiles(order.map(i => files[i]));
+    setSelected(prev => prev.map(i => order.indexOf(i)));
+  };
 
-const FileQueue = ({ files, selected, setSelected, setFiles }) => {
   const handleSelection = (idx) => {
     setSelected(prevSelected => {
       if (prevSelected.includes(idx)) {
@@ -133,7 +92,27 @@ const FileQueue = ({ files, selected, setSelected, setFiles }) => {
       <div className="file-list-container">
         <div className="uiverse-pixel-checkbox-group">
           {files.map((file, idx) => (
-            <label className="uiverse-pixel-checkbox" key={idx}>
+            <label
+              className={`uiverse-pixel-checkbox ${dragOver === idx ? 'drag-over' : ''}`}
+              key={idx}
+              draggable
+              onDragStart={() => { dragIndex.current = idx; }}
+              onDragOver={(e) => {
+                if (dragIndex.current === null) return;
+                e.preventDefault();
+                setDragOver(idx);
+              }}
+              onDragLeave={() => setDragOver(null)}
+              onDrop={(e) => {
+                if (dragIndex.current === null) return;
+                e.preventDefault();
+                moveFile(dragIndex.current, idx);
+                dragIndex.current = null;
+                setDragOver(null);
+              }}
+              onDragEnd={() => { dragIndex.current = null; setDragOver(null); }}
+            >
+              <GripVertical size={18} className="queue-drag-handle" />
               <input
                 type="checkbox"
                 name="file-selection"
@@ -142,10 +121,30 @@ const FileQueue = ({ files, selected, setSelected, setFiles }) => {
               />
               <div className="file-details">
                 <div className="file-info">
-                  <p title={file.name}>{file.name}</p>
+                  <p title={fileTypes.get(file)?.path ? `${fileTypes.get(file).path}/${file.name}` : file.name}>
+                    {fileTypes.get(file)?.path && <span className="file-path">{fileTypes.get(file).path}/</span>}
+                    {file.name}
+                  </p>
                   <p className="file-size">{(file.size / 1024).toFixed(1)} KB</p>
+                  {fileTypes.get(file)?.warning && (
+                    <p className="file-warning" title={fileTypes.get(file).warning}>
+                      <AlertTriangle size={14} /> {fileTypes.get(file).warning}
+                    </p>
+                  )}
                 </div>
-                <span className="file-format">{file.name.split('.').pop()}</span>
+                {pdfLocks.has(file) && (
+                  <span
+                    className="file-lock"
+                    title={pdfLocks.get(file).password !== undefined ? 'Encrypted (unlocked for this session)' : 'Encrypted PDF'}
+                  >
+                    {pdfLocks.get(file).password !== undefined ? <LockOpen size={16} /> : <Lock size={16} />}
+                  </span>
+                )}
+                {file.type ? (
+                  <span className="file-format" title="Detected from the file's content">{typeLabel(file.type)}</span>
+                ) : (
+                  <span className="file-format unsupported" title="Not a PDF or an image this app can read">Unsupported</span>
+                )}
                 <button
                   onClick={(e) => {
                     e.preventDefault();
@@ -172,14 +171,32 @@ const FileQueue = ({ files, selected, setSelected, setFiles }) => {
   );
 };
 
-const ActionDropdown = ({ onAction }) => {
+const ActionDropdown = ({ onAction, recipes, selectedFiles }) => {
   const [isOpen, setIsOpen] = useState(false);
 
-  const handleSelect = (action) => {
-    onAction(action);
+  const handleSelect = (action, recipe) => {
+    onAction(action, recipe);
     setIsOpen(false);
   };
 
+  // Actions that can't use the selection are disabled and say why; with
+  // nothing selected a single note at the top covers them all.
+  const item = (action, label, recipe) => {
+    const reason = unavailableReason(action, selectedFiles, recipe);
+    return (
+      <button
+        key={recipe?.id || action}
+        onClick={() => handleSelect(action, recipe)}
+        className="dropdown-item"
+        disabled={!!reason}
+        title={reason || undefined}
+      >
+        {label}
+        {reason && selectedFiles.length > 0 && <span className="dropdown-reason">{reason}</span>}
+      </button>
+    );
+  };
+
   return (
     <div className="dropdown-wrapper">
       <button onClick={() => setIsOpen(!isOpen)} className={`dropdown-button ${isOpen ? 'open' : ''}`}>
@@ -188,15 +205,32 @@ const ActionDropdown = ({ onAction }) => {
       </button>
       {isOpen && (
         <div className="dropdown-menu">
+          {selectedFiles.length === 0 && <p className="dropdown-reason">Select files in the queue to enable actions.</p>}
           <h3>Image Tools</h3>
-          <button onClick={() => handleSelect('to_png')} className="dropdown-item">Convert to PNG</button>
-          <button onClick={() => handleSelect('to_jpeg')} className="dropdown-item">Convert to JPEG</button>
-          <button onClick={() => handleSelect('images_to_pdf')} className="dropdown-item">Images to PDF</button>
+          {item('to_png', 'Convert to PNG')}
+          {item('to_jpeg', 'Convert to JPEG')}
+          {item('to_webp', 'Convert to WebP')}
+          {item('images_to_pdf', 'Images to PDF')}
+          {item('scan_images', 'Scan Documents')}
           <div className="dropdown-divider"></div>
           <h3>PDF Tools</h3>
-          <button onClick={() => handleSelect('pdf_to_jpeg')} className="dropdown-item">PDF to JPEGs</button>
-          <button onClick={() => handleSelect('merge_pdfs')} className="dropdown-item">Merge PDFs</button>
-          <button onClick={() => handleSelect('exclude_pages')} className="dropdown-item">Exclude Pages</button>
+          {item('pdf_to_images', 'PDF to Images')}
+          {item('pdf_to_text', 'PDF to Text')}
+          {item('merge_pdfs', 'Merge PDFs')}
+          {item('organize_pages', 'Organize Pages')}
+          {item('exclude_pages', 'Exclude Pages')}
+          {item('split_pdf', 'Split PDF')}
+          {item('compress_pdf', 'Compress PDF')}
+          {item('stamp_pdf', 'Watermark & Page Numbers')}
+          {item('ocr', 'Make Searchable (OCR)')}
+          {item('properties', 'Document Properties')}
+          {item('fill_form', 'Fill Form')}
+          {item('sign_pdf', 'Sign PDF')}
+          {item('redact_pdf', 'Redact')}
+          <div className="dropdown-divider"></div>
+          <h3>Recipes</h3>
+          {recipes.map(recipe => item('run_recipe', recipe.name, recipe))}
+          <button onClick={() => handleSelect('recipes')} className="dropdown-item">Manage Recipes...</button>
         </div>
       )}
     </div>
@@ -204,34 +238,74 @@ const ActionDropdown = ({ onAction }) => {
 };
 
 
-const ExcludePagesModal = ({ onCancel, onSubmit }) => {
-    const [inputValue, setInputValue] = useState('');
+const SplitModal = ({ onCancel, onSubmit }) => {
+    const [mode, setMode] = useState('ranges');
+    const [spec, setSpec] = useState('');
+    const [every, setEvery] = useState('1');
+    const [template, setTemplate] = useState('{name}-part{n}');
+    const [error, setError] = useState('');
 
-    const handleSubmit = () => {
-        if (inputValue.trim()) {
-            onSubmit(inputValue);
+    const handleSubmit = async () => {
+        setError('');
+        try {
+            await onSubmit({ mode, spec, every, template });
+        } catch (err) {
+            setError(err.message);
         }
     };
 
     return (
-        <Modal title="Exclude Pages" onClose={onCancel}>
-            <p>Enter pages or ranges to exclude from the PDF.</p>
+        <Modal title="Split PDF" onClose={onCancel}>
+            <div className="modal-options">
+                {[['ranges', 'By ranges'], ['every', 'Every N pages'], ['bookmarks', 'By bookmarks']].map(([value, label]) => (
+                    <label key={value} className="modal-option">
+                        <input type="radio" name="split-mode" checked={mode === value} onChange={() => setMode(value)} />
+                        {label}
+                    </label>
+                ))}
+            </div>
+            {mode === 'ranges' && (
+                <input
+                    type="text"
+                    className="modal-input"
+                    placeholder="e.g., 1-3; 4-10; 11-"
+                    value={spec}
+                    onChange={(e) => setSpec(e.target.value)}
+                    autoFocus
+                />
+            )}
+            {mode === 'every' && (
+                <input
+                    type="number"
+                    min="1"
+                    className="modal-input"
+                    value={every}
+                    onChange={(e) => setEvery(e.target.value)}
+                />
+            )}
+            {mode === 'bookmarks' && <p>Each top-level bookmark starts a new document.</p>}
+            <p>File name template ({'{name}'}, {'{n}'}, {'{start}'}, {'{end}'}, {'{title}'}):</p>
             <input
                 type="text"
                 className="modal-input"
-                placeholder="e.g., 1, 4-6"
-                value={inputValue}
-                onChange={(e) => setInputValue(e.target.value)}
-                autoFocus
+                value={template}
+                onChange={(e) => setTemplate(e.target.value)}
             />
+            {error && <p className="modal-error">{error}</p>}
             <div className="modal-footer">
                 <button onClick={onCancel} className="modal-btn secondary">Cancel</button>
-                <button onClick={handleSubmit} className="modal-btn primary">OK</button>
+                <button onClick={handleSubmit} className="modal-btn primary">Split</button>
             </div>
         </Modal>
     );
 };
 
+const DownloadModeToggle = ({ bundleZip, setBundleZip }) => (
+    <div className="download-mode-toggle" title="How actions with several outputs are downloaded">
+        <button onClick={() => setBundleZip(true)} className={bundleZip ? 'active' : ''}>One ZIP</button>
+        <button onClick={() => setBundleZip(false)} className={bundleZip ? '' : 'active'}>Individual files</button>
+    </div>
+);
 
 export default function App() {
     const [files, setFiles] = useState([]);
@@ -239,72 +313,629 @@ export default function App() {
     const [isDragging, setIsDragging] = useState(false);
     const [showWidget, setShowWidget] = useState(false);
     const [modal, setModal] = useState(null);
+    const [bundleZip, setBundleZip] = useState(true);
+    const [jobs, setJobs] = useState([]);
+    // Encrypted PDFs in the queue: File -> { needsPassword, password?, copy? }.
+    const [pdfLocks, setPdfLocks] = useState(() => new Map());
+    // What content sniffing found for each queued file: File -> { detected, declared, warning }.
+    const [fileTypes, setFileTypes] = useState(() => new Map());
+    const [recipes, setRecipes] = useState(loadRecipes);
+    // Extension filters applied to everything imported into the queue.
+    const [importFilters, setImportFilters] = useState(loadImportFilters);
+    const [showRecipes, setShowRecipes] = useState(false);
+    const [history, setHistory] = useState([]);
+    const [previewFirst, setPreviewFirst] = useState(true);
+    // Finished jobs waiting for a download/discard decision, shown one at a time.
+    const [previews, setPreviews] = useState([]);
+    const [toasts, setToasts] = useState([]);
+    // Per-file results of batch jobs: [{ id, label, results, retry }].
+    const [reports, setReports] = useState([]);
+    // The queue is only saved once the stored one has been loaded.
+    const [restored, setRestored] = useState(false);
+    const [jobQueue] = useState(() => createJobQueue({
+        createWorker: () => new Worker(new URL('./workers/convert.worker.js', import.meta.url), { type: 'module' }),
+        concurrency: JOB_CONCURRENCY,
+        onChange: setJobs,
+    }));
     const inputRef = useRef(null);
+    const folderInputRef = useRef(null);
+
+    useEffect(() => () => jobQueue.terminate(), [jobQueue]);
+
+    const dismissToast = useCallback((id) => setToasts(prev => prev.filter(t => t.id !== id)), []);
+    const notify = useCallback((message, kind = 'error') => {
+        const id = Date.now() + Math.random();
+        setToasts(prev => [...prev, { id, kind, message }]);
+        setTimeout(() => dismissToast(id), TOAST_DURATION);
+    }, [dismissToast]);
 
-    const onFiles = useCallback((newFiles) => {
-        setFiles((prev) => [...prev, ...newFiles]);
+    // Batches get a report when something went wrong or there is more than one file.
+    const addReport = (label, results, retry) => {
+        if (results.length < 2 && results.every(r => r.status === 'done')) return;
+        setReports(prev => [{ id: Date.now() + Math.random(), label, results, retry }, ...prev]);
+    };
+
+    const detectLocks = useCallback((newFiles) => {
+        newFiles.filter(isPdf).forEach(async (f) => {
+            try {
+                if (!(await inspectPdf(f)).encrypted) return;
+                const needsPassword = (await checkPdfPassword(f)) !== 'ok';
+                setPdfLocks(prev => new Map(prev).set(f, { needsPassword }));
+            } catch {
+                // Unreadable PDFs are reported by the action that uses them.
+            }
+        });
     }, []);
 
-    const handleAction = async (action) => {
-        const selFiles = selected.map(i => files[i]).filter(Boolean);
-        if (selFiles.length === 0) {
-            alert("Please select a file first!");
+    const addFileTypes = (files, infos) => setFileTypes(prev => {
+        const next = new Map(prev);
+        files.forEach((f, i) => infos[i] && next.set(f, infos[i]));
+        return next;
+    });
+
+    // Queues imported { file, path } items (see lib/imports): ZIP archives are
+    // unpacked, the import filters applied, and files are queued with the type
+    // their content shows, whatever their name says. Excluded extensions are
+    // checked before unpacking too, so excluding "zip" keeps archives out.
+    const onFiles = useCallback(async (items) => {
+        try {
+            const { kept: allowed, skipped: excluded } = applyImportFilters(items, { include: [], exclude: importFilters.exclude });
+            const { items: expanded, failed } = await expandArchives(allowed);
+            failed.forEach(({ name, reason }) => notify(reason ? `${name} was added as it is. ${reason}` : `Could not open ${name}; it was added as it is.`));
+            const { kept, skipped } = applyImportFilters(expanded, importFilters);
+            const skippedCount = excluded.length + skipped.length;
+            if (skippedCount > 0) notify(`Skipped ${skippedCount} file(s) that don't match the import filters.`, 'info');
+            const detected = await Promise.all(kept.map(({ file }) => detectFileType(file)));
+            const typed = detected.map(({ file }) => file);
+            setFiles((prev) => [...prev, ...typed]);
+            addFileTypes(typed, detected.map(({ info }, i) => ({ ...info, path: kept[i].path })));
+            detectLocks(typed);
+        } catch (error) {
+            console.error('Could not add files:', error);
+            notify(`Could not add the files: ${error.message}`);
+        }
+    }, [detectLocks, importFilters, notify]);
+
+    // Ctrl+V outside a text field adds the pasted files or image.
+    useEffect(() => {
+        const onPaste = (e) => {
+            if (e.target.closest?.('input, textarea, [contenteditable="true"]')) return;
+            const items = filesFromClipboard(e.clipboardData);
+            if (items.length === 0) return;
+            e.preventDefault();
+            onFiles(items);
+        };
+        document.addEventListener('paste', onPaste);
+        return () => document.removeEventListener('paste', onPaste);
+    }, [onFiles]);
+
+    // Restores the queue saved in IndexedDB ahead of anything dropped meanwhile.
+    // Passwords are not stored, so encrypted PDFs have to be unlocked again.
+    useEffect(() => {
+        let cancelled = false;
+        loadQueue()
+            .then(({ files: saved, infos, selected: savedSelected }) => {
+                if (cancelled) return;
+                setFiles(prev => [...saved, ...prev]);
+                addFileTypes(saved, infos);
+                setSelected(prev => [...savedSelected, ...prev.map(i => i + saved.length)]);
+                detectLocks(saved);
+            })
+            .catch(error => console.error("Could not restore the file queue:", error))
+            .finally(() => !cancelled && setRestored(true));
+        listHistory()
+            .then(entries => !cancelled && setHistory(entries))
+            .catch(error => console.error("Could not load the history:", error));
+        return () => { cancelled = true; };
+    }, [detectLocks]);
+
+    useEffect(() => {
+        if (!restored) return;
+        saveQueue(files, selected, f => fileTypes.get(f)).catch(error => console.error("Could not save the file queue:", error));
+    }, [files, selected, restored, fileTypes]);
+
+    const refreshHistory = () => listHistory().then(setHistory).catch(error => console.error("Could not load the history:", error));
+
+    const downloadOutputs = async (outputs, archiveName) => {
+        const downloads = createDownloads({ bundle: bundleZip, archiveName });
+        for (const { name, blob } of outputs) await downloads.add(name, blob);
+        await downloads.finish();
+    };
+
+    // Resolves to 'download', 'discard' or 'adjust'.
+    const askPreview = (outputs, canAdjust) => new Promise(resolve => {
+        setPreviews(prev => [...prev, { id: Date.now() + Math.random(), outputs, canAdjust, resolve }]);
+    });
+
+    const closePreview = (preview, choice) => {
+        setPreviews(prev => prev.filter(p => p !== preview));
+        preview.resolve(choice);
+    };
+
+    // Downloads finished outputs, after showing them when "Preview first" is on.
+    // Resolves to the preview's choice: 'download', 'discard' or 'adjust'.
+    const deliverOutputs = async (outputs, archiveName, adjust) => {
+        if (previewFirst && outputs.length > 0) {
+            const choice = await askPreview(outputs, !!adjust);
+            if (choice === 'adjust') adjust();
+            if (choice !== 'download') return choice;
+        }
+        await downloadOutputs(outputs, archiveName);
+        return 'download';
+    };
+
+    // Runs a conversion in the worker pool, downloads whatever it produces
+    // (after the preview, when that is on) and records it in the history.
+    // Per-file results of batch operations go to a report that can retry the
+    // failed files. `adjust` reopens the action's settings from the preview.
+    // Resolves to { outputs: [{ name, size }], results, delivery } (delivery is
+    // the preview's choice, 'download' without one), or null if the job failed
+    // (a toast says why). `args` may be a promise (inputs still being
+    // prepared); it failing counts as the job failing.
+    const runJob = async ({ label, op, args: pendingArgs, archiveName, adjust }) => {
+        // Without a preview, outputs download as they arrive.
+        const downloads = previewFirst ? null : createDownloads({ bundle: bundleZip, archiveName });
+        const outputs = [];
+        const results = [];
+        try {
+            const args = await pendingArgs;
+            await jobQueue.submit({
+                label, op, args,
+                onOutput: (name, blob) => {
+                    outputs.push({ name, blob });
+                    return downloads?.add(name, blob);
+                },
+                onResult: (result) => results.push(result),
+            });
+            addReport(label, results, (indices) => runJob({ label: `${label} (retry)`, op, args: withInputs(args, indices), archiveName, adjust }));
+            let delivery = 'download';
+            if (downloads) await downloads.finish();
+            else delivery = await deliverOutputs(outputs, archiveName, adjust);
+            if (delivery === 'download') {
+                addHistory({ label, op, args, archiveName, outputs })
+                    .then(refreshHistory)
+                    .catch(error => console.error("Could not save to the history:", error));
+            }
+            return { outputs: outputs.map(({ name, blob }) => ({ name, size: blob.size })), results, delivery };
+        } catch (error) {
+            if (error instanceof JobCancelledError) return null;
+            console.error("Conversion failed:", error);
+            notify(`${label} failed: ${error.message}`);
+            return null;
+        }
+    };
+
+    const removeHistoryEntry = async ({ id }) => {
+        await deleteHistory(id).catch(error => console.error("Could not delete from the history:", error));
+        refreshHistory();
+    };
+
+    const askUnlock = (file, lock, rasterize) => new Promise(resolve => setModal(
+        <UnlockModal
+            file={file}
+            needsPassword={lock.needsPassword}
+            rasterize={rasterize}
+            onCancel={() => { setModal(null); resolve(null); }}
+            onSubmit={(password) => { setModal(null); resolve(password); }}
+        />
+    ));
+
+    // Gets the password of every encrypted PDF in `pdfs` and, for pdf-lib
+    // actions, a rasterized copy. Both are remembered for the session.
+    // Returns the updated locks, or null if the user cancelled.
+    const unlockPdfs = async (pdfs, rasterize) => {
+        const locks = new Map(pdfLocks);
+        for (const f of pdfs) {
+            let lock = locks.get(f);
+            if (!lock || lock.copy || (!rasterize && (lock.password !== undefined || !lock.needsPassword))) continue;
+            const password = await askUnlock(f, { ...lock, needsPassword: lock.needsPassword && lock.password === undefined }, rasterize);
+            if (password === null) return null;
+            lock = { ...lock, password: lock.password ?? password };
+            if (rasterize) {
+                const outputs = [];
+                await jobQueue.submit({
+                    label: `Rasterize encrypted ${f.name}`,
+                    op: 'unlock_pdf',
+                    args: { file: f, password: lock.password },
+                    onOutput: (name, blob) => outputs.push(new File([blob], name, { type: 'application/pdf' })),
+                });
+                lock = { ...lock, copy: outputs[0] };
+            }
+            locks.set(f, lock);
+            setPdfLocks(new Map(locks));
+        }
+        return locks;
+    };
+
+    // Saves first so a full localStorage leaves the list unchanged (and throws).
+    const updateRecipes = (next) => {
+        saveRecipes(next);
+        setRecipes(next);
+    };
+
+    const handleAction = async (action, recipe) => {
+        if (action === 'recipes') {
+            setShowRecipes(true);
+            return;
+        }
+        const reason = unavailableReason(action, selected.map(i => files[i]).filter(Boolean), recipe);
+        if (reason) {
+            notify(reason);
             return;
         }
 
+        // A rasterized copy has no form fields left to fill.
+        if (action === 'fill_form' && pdfLocks.has(selected.map(i => files[i]).find(f => f && isPdf(f)))) {
+            notify("Fill Form can't edit encrypted PDFs. Save an unencrypted copy of the form first.");
+            return;
+        }
+
+        // From the preview, "Adjust Settings" starts the action over.
+        const runActionJob = (job) => runJob({ ...job, adjust: () => handleAction(action, recipe) });
+
         try {
-            const file = selFiles[0]; // For single-file actions
+            // Recipe steps don't get passwords, so any PDF step needs the unencrypted copies.
+            const rasterize = action === 'run_recipe'
+                ? recipe.steps.some(step => RECIPE_STEPS[step.type].input === 'pdf')
+                : PDF_LIB_ACTIONS.has(action);
+            const locks = await unlockPdfs(selected.map(i => files[i]).filter(f => f && pdfLocks.has(f)), rasterize);
+            if (!locks) return;
+            // pdf-lib actions work on the rasterized copies; pdfjs ones take the password.
+            const actionFiles = files.map(f => locks.get(f)?.copy || f);
+            const passwordOf = (f) => locks.get(f)?.password;
+            const selFiles = selected.map(i => actionFiles[i]).filter(Boolean);
+            const file = selFiles.find(isPdf); // For single-file (PDF) actions
             switch (action) {
                 case 'to_png':
                 case 'to_jpeg':
-                    const targetType = action === 'to_png' ? 'image/png' : 'image/jpeg';
-                    const newExtension = action === 'to_png' ? '.png' : '.jpg';
-                    for (const f of selFiles.filter(f => f.type.startsWith('image/'))) {
-                        const arrayBuffer = await dataURLFromImage(f, targetType);
-                        const blob = new Blob([arrayBuffer]);
-                        const newName = f.name.replace(/\.[^/.]+$/, "") + newExtension;
-                        saveAs(blob, newName);
-                    }
+                case 'to_webp': {
+                    const targetType = { to_png: 'image/png', to_jpeg: 'image/jpeg', to_webp: 'image/webp' }[action];
+                    const { label } = IMAGE_FORMATS[targetType];
+                    const imageFiles = selFiles.filter(isImage);
+                    if (imageFiles.length > 0) {
+                        setModal(
+                            <ImageSettingsModal
+                                title={`Convert to ${label}`}
+                                format={targetType}
+                                onCancel={() => setModal(null)}
+                                onSubmit={(settings) => {
+                                    setModal(null);
+                                    runActionJob({
+                                        label: `Convert ${imageFiles.length} image(s) to ${label}`,
+                                        op: 'convert_images',
+                                        args: rasterizeSvgs(imageFiles).then(files => ({ files, targetType, settings })),
+                                        archiveName: `converted-${label.toLowerCase()}.zip`,
+                                    });
+                                }}
+                            />
+                        );
+                    } else { notify("Please select image files for this action."); }
                     break;
-                case 'images_to_pdf':
-                    const imageFiles = selFiles.filter(f => f.type.startsWith('image/'));
+                }
+                case 'images_to_pdf': {
+                    // Pages follow the queue order, not the order the images were ticked in.
+                    const imageFiles = actionFiles.filter((f, i) => selected.includes(i) && isImage(f));
                     if (imageFiles.length > 0) {
-                        const pdfBytes = await imagesToPdf(imageFiles);
-                        saveAs(new Blob([pdfBytes], { type: 'application/pdf' }), 'converted.pdf');
-                    } else { alert("Please select image files for this action."); }
+                        setModal(
+                            <ImageSettingsModal
+                                title="Images to PDF"
+                                format={null}
+                                allowTargetSize={false}
+                                showLayout
+                                onCancel={() => setModal(null)}
+                                onSubmit={(settings) => {
+                                    setModal(null);
+                                    runActionJob({
+                                        label: `Images to PDF (${imageFiles.length} images)`,
+                                        op: 'images_to_pdf',
+                                        args: rasterizeSvgs(imageFiles).then(files => ({ files, name: 'converted.pdf', settings })),
+                                    });
+                                }}
+                            />
+                        );
+                    } else { notify("Please select image files for this action."); }
+                    break;
+                }
+                case 'scan_images': {
+                    const imageFiles = actionFiles.filter((f, i) => selected.includes(i) && isImage(f));
+                    if (imageFiles.length === 0) {
+                        notify("Please select image files for this action.");
+                        break;
+                    }
+                    setModal(
+                        <ScanModal
+                            files={await rasterizeSvgs(imageFiles)}
+                            onCancel={() => setModal(null)}
+                            onSubmit={(inputs, options) => {
+                                setModal(null);
+                                runActionJob({
+                                    label: `Scan ${inputs.length} photo(s)`,
+                                    op: 'scan_images',
+                                    args: { inputs, name: 'scanned.pdf', options },
+                                    archiveName: 'scans.zip',
+                                });
+                            }}
+                        />
+                    );
                     break;
-                case 'pdf_to_jpeg':
-                    if (file.type === 'application/pdf') {
-                        const images = await pdfToImages(file);
-                        images.forEach(({ page, blob }) => saveAs(blob, `${file.name.replace('.pdf', '')}-page-${page}.jpg`));
-                    } else { alert("Please select a PDF file for this action."); }
+                }
+                case 'pdf_to_images':
+                    if (file) {
+                        const baseName = file.name.replace('.pdf', '');
+                        setModal(
+                            <PdfImagesModal
+                                onCancel={() => setModal(null)}
+                                onSubmit={(mode, options) => {
+                                    setModal(null);
+                                    const { label } = IMAGE_FORMATS[options.format];
+                                    runActionJob({
+                                        label: mode === 'extract' ? `Extract images from ${file.name}` : `${file.name} to ${label} (${options.dpi} DPI)`,
+                                        op: mode === 'extract' ? 'extract_pdf_images' : 'pdf_to_images',
+                                        args: { file, baseName, options: { ...options, password: passwordOf(file) } },
+                                        archiveName: `${baseName}-${mode === 'extract' ? 'images' : 'pages'}.zip`,
+                                    });
+                                }}
+                            />
+                        );
+                    } else { notify("Please select a PDF file for this action."); }
                     break;
-                case 'merge_pdfs':
-                    const pdfFiles = files.filter(f => f.type === 'application/pdf');
-                     if (pdfFiles.length > 1) {
-                        const mergedBytes = await mergePdfs(pdfFiles);
-                        saveAs(new Blob([mergedBytes], { type: 'application/pdf' }), 'merged.pdf');
-                    } else { alert("Please add at least two PDF files to the queue for merging."); }
+                case 'merge_pdfs': {
+                    // Starts in queue order; the modal lets the user rearrange it.
+                    const pdfFiles = actionFiles.filter((f, i) => selected.includes(i) && isPdf(f));
+                    if (pdfFiles.length > 1) {
+                        setModal(
+                            <MergeModal
+                                files={pdfFiles}
+                                onCancel={() => setModal(null)}
+                                onSubmit={(inputs, options) => {
+                                    setModal(null);
+                                    runActionJob({
+                                        label: `Merge ${inputs.length} PDFs`,
+                                        op: 'merge_pdfs',
+                                        args: { inputs, options, name: 'merged.pdf' },
+                                    });
+                                }}
+                            />
+                        );
+                    } else { notify("Please select at least two PDF files for merging."); }
                     break;
+                }
+                case 'organize_pages':
                 case 'exclude_pages':
-                    if (file.type === 'application/pdf') {
+                    if (file) {
+                        setModal(
+                            <PageOrganizer
+                                file={file}
+                                files={actionFiles}
+                                focusExclude={action === 'exclude_pages'}
+                                onCancel={() => setModal(null)}
+                                onSave={async (sources, pages) => {
+                                    setModal(null);
+                                    runActionJob({
+                                        label: `Organize ${file.name}`,
+                                        op: 'organize_pages',
+                                        args: { sources, pages, name: `${file.name.replace('.pdf', '')}-organized.pdf` },
+                                    });
+                                }}
+                            />
+                        );
+                    } else { notify("Please select a PDF file for this action."); }
+                    break;
+                case 'split_pdf':
+                    if (file) {
+                        setModal(
+                            <SplitModal
+                                onCancel={() => setModal(null)}
+                                onSubmit={async (options) => {
+                                    setModal(null);
+                                    runActionJob({
+                                        label: `Split ${file.name}`,
+                                        op: 'split_pdf',
+                                        args: { file, options },
+                                        archiveName: `${file.name.replace('.pdf', '')}-split.zip`,
+                                    });
+                                }}
+                            />
+                        );
+                    } else { notify("Please select a PDF file for this action."); }
+                    break;
+                case 'pdf_to_text': {
+                    const pdfFiles = selFiles.filter(isPdf);
+                    if (pdfFiles.length > 0) {
+                        const label = pdfFiles.length > 1 ? `Extract text from ${pdfFiles.length} PDFs` : `Extract text from ${pdfFiles[0].name}`;
+                        const inputs = pdfFiles.map(f => ({ file: f, password: passwordOf(f) }));
+                        setModal(
+                            <TextModal
+                                onCancel={() => setModal(null)}
+                                onExport={(options) => {
+                                    setModal(null);
+                                    runActionJob({ label, op: 'pdf_to_text', args: { inputs, options }, archiveName: 'pdf-text.zip' });
+                                }}
+                                onCopy={async (options) => {
+                                    const blobs = [];
+                                    const failed = [];
+                                    try {
+                                        await jobQueue.submit({
+                                            label, op: 'pdf_to_text', args: { inputs, options },
+                                            onOutput: (name, blob) => blobs.push(blob),
+                                            onResult: (result) => result.status === 'error' && failed.push(`${result.name} (${result.message})`),
+                                        });
+                                    } catch (error) {
+                                        if (error instanceof JobCancelledError) return null;
+                                        throw error;
+                                    }
+                                    // Partial text on the clipboard would pass for the whole document.
+                                    if (failed.length > 0) throw new Error(`extraction failed for ${failed.join(', ')}.`);
+                                    return (await Promise.all(blobs.map(blob => blob.text()))).join('\n');
+                                }}
+                            />
+                        );
+                    } else { notify("Please select PDF files for this action."); }
+                    break;
+                }
+                case 'run_recipe': {
+                    // Queue order, like the single actions that combine files.
+                    const recipeFiles = actionFiles.filter((f, i) => selected.includes(i));
+                    const name = recipeFileName(recipe);
+                    runActionJob({
+                        label: `Recipe: ${recipe.name} (${recipeFiles.length} file(s))`,
+                        op: 'run_recipe',
+                        args: rasterizeSvgs(recipeFiles).then(files => ({ files, steps: recipe.steps, name })),
+                        archiveName: `${name}.zip`,
+                    });
+                    break;
+                }
+                case 'compress_pdf': {
+                    const pdfFiles = selFiles.filter(isPdf);
+                    if (pdfFiles.length > 0) {
+                        setModal(
+                            <CompressModal
+                                onCancel={() => setModal(null)}
+                                onSubmit={async (options) => {
+                                    setModal(null);
+                                    const done = await runActionJob({
+                                        label: pdfFiles.length > 1 ? `Compress ${pdfFiles.length} PDFs` : `Compress ${pdfFiles[0].name}`,
+                                        op: 'compress_pdfs',
+                                        args: { files: pdfFiles, options },
+                                        archiveName: 'compressed.zip',
+                                    });
+                                    // "Adjust Settings" has reopened this dialog instead.
+                                    if (!done || done.delivery === 'adjust') return;
+                                    // Failed files are in the batch report instead.
+                                    const results = done.results
+                                        .filter(r => r.status !== 'error')
+                                        .map(r => ({ name: r.name, before: pdfFiles[r.index].size, after: r.size }));
+                                    if (results.length > 0) setModal(<CompressResultModal results={results} onClose={() => setModal(null)} />);
+                                }}
+                            />
+                        );
+                    } else { notify("Please select PDF files for this action."); }
+                    break;
+                }
+                case 'stamp_pdf': {
+                    // Queue order matters here: Bates numbers continue from file to file.
+                    const pdfFiles = actionFiles.filter((f, i) => selected.includes(i) && isPdf(f));
+                    if (pdfFiles.length > 0) {
+                        setModal(
+                            <StampModal
+                                onCancel={() => setModal(null)}
+                                onSubmit={(options) => {
+                                    setModal(null);
+                                    runActionJob({
+                                        label: pdfFiles.length > 1 ? `Stamp ${pdfFiles.length} PDFs` : `Stamp ${pdfFiles[0].name}`,
+                                        op: 'stamp_pdfs',
+                                        args: { files: pdfFiles, options },
+                                        archiveName: 'stamped.zip',
+                                    });
+                                }}
+                            />
+                        );
+                    } else { notify("Please select PDF files for this action."); }
+                    break;
+                }
+                case 'properties': {
+                    const pdfFiles = selFiles.filter(isPdf);
+                    if (pdfFiles.length > 0) {
                         setModal(
-                            <ExcludePagesModal
+                            <PropertiesModal
+                                files={pdfFiles}
                                 onCancel={() => setModal(null)}
-                                onSubmit={async (spec) => {
-                                    const resultBytes = await excludePdfPages(file, spec);
-                                    saveAs(new Blob([resultBytes], { type: 'application/pdf' }), `${file.name.replace('.pdf', '')}-split.pdf`);
+                                onSubmit={(fields, options) => {
                                     setModal(null);
+                                    runActionJob({
+                                        label: pdfFiles.length > 1 ? `Edit properties of ${pdfFiles.length} PDFs` : `Edit properties of ${pdfFiles[0].name}`,
+                                        op: 'edit_metadata',
+                                        args: { files: pdfFiles, fields, options },
+                                        archiveName: 'pdf-properties.zip',
+                                    });
                                 }}
                             />
                         );
-                    } else { alert("Please select a PDF file for this action."); }
+                    } else { notify("Please select PDF files for this action."); }
                     break;
+                }
+                case 'fill_form':
+                    setModal(
+                        <FormModal
+                            file={file}
+                            onCancel={() => setModal(null)}
+                            onSubmit={(inputs, options) => {
+                                setModal(null);
+                                runActionJob({
+                                    label: inputs.length > 1 ? `Fill ${inputs.length} copies of ${file.name}` : `Fill form ${file.name}`,
+                                    op: 'fill_form',
+                                    args: { file, inputs, options },
+                                    archiveName: `${file.name.replace(/\.pdf$/i, '')}-filled.zip`,
+                                });
+                            }}
+                        />
+                    );
+                    break;
+                case 'sign_pdf':
+                    setModal(
+                        <SignModal
+                            file={file}
+                            onCancel={() => setModal(null)}
+                            onSubmit={(placements) => {
+                                setModal(null);
+                                runActionJob({
+                                    label: `Sign ${file.name}`,
+                                    op: 'sign_pdf',
+                                    args: { file, placements },
+                                    archiveName: 'signed.zip',
+                                });
+                            }}
+                        />
+                    );
+                    break;
+                case 'redact_pdf':
+                    setModal(
+                        <RedactModal
+                            file={file}
+                            onCancel={() => setModal(null)}
+                            onSubmit={(regions, options) => {
+                                setModal(null);
+                                runActionJob({
+                                    label: `Redact ${file.name}`,
+                                    op: 'redact_pdf',
+                                    args: { file, regions, options },
+                                    archiveName: 'redacted.zip',
+                                });
+                            }}
+                        />
+                    );
+                    break;
+                case 'ocr': {
+                    const ocrFiles = selFiles.filter(f => isPdf(f) || isImage(f));
+                    if (ocrFiles.length === 0) {
+                        notify("Please select PDF or image files for this action.");
+                        break;
+                    }
+                    setModal(
+                        <OcrModal
+                            onCancel={() => setModal(null)}
+                            onSubmit={(options) => {
+                                setModal(null);
+                                runActionJob({
+                                    label: ocrFiles.length > 1 ? `OCR ${ocrFiles.length} files` : `OCR ${ocrFiles[0].name}`,
+                                    op: 'ocr',
+                                    args: rasterizeSvgs(ocrFiles).then(rasterized => ({
+                                        inputs: rasterized.map((f, i) => ({ file: f, password: passwordOf(ocrFiles[i]) })),
+                                        options,
+                                    })),
+                                    archiveName: 'ocr-results.zip',
+                                });
+                            }}
+                        />
+                    );
+                    break;
+                }
                 default: break;
             }
         } catch (error) {
+            if (error instanceof JobCancelledError) return;
             console.error("Conversion failed:", error);
-            alert(`An error occurred: ${error.message}`);
+            notify(`An error occurred: ${error.message}`);
         }
     };
 
@@ -315,8 +946,9 @@ export default function App() {
         e.preventDefault(); e.stopPropagation();
         setIsDragging(false);
         if (e.dataTransfer.files?.length) {
-            onFiles(Array.from(e.dataTransfer.files));
-            e.dataTransfer.clearData();
+            filesFromDataTransfer(e.dataTransfer)
+                .then(onFiles)
+                .catch(error => notify(`Could not read the dropped files: ${error.message}`));
         }
     };
 
@@ -324,6 +956,25 @@ export default function App() {
         <div className="app-container">
             {showWidget && <HoverDropWidget onFiles={onFiles} onClose={() => setShowWidget(false)} />}
             {modal}
+            <Toasts toasts={toasts} onDismiss={dismissToast} />
+            {previews.length > 0 && (
+                <PreviewModal
+                    key={previews[0].id}
+                    outputs={previews[0].outputs}
+                    onDownload={() => closePreview(previews[0], 'download')}
+                    onDiscard={() => closePreview(previews[0], 'discard')}
+                    onAdjust={previews[0].canAdjust ? () => closePreview(previews[0], 'adjust') : undefined}
+                />
+            )}
+            {showRecipes && (
+                <RecipesModal
+                    recipes={recipes}
+                    canRun={selected.some(i => files[i])}
+                    onChange={updateRecipes}
+                    onRun={(recipe) => { setShowRecipes(false); handleAction('run_recipe', recipe); }}
+                    onClose={() => setShowRecipes(false)}
+                />
+            )}
             <div className="content-wrapper">
                 <header className="header">
                     <h1 className="header-title">File Convertzz</h1>
@@ -338,32 +989,90 @@ export default function App() {
                     >
                         <div className="drop-zone-content">
                             <UploadCloud />
-                            <span>{isDragging ? "Release to process..." : "Drop Files or Click to Browse"}</span>
+                            <span>{isDragging ? "Release to process..." : "Drop Files, Folders or ZIPs, Paste, or Click to Browse"}</span>
+                            {(importFilters.include.length > 0 || importFilters.exclude.length > 0) && (
+                                <span className="drop-zone-filters">
+                                    {importFilters.include.length > 0 && `Only: ${importFilters.include.join(', ')}`}
+                                    {importFilters.include.length > 0 && importFilters.exclude.length > 0 && ' · '}
+                                    {importFilters.exclude.length > 0 && `Never: ${importFilters.exclude.join(', ')}`}
+                                </span>
+                            )}
+                        </div>
+                        <input ref={inputRef} type="file" multiple hidden onChange={(e) => onFiles(filesFromList(e.target.files))} />
+                        <input ref={folderInputRef} type="file" webkitdirectory="" hidden onChange={(e) => onFiles(filesFromList(e.target.files))} />
+                        {/* stopPropagation keeps the drop zone from opening the file picker. */}
+                        <div className="drop-zone-tools" onClick={(e) => e.stopPropagation()}>
+                            <button className="widget-toggle-btn" title="Open floating drop widget" onClick={() => setShowWidget(true)}>
+                                <Move size={24} />
+                            </button>
+                            <button className="widget-toggle-btn" title="Browse for a folder" onClick={() => folderInputRef.current?.click()}>
+                                <FolderOpen size={24} />
+                            </button>
+                            <button
+                                className={`widget-toggle-btn ${importFilters.include.length > 0 || importFilters.exclude.length > 0 ? 'active' : ''}`}
+                                title="Import filters"
+                                onClick={() => setModal(
+                                    <ImportFiltersModal
+                                        filters={importFilters}
+                                        onCancel={() => setModal(null)}
+                                        onSubmit={(filters) => {
+                                            saveImportFilters(filters);
+                                            setImportFilters(filters);
+                                            setModal(null);
+                                        }}
+                                    />
+                                )}
+                            >
+                                <Filter size={24} />
+                            </button>
                         </div>
-                        <input ref={inputRef} type="file" multiple hidden onChange={(e) => onFiles(Array.from(e.target.files))} />
-                         <button 
-                            className="widget-toggle-btn" 
-                            title="Open floating drop widget"
-                            onClick={(e) => {
-                                e.stopPropagation(); // Prevent drop zone click
-                                setShowWidget(true);
-                            }}
-                        >
-                            <Move size={24} />
-                        </button>
                     </div>
 
                     {files.length > 0 && (
                         <>
-                            <FileQueue
-                                files={files}
-                                selected={selected}
-                                setSelected={setSelected}
-                                setFiles={setFiles}
-                            />
-                            <ActionDropdown onAction={handleAction} />
+                            <div className="workspace">
+                                <FileQueue
+                                    files={files}
+                                    selected={selected}
+                                    setSelected={setSelected}
+                                    setFiles={setFiles}
+                                    pdfLocks={pdfLocks}
+                                    fileTypes={fileTypes}
+                                />
+                                {jobs.length > 0 && (
+                                    <JobsPanel
+                                        jobs={jobs}
+                                        onCancel={(id) => jobQueue.cancel(id)}
+                                        onClearFinished={() => jobQueue.clearFinished()}
+                                    />
+                                )}
+                            </div>
+                            <div className="actions-bar">
+                                <ActionDropdown onAction={handleAction} recipes={recipes} selectedFiles={selected.map(i => files[i]).filter(Boolean)} />
+                                <DownloadModeToggle bundleZip={bundleZip} setBundleZip={setBundleZip} />
+                                <div className="download-mode-toggle" title="Show results before downloading them">
+                                    <button onClick={() => setPreviewFirst(!previewFirst)} className={previewFirst ? 'active' : ''}>Preview first</button>
+                                </div>
+                            </div>
                         </>
                     )}
+
+                    {reports.length > 0 && (
+                        <BatchReport reports={reports} onDismiss={(id) => setReports(prev => prev.filter(r => r.id !== id))} />
+                    )}
+
+                    {history.length > 0 && (
+                        <HistoryPanel
+                            entries={history}
+                            onDownload={({ outputs, archiveName }) => downloadOutputs(outputs, archiveName)}
+                            onRerun={({ label, op, args, archiveName }) => runJob({ label, op, args, archiveName })}
+                            onDelete={removeHistoryEntry}
+                            onClear={async () => {
+                                await clearHistory().catch(error => console.error("Could not clear the history:", error));
+                                refreshHistory();
+                            }}
+                        />
+                    )}
                 </main>
             </div>
         </div>
@@ -0,0 +1,60 @@
+import { X } from 'lucide-react';
+import { formatSize } from '../lib/format';
+
+const STATUS_LABELS = {
+  done: 'Done',
+  skipped: 'Skipped',
+  error: 'Failed',
+};
+
+const formatDuration = (ms) => (ms >= 1000 ? `${(ms / 1000).toFixed(1)} s` : `${Math.round(ms)} ms`);
+
+// Per-file results of batch jobs, newest first. reports: [{ id, label, results, retry }]
+// where results are the jobs' { index, name, status, message, duration, size }
+// and retry (optional) re-runs the inputs at the given indices.
+export const BatchReport = ({ reports, onDismiss }) => (
+  <div className="report-panel">
+    {reports.map(({ id, label, results, retry }) => {
+      const count = (status) => results.filter(r => r.status === status).length;
+      const failed = results.filter(r => r.status === 'error' && r.index !== null).map(r => r.index);
+      return (
+        <div key={id} className="report">
+          <div className="file-queue-header">
+            <div className="report-title">
+              <h2 className="jobs-title" title={label}>{label}</h2>
+              <span className="report-summary">
+                {count('done')} done, {count('skipped')} skipped, {count('error')} failed
+              </span>
+            </div>
+            {retry && failed.length > 0 && (
+              <button onClick={() => { onDismiss(id); retry(failed); }} className="clear-all-btn">
+                Retry Failed ({failed.length})
+              </button>
+            )}
+            <button onClick={() => onDismiss(id)} className="remove-file-btn" title="Dismiss report">
+              <X size={20} />
+            </button>
+          </div>
+          <table className="report-table">
+            <thead>
+              <tr><th>File</th><th>Result</th><th>Time</th><th>Output</th></tr>
+            </thead>
+            <tbody>
+              {results.map((result, i) => (
+                <tr key={i} className={result.status}>
+                  <td title={result.name}>
+                    {result.name}
+                    {result.message && <span className="report-message" title={result.message}>{result.message}</span>}
+                  </td>
+                  <td><span className="job-status">{STATUS_LABELS[result.status]}</span></td>
+                  <td>{formatDuration(result.duration)}</td>
+                  <td>{result.size > 0 ? formatSize(result.size) : '—'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      );
+    })}
+  </div>
+);
@@ -0,0 +1,60 @@
+import { useState } from 'react';
+import { Modal } from './Modal';
+import { COMPRESSION_PRESETS } from '../lib/compress';
+import { formatSize } from '../lib/format';
+
+// `initial`: options submitted before (a recipe step's), to start from.
+export const CompressModal = ({ initial, onCancel, onSubmit }) => {
+  const [preset, setPreset] = useState(initial?.preset ?? 'ebook');
+  const [grayscale, setGrayscale] = useState(initial?.grayscale ?? false);
+  const [rasterize, setRasterize] = useState(initial?.rasterize ?? false);
+
+  return (
+    <Modal title="Compress PDF" onClose={onCancel}>
+      <div className="compress-presets">
+        {Object.entries(COMPRESSION_PRESETS).map(([key, { label, description }]) => (
+          <label key={key} className="modal-option">
+            <input type="radio" name="compress-preset" checked={preset === key} onChange={() => setPreset(key)} />
+            {label} <span className="compress-description">{description}</span>
+          </label>
+        ))}
+      </div>
+      <label className="modal-option">
+        <input type="checkbox" checked={grayscale} onChange={() => setGrayscale(!grayscale)} />
+        Convert images to grayscale
+      </label>
+      <label className="modal-option">
+        <input type="checkbox" checked={rasterize} onChange={() => setRasterize(!rasterize)} />
+        Flatten pages to images (best for scans; text can no longer be selected)
+      </label>
+      <div className="modal-footer">
+        <button onClick={onCancel} className="modal-btn secondary">Cancel</button>
+        <button onClick={() => onSubmit({ preset, grayscale, rasterize })} className="modal-btn primary">Compress</button>
+      </div>
+    </Modal>
+  );
+};
+
+// results: [{ name, before, after }] in bytes.
+export const CompressResultModal = ({ results, onClose }) => (
+  <Modal title="Compression Results" onClose={onClose}>
+    <table className="compress-results">
+      <thead>
+        <tr><th>File</th><th>Before</th><th>After</th><th>Saved</th></tr>
+      </thead>
+      <tbody>
+        {results.map(({ name, before, after }, i) => (
+          <tr key={i}>
+            <td title={name}>{name}</td>
+            <td>{formatSize(before)}</td>
+            <td>{formatSize(after)}</td>
+            <td>{Math.max(0, Math.round((1 - after / before) * 100))}%</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+    <div className="modal-footer">
+      <button onClick={onClose} className="modal-btn primary">Done</button>
+    </div>
+  </Modal>
+);
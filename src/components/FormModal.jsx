@@ -0,0 +1,185 @@
+import { useEffect, useId, useState } from 'react';
+import { Modal } from './Modal';
+import { formOutputNames, formValuesFromRecord, readPdfForm } from '../lib/forms';
+import { readCsvRecords } from '../lib/csv';
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// One editor per field type; signature and button fields only get a note.
+const FieldInput = ({ field, value, onChange }) => {
+  const { type, options, readOnly } = field;
+  const listId = useId();
+  if (type === 'checkbox') {
+    return (
+      <label className="modal-option">
+        <input type="checkbox" checked={value} disabled={readOnly} onChange={() => onChange(!value)} />
+        Checked
+      </label>
+    );
+  }
+  if (type === 'radio' || (type === 'dropdown' && !field.editable)) {
+    return (
+      <select className="modal-input" value={value} disabled={readOnly} onChange={(e) => onChange(e.target.value)}>
+        <option value="">(none)</option>
+        {options.map(option => <option key={option} value={option}>{option}</option>)}
+      </select>
+    );
+  }
+  if (type === 'dropdown') {
+    return (
+      <>
+        <input type="text" className="modal-input" list={listId} value={value} disabled={readOnly} onChange={(e) => onChange(e.target.value)} />
+        <datalist id={listId}>
+          {options.map(option => <option key={option} value={option} />)}
+        </datalist>
+      </>
+    );
+  }
+  if (type === 'list') {
+    return (
+      <select
+        multiple
+        className="modal-input"
+        value={value}
+        disabled={readOnly}
+        onChange={(e) => onChange(Array.from(e.target.selectedOptions, option => option.value))}
+      >
+        {options.map(option => <option key={option} value={option}>{option}</option>)}
+      </select>
+    );
+  }
+  if (type === 'text') {
+    const Input = field.multiline ? 'textarea' : 'input';
+    return (
+      <Input
+        className="modal-input"
+        value={value}
+        disabled={readOnly}
+        maxLength={field.maxLength}
+        rows={field.multiline ? 3 : undefined}
+        onChange={(e) => onChange(e.target.value)}
+      />
+    );
+  }
+  return <span className="form-note">{type === 'signature' ? 'Signature field' : 'Button'}, can't be filled in here</span>;
+};
+
+// Fills the AcroForm of one PDF, either once with the values edited here or
+// once per row of a CSV whose columns are named after the fields.
+// Submits the jobs as [{ name, values }] plus the flatten option.
+export const FormModal = ({ file, onCancel, onSubmit }) => {
+  const baseName = file.name.replace(/\.pdf$/i, '');
+  const [fields, setFields] = useState(null);
+  const [values, setValues] = useState({});
+  const [mode, setMode] = useState('fill');
+  const [flatten, setFlatten] = useState(false);
+  const [csv, setCsv] = useState(null);
+  const [template, setTemplate] = useState('{name}-{n}');
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let alive = true;
+    readPdfForm(file)
+      .then(result => {
+        if (!alive) return;
+        setFields(result);
+        setValues(Object.fromEntries(result.map(({ name, value }) => [name, value])));
+      })
+      .catch(err => alive && setError(`Could not read ${file.name}: ${err.message}`));
+    return () => { alive = false; };
+  }, [file]);
+
+  const loadCsv = async (csvFile) => {
+    setError('');
+    try {
+      const { columns, records } = readCsvRecords(await csvFile.text());
+      if (records.length === 0) throw new Error('it has no rows below the header.');
+      setCsv({ name: csvFile.name, columns, records });
+    } catch (err) {
+      setCsv(null);
+      setError(`Could not read ${csvFile.name}: ${err.message}`);
+    }
+  };
+
+  const changed = (fields || []).filter(({ name, value }) => !sameValue(values[name], value));
+  const fieldNames = new Set((fields || []).map(({ name }) => name));
+
+  const handleSubmit = () => {
+    if (mode === 'fill') {
+      const changes = Object.fromEntries(changed.map(({ name }) => [name, values[name]]));
+      onSubmit([{ name: `${baseName}-filled.pdf`, values: changes }], { flatten });
+    } else {
+      const names = formOutputNames(template, baseName, csv.records);
+      onSubmit(csv.records.map((record, i) => ({ name: names[i], values: formValuesFromRecord(record, fields) })), { flatten });
+    }
+  };
+
+  return (
+    <Modal title={`Fill Form — ${file.name}`} onClose={onCancel}>
+      {!fields && !error && <p>Reading...</p>}
+      {fields?.length === 0 && <p>This PDF has no fillable form fields.</p>}
+      {fields?.length > 0 && (
+        <>
+          <div className="modal-options">
+            <label className="modal-option">
+              <input type="radio" name="form-mode" checked={mode === 'fill'} onChange={() => setMode('fill')} />
+              Fill this PDF
+            </label>
+            <label className="modal-option">
+              <input type="radio" name="form-mode" checked={mode === 'csv'} onChange={() => setMode('csv')} />
+              One PDF per CSV row
+            </label>
+          </div>
+          {mode === 'fill' ? (
+            <div className="form-fields">
+              {fields.map(field => (
+                <div key={field.name} className="modal-row">
+                  <span className="form-field-name" title={field.name}>{field.name}</span>
+                  <FieldInput
+                    field={field}
+                    value={values[field.name]}
+                    onChange={(value) => setValues(prev => ({ ...prev, [field.name]: value }))}
+                  />
+                </div>
+              ))}
+            </div>
+          ) : (
+            <>
+              <p>Column headers are matched to field names. Checkboxes are ticked by 1, x, yes or true; list picks are separated by ";".</p>
+              <input type="file" accept=".csv,text/csv" className="modal-input" onChange={(e) => e.target.files[0] && loadCsv(e.target.files[0])} />
+              {csv && (
+                <div className="properties-info">
+                  <p>{csv.records.length} row(s) in {csv.name}</p>
+                  <p>Filled: {csv.columns.filter(column => fieldNames.has(column)).join(', ') || 'no matching columns'}</p>
+                  {fields.some(({ name }) => !csv.columns.includes(name)) && (
+                    <p className="form-note">Kept as they are: {fields.filter(({ name }) => !csv.columns.includes(name)).map(({ name }) => name).join(', ')}</p>
+                  )}
+                  {csv.columns.some(column => !fieldNames.has(column)) && (
+                    <p className="form-note">Ignored columns: {csv.columns.filter(column => !fieldNames.has(column)).join(', ')}</p>
+                  )}
+                </div>
+              )}
+              <p>File names ({'{name}'}, {'{n}'} = row number, or a column such as {'{' + (csv?.columns[0] || 'Column') + '}'}):</p>
+              <input type="text" className="modal-input" value={template} onChange={(e) => setTemplate(e.target.value)} />
+            </>
+          )}
+          <label className="modal-option">
+            <input type="checkbox" checked={flatten} onChange={() => setFlatten(!flatten)} />
+            Flatten the form (fields become part of the page and can't be edited)
+          </label>
+        </>
+      )}
+      {error && <p className="modal-error">{error}</p>}
+      <div className="modal-footer">
+        <button onClick={onCancel} className="modal-btn secondary">Cancel</button>
+        <button
+          onClick={handleSubmit}
+          className="modal-btn primary"
+          disabled={!fields?.length || (mode === 'fill' ? changed.length === 0 && !flatten : !csv)}
+        >
+          {mode === 'csv' && csv ? `Create ${csv.records.length} PDF(s)` : 'Save Copy'}
+        </button>
+      </div>
+    </Modal>
+  );
+};
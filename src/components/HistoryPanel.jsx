@@ -0,0 +1,36 @@
+import { Download, RotateCcw, X } from 'lucide-react';
+import { formatSize } from '../lib/format';
+
+// Past results kept in IndexedDB (see lib/storage.js), newest first.
+export const HistoryPanel = ({ entries, onDownload, onRerun, onDelete, onClear }) => (
+  <div className="history-panel">
+    <div className="file-queue-header">
+      <h2 className="jobs-title">History</h2>
+      <button onClick={onClear} className="clear-all-btn">
+        Clear History
+      </button>
+    </div>
+    <div className="jobs-list">
+      {entries.map(entry => (
+        <div key={entry.id} className="job-item">
+          <div className="job-info">
+            <p className="job-label" title={entry.outputs.map(output => output.name).join('\n')}>{entry.label}</p>
+            <span className="job-status">
+              {entry.outputs.length} file(s), {formatSize(entry.outputs.reduce((sum, { blob }) => sum + blob.size, 0))}
+            </span>
+            <button onClick={() => onDownload(entry)} className="remove-file-btn" title="Download again">
+              <Download size={18} />
+            </button>
+            <button onClick={() => onRerun(entry)} className="remove-file-btn" title="Run again with the same files and settings">
+              <RotateCcw size={18} />
+            </button>
+            <button onClick={() => onDelete(entry)} className="remove-file-btn" title="Delete from history">
+              <X size={18} />
+            </button>
+          </div>
+          <span className="history-date">{new Date(entry.createdAt).toLocaleString()}</span>
+        </div>
+      ))}
+    </div>
+  </div>
+);
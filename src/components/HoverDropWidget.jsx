@@ -1,5 +1,6 @@
 import { useState, useRef, useCallback } from 'react';
 import { UploadCloud, FileText, GripVertical, X } from 'lucide-react';
+import { filesFromDataTransfer } from '../lib/imports';
 
 // Custom hook to make the widget draggable
 const useDraggable = () => {
@@ -51,9 +52,13 @@ export const HoverDropWidget = ({ onFiles, onClose }) => {
     e.stopPropagation();
     setIsDraggingOver(false);
     if (e.dataTransfer.files?.length) {
-      const newFiles = Array.from(e.dataTransfer.files);
-      setDroppedFiles(prev => [...prev, ...newFiles]);
-      onFiles(newFiles); // Pass files up to the main app
+      // Folders are walked here; the main app unpacks ZIPs and applies the import filters.
+      filesFromDataTransfer(e.dataTransfer)
+        .then(items => {
+          setDroppedFiles(prev => [...prev, ...items.map(({ file }) => file)]);
+          onFiles(items); // Pass files up to the main app
+        })
+        .catch(error => console.error("Could not read the dropped files:", error));
     }
   }, [onFiles]);
 
@@ -0,0 +1,190 @@
+import { useState } from 'react';
+import { Modal } from './Modal';
+import { DEFAULT_IMAGE_SETTINGS, IMAGE_FORMATS } from '../lib/imageSettings';
+import { DEFAULT_PAGE_LAYOUT } from '../lib/pdf';
+
+const RESIZE_MODES = [
+  ['none', 'Original size'],
+  ['max', 'Max width / height'],
+  ['percent', 'Percentage'],
+  ['exact', 'Exact size'],
+];
+
+const FIT_MODES = [
+  ['fit', 'Fit (pad)'],
+  ['fill', 'Fill (stretch)'],
+  ['crop', 'Crop'],
+];
+
+const PAGE_SIZES = [
+  ['image', 'Same as image'],
+  ['a4', 'A4'],
+  ['letter', 'Letter'],
+  ['legal', 'Legal'],
+  ['custom', 'Custom (mm)'],
+];
+
+const PAGE_FITS = [
+  ['fit', 'Fit'],
+  ['fill', 'Fill'],
+  ['center', 'Center'],
+];
+
+const PageLayoutFields = ({ layout, onChange }) => (
+  <>
+    <p>Page:</p>
+    <div className="modal-row">
+      <select className="modal-input" value={layout.pageSize} onChange={(e) => onChange('pageSize', e.target.value)}>
+        {PAGE_SIZES.map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+      </select>
+      {layout.pageSize !== 'image' && (
+        <select className="modal-input" value={layout.orientation} onChange={(e) => onChange('orientation', e.target.value)}>
+          <option value="auto">Auto orientation</option>
+          <option value="portrait">Portrait</option>
+          <option value="landscape">Landscape</option>
+        </select>
+      )}
+    </div>
+    {layout.pageSize === 'custom' && (
+      <div className="modal-row">
+        <input type="number" min="1" className="modal-input" value={layout.width} onChange={(e) => onChange('width', e.target.value)} />
+        <span>×</span>
+        <input type="number" min="1" className="modal-input" value={layout.height} onChange={(e) => onChange('height', e.target.value)} />
+        <span>mm</span>
+      </div>
+    )}
+    {layout.pageSize !== 'image' && (
+      <>
+        <div className="modal-row">
+          <span>Margin</span>
+          <input type="number" min="0" className="modal-input" value={layout.margin} onChange={(e) => onChange('margin', e.target.value)} />
+          <span>mm</span>
+          <select className="modal-input" value={layout.fit} onChange={(e) => onChange('fit', e.target.value)}>
+            {PAGE_FITS.map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+          </select>
+        </div>
+        <div className="modal-row">
+          <span>Grid</span>
+          <input type="number" min="1" className="modal-input" value={layout.columns} onChange={(e) => onChange('columns', e.target.value)} />
+          <span>×</span>
+          <input type="number" min="1" className="modal-input" value={layout.rows} onChange={(e) => onChange('rows', e.target.value)} />
+          <span>per page</span>
+        </div>
+      </>
+    )}
+  </>
+);
+
+// Settings step shown before every image action. `format` is the output type,
+// or null when the action picks it per image (Images to PDF). `showLayout` adds
+// the page layout fields and a `layout` entry to the submitted settings.
+// `initial` (settings as submitted before, e.g. a recipe step's) fills in the fields.
+export const ImageSettingsModal = ({ title, format, allowTargetSize = true, showLayout = false, initial, onCancel, onSubmit }) => {
+  const [resize, setResize] = useState({ ...DEFAULT_IMAGE_SETTINGS.resize, ...initial?.resize });
+  const [quality, setQuality] = useState(initial?.quality ?? DEFAULT_IMAGE_SETTINGS.quality);
+  const [limitSize, setLimitSize] = useState(Boolean(initial?.maxKB));
+  const [maxKB, setMaxKB] = useState(initial?.maxKB || '500');
+  const [layout, setLayout] = useState({ ...DEFAULT_PAGE_LAYOUT, ...initial?.layout });
+  const [error, setError] = useState('');
+
+  const lossy = format === null || IMAGE_FORMATS[format].lossy;
+  const updateResize = (key, value) => setResize(prev => ({ ...prev, [key]: value }));
+
+  const handleSubmit = () => {
+    const { mode, width, height, percent } = resize;
+    if ((mode === 'max' || mode === 'exact') && !(parseInt(width, 10) > 0) && !(parseInt(height, 10) > 0)) {
+      return setError('Enter a width, a height or both.');
+    }
+    if (mode === 'percent' && !(parseFloat(percent) > 0)) return setError('Enter a percentage above 0.');
+    if (limitSize && !(parseFloat(maxKB) > 0)) return setError('Enter a size limit in KB.');
+    if (showLayout && layout.pageSize === 'custom' && !(layout.width > 0 && layout.height > 0)) {
+      return setError('Enter the custom page width and height.');
+    }
+    onSubmit({ resize, quality, maxKB: limitSize ? maxKB : '', ...(showLayout && { layout }) });
+  };
+
+  return (
+    <Modal title={title} onClose={onCancel}>
+      {showLayout && <PageLayoutFields layout={layout} onChange={(key, value) => setLayout(prev => ({ ...prev, [key]: value }))} />}
+      <p>Resize:</p>
+      <select className="modal-input" value={resize.mode} onChange={(e) => updateResize('mode', e.target.value)}>
+        {RESIZE_MODES.map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+      </select>
+      {(resize.mode === 'max' || resize.mode === 'exact') && (
+        <div className="modal-row">
+          <input
+            type="number"
+            min="1"
+            className="modal-input"
+            placeholder="Width (px)"
+            value={resize.width}
+            onChange={(e) => updateResize('width', e.target.value)}
+          />
+          <span>×</span>
+          <input
+            type="number"
+            min="1"
+            className="modal-input"
+            placeholder="Height (px)"
+            value={resize.height}
+            onChange={(e) => updateResize('height', e.target.value)}
+          />
+          {resize.mode === 'exact' && (
+            <select className="modal-input" value={resize.fit} onChange={(e) => updateResize('fit', e.target.value)}>
+              {FIT_MODES.map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+            </select>
+          )}
+        </div>
+      )}
+      {resize.mode === 'percent' && (
+        <div className="modal-row">
+          <input
+            type="number"
+            min="1"
+            className="modal-input"
+            value={resize.percent}
+            onChange={(e) => updateResize('percent', e.target.value)}
+          />
+          <span>%</span>
+        </div>
+      )}
+      {lossy && (
+        <>
+          <p>Quality: {Math.round(quality * 100)}{format === null && ' (JPEG images)'}</p>
+          <input
+            type="range"
+            className="modal-range"
+            min="0.1"
+            max="1"
+            step="0.01"
+            value={quality}
+            onChange={(e) => setQuality(parseFloat(e.target.value))}
+          />
+        </>
+      )}
+      {allowTargetSize && (
+        <div className="modal-row">
+          <label className="modal-option">
+            <input type="checkbox" checked={limitSize} onChange={() => setLimitSize(!limitSize)} />
+            Shrink to under
+          </label>
+          <input
+            type="number"
+            min="1"
+            className="modal-input"
+            value={maxKB}
+            onChange={(e) => setMaxKB(e.target.value)}
+            disabled={!limitSize}
+          />
+          <span>KB</span>
+        </div>
+      )}
+      {limitSize && !lossy && <p>PNG is lossless, so only the dimensions are reduced to meet the limit.</p>}
+      {error && <p className="modal-error">{error}</p>}
+      <div className="modal-footer">
+        <button onClick={onCancel} className="modal-btn secondary">Cancel</button>
+        <button onClick={handleSubmit} className="modal-btn primary">Convert</button>
+      </div>
+    </Modal>
+  );
+};
@@ -0,0 +1,42 @@
+import { useState } from 'react';
+import { Modal } from './Modal';
+import { parseExtensions } from '../lib/imports';
+
+// Extension filters for everything added to the queue, including the files
+// found in folders and ZIP archives.
+export const ImportFiltersModal = ({ filters, onCancel, onSubmit }) => {
+  const [include, setInclude] = useState(filters.include.join(', '));
+  const [exclude, setExclude] = useState(filters.exclude.join(', '));
+
+  return (
+    <Modal title="Import Filters" onClose={onCancel}>
+      <p>Only import these extensions (empty for all):</p>
+      <input
+        type="text"
+        className="modal-input"
+        placeholder="e.g. pdf, png, jpg"
+        value={include}
+        onChange={(e) => setInclude(e.target.value)}
+        autoFocus
+      />
+      <p>Never import these extensions (add "zip" to skip ZIP archives instead of unpacking them):</p>
+      <input
+        type="text"
+        className="modal-input"
+        placeholder="e.g. tmp, txt"
+        value={exclude}
+        onChange={(e) => setExclude(e.target.value)}
+      />
+      <div className="modal-footer">
+        <button onClick={() => onSubmit({ include: [], exclude: [] })} className="modal-btn secondary">Clear Filters</button>
+        <button onClick={onCancel} className="modal-btn secondary">Cancel</button>
+        <button
+          onClick={() => onSubmit({ include: parseExtensions(include), exclude: parseExtensions(exclude) })}
+          className="modal-btn primary"
+        >
+          Save
+        </button>
+      </div>
+    </Modal>
+  );
+};
@@ -0,0 +1,50 @@
+import { X } from 'lucide-react';
+
+const STATUS_LABELS = {
+  queued: 'Queued',
+  running: 'Running',
+  done: 'Done',
+  error: 'Failed',
+  cancelled: 'Cancelled',
+};
+
+export const JobsPanel = ({ jobs, onCancel, onClearFinished }) => {
+  const hasFinished = jobs.some(job => job.status !== 'queued' && job.status !== 'running');
+
+  return (
+    <div className="jobs-panel">
+      <div className="file-queue-header">
+        <h2 className="jobs-title">Jobs</h2>
+        {hasFinished && (
+          <button onClick={onClearFinished} className="clear-all-btn">
+            Clear Finished
+          </button>
+        )}
+      </div>
+      <div className="jobs-list">
+        {jobs.map(job => (
+          <div key={job.id} className={`job-item ${job.status}`}>
+            <div className="job-info">
+              <p className="job-label" title={job.label}>{job.label}</p>
+              <span className="job-status">
+                {STATUS_LABELS[job.status]}
+                {job.status === 'running' && ` ${Math.round(job.progress * 100)}%`}
+                {job.failed > 0 && ` (${job.failed} failed)`}
+              </span>
+              {(job.status === 'queued' || job.status === 'running') && (
+                <button onClick={() => onCancel(job.id)} className="remove-file-btn" title="Cancel job">
+                  <X size={18} />
+                </button>
+              )}
+            </div>
+            {job.status === 'running' && <progress value={job.progress} max={1} />}
+            {job.error && <p className="job-error" title={job.error}>{job.error}</p>}
+            {job.warnings.map((warning, i) => (
+              <p key={i} className="job-warning" title={warning}>{warning}</p>
+            ))}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,113 @@
+import { useEffect, useRef, useState } from 'react';
+import { GripVertical } from 'lucide-react';
+import { Modal } from './Modal';
+import { parsePageRanges } from '../lib/pageRanges';
+import { inspectPdf } from '../lib/pdf';
+
+// Why a file can't be merged, or null once it has been inspected and is usable.
+const problemOf = (info) => {
+  if (!info) return null;
+  if (info.error) return `Could not be read: ${info.error}`;
+  if (info.encrypted) return 'Encrypted — will be skipped';
+  if (info.pageCount === 0) return 'No pages — will be skipped';
+  return null;
+};
+
+export const MergeModal = ({ files, onCancel, onSubmit }) => {
+  const [items, setItems] = useState(() => files.map((file, id) => ({ id, file, pages: '' })));
+  const [info, setInfo] = useState({});
+  const [bookmarks, setBookmarks] = useState(true);
+  const [error, setError] = useState('');
+  const [dragOver, setDragOver] = useState(null);
+  const dragIndex = useRef(null);
+
+  useEffect(() => {
+    let alive = true;
+    files.forEach((file, id) => {
+      inspectPdf(file)
+        .then(result => alive && setInfo(prev => ({ ...prev, [id]: result })))
+        .catch(err => alive && setInfo(prev => ({ ...prev, [id]: { error: err.message } })));
+    });
+    return () => { alive = false; };
+  }, [files]);
+
+  const usable = items.filter(item => info[item.id] && !problemOf(info[item.id]));
+  const inspecting = items.some(item => !info[item.id]);
+
+  const moveItem = (from, to) => {
+    if (from === null || from === to) return;
+    setItems(prev => {
+      const next = [...prev];
+      const [moved] = next.splice(from, 1);
+      next.splice(to, 0, moved);
+      return next;
+    });
+  };
+
+  const handleSubmit = () => {
+    setError('');
+    if (usable.length < 2) return setError('At least two readable, unencrypted PDFs are needed.');
+    for (const { file, pages, id } of usable) {
+      try {
+        if (pages.trim()) parsePageRanges(pages, info[id].pageCount);
+      } catch (err) {
+        return setError(`${file.name}: ${err.message}`);
+      }
+    }
+    onSubmit(usable.map(({ file, pages }) => ({ file, pages })), { bookmarks });
+  };
+
+  return (
+    <Modal title="Merge PDFs" onClose={onCancel}>
+      <p>Drag to change the order. Leave pages empty to use the whole file.</p>
+      <div className="merge-list">
+        {items.map((item, idx) => {
+          const problem = problemOf(info[item.id]);
+          return (
+            <div
+              key={item.id}
+              className={`merge-item ${dragOver === idx ? 'drag-over' : ''} ${problem ? 'skipped' : ''}`}
+              draggable
+              onDragStart={() => { dragIndex.current = idx; }}
+              onDragOver={(e) => { e.preventDefault(); setDragOver(idx); }}
+              onDragLeave={() => setDragOver(null)}
+              onDrop={(e) => {
+                e.preventDefault();
+                moveItem(dragIndex.current, idx);
+                dragIndex.current = null;
+                setDragOver(null);
+              }}
+            >
+              <GripVertical size={18} className="queue-drag-handle" />
+              <div className="merge-item-info">
+                <span className="merge-item-name" title={item.file.name}>{item.file.name}</span>
+                <span className={problem ? 'modal-error' : 'merge-item-meta'}>
+                  {problem || (info[item.id] ? `${info[item.id].pageCount} pages` : 'Reading...')}
+                </span>
+              </div>
+              <input
+                type="text"
+                className="modal-input merge-item-pages"
+                placeholder="All pages"
+                value={item.pages}
+                disabled={!!problem}
+                onChange={(e) => setItems(prev => prev.map(it => (it.id === item.id ? { ...it, pages: e.target.value } : it)))}
+              />
+            </div>
+          );
+        })}
+      </div>
+      <label className="modal-option">
+        <input type="checkbox" checked={bookmarks} onChange={() => setBookmarks(!bookmarks)} />
+        Add a bookmark for each file
+      </label>
+      {error && <p className="modal-error">{error}</p>}
+      <div className="modal-footer">
+        <button onClick={onCancel} className="modal-btn secondary">Cancel</button>
+        <button onClick={handleSubmit} className="modal-btn primary" disabled={inspecting}>
+          {inspecting ? 'Reading files...' : `Merge ${usable.length} PDFs`}
+        </button>
+      </div>
+    </Modal>
+  );
+};
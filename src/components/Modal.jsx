@@ -1,10 +1,10 @@
 import React from 'react';
 import { X } from 'lucide-react';
 
-export const Modal = ({ title, children, onClose }) => {
+export const Modal = ({ title, children, onClose, className = '' }) => {
   return (
     <div className="modal-overlay">
-      <div className="modal-content">
+      <div className={`modal-content ${className}`}>
         <div className="modal-header">
           <h2 className="modal-title">{title}</h2>
           <button onClick={onClose} className="modal-close-btn">
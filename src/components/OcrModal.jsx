@@ -0,0 +1,46 @@
+import { useState } from 'react';
+import { Modal } from './Modal';
+import { OCR_LANGUAGES } from '../lib/ocr';
+
+// Options for Make Searchable (OCR); the recognition itself runs as a job.
+export const OcrModal = ({ onCancel, onSubmit }) => {
+  const [languages, setLanguages] = useState(['eng']);
+  const [outputs, setOutputs] = useState({ pdf: true, text: false, hocr: false });
+
+  const toggleLanguage = (code) => {
+    setLanguages(prev => (prev.includes(code) ? prev.filter(c => c !== code) : [...prev, code]));
+  };
+
+  return (
+    <Modal title="Make Searchable (OCR)" onClose={onCancel}>
+      <p>Document language(s):</p>
+      <div className="modal-options">
+        {OCR_LANGUAGES.map(({ code, label }) => (
+          <label key={code} className="modal-option">
+            <input type="checkbox" checked={languages.includes(code)} onChange={() => toggleLanguage(code)} />
+            {label}
+          </label>
+        ))}
+      </div>
+      <p>Outputs:</p>
+      <div className="modal-options">
+        {[['pdf', 'Searchable PDF'], ['text', 'Plain text (.txt)'], ['hocr', 'hOCR (.hocr)']].map(([key, label]) => (
+          <label key={key} className="modal-option">
+            <input type="checkbox" checked={outputs[key]} onChange={() => setOutputs(prev => ({ ...prev, [key]: !prev[key] }))} />
+            {label}
+          </label>
+        ))}
+      </div>
+      <div className="modal-footer">
+        <button onClick={onCancel} className="modal-btn secondary">Cancel</button>
+        <button
+          onClick={() => onSubmit({ languages, ...outputs })}
+          className="modal-btn primary"
+          disabled={languages.length === 0 || !Object.values(outputs).some(Boolean)}
+        >
+          Run OCR
+        </button>
+      </div>
+    </Modal>
+  );
+};
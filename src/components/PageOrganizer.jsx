@@ -0,0 +1,245 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import * as pdfjsLib from 'pdfjs-dist';
+import { RotateCw, Copy, Trash2, FilePlus } from 'lucide-react';
+import { Modal } from './Modal';
+import { PageRangeError, parsePageRanges } from '../lib/pageRanges';
+
+const THUMB_WIDTH = 120;
+
+let nextPageId = 0;
+// A page in the organizer. `source` indexes into the sources list, or is null for a blank page.
+const makePage = (source, index, extra = {}) => ({ id: nextPageId++, source, index, rotation: 0, ...extra });
+
+// Loads a PDF with pdfjs and renders its thumbnails one by one in the background.
+async function loadThumbnails(file, onThumb, isAlive) {
+  const pdf = await pdfjsLib.getDocument({ data: await file.arrayBuffer() }).promise;
+  let size;
+  try {
+    const firstPage = await pdf.getPage(1);
+    const { width, height } = firstPage.getViewport({ scale: 1 });
+    size = [width, height];
+  } catch (err) {
+    await pdf.destroy();
+    throw err;
+  }
+
+  // The document is destroyed once the last thumbnail is done or the organizer closes.
+  const render = async () => {
+    try {
+      for (let i = 1; i <= pdf.numPages && isAlive(); i++) {
+        const page = await pdf.getPage(i);
+        const viewport = page.getViewport({ scale: THUMB_WIDTH / page.getViewport({ scale: 1 }).width });
+        const canvas = document.createElement('canvas');
+        canvas.width = viewport.width;
+        canvas.height = viewport.height;
+        await page.render({ canvasContext: canvas.getContext('2d'), viewport }).promise;
+        onThumb(i - 1, canvas.toDataURL('image/jpeg', 0.7));
+      }
+    } finally {
+      await pdf.destroy();
+    }
+  };
+  render();
+
+  return { pageCount: pdf.numPages, size };
+}
+
+export const PageOrganizer = ({ file, files, onCancel, onSave, focusExclude = false }) => {
+  const [sources, setSources] = useState([file]);
+  const [thumbs, setThumbs] = useState({});
+  const [pages, setPages] = useState([]);
+  const [excludeSpec, setExcludeSpec] = useState('');
+  const [insertFrom, setInsertFrom] = useState('');
+  const [insertSpec, setInsertSpec] = useState('');
+  const [error, setError] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [dragOver, setDragOver] = useState(null);
+  const dragIndex = useRef(null);
+  const alive = useRef(true);
+  const pageSize = useRef([612, 792]);
+  const pageCounts = useRef([]);
+  // Inserts can overlap while a PDF loads, so new sources get their index from
+  // this list (kept in step with `sources`) and share one pending load.
+  const sourceList = useRef([file]);
+  const sourceLoads = useRef([]);
+
+  const loadSource = useCallback(async (sourceIdx, sourceFile) => {
+    const { pageCount, size } = await loadThumbnails(
+      sourceFile,
+      (pageIdx, url) => setThumbs(prev => ({ ...prev, [`${sourceIdx}:${pageIdx}`]: url })),
+      () => alive.current,
+    );
+    pageCounts.current[sourceIdx] = pageCount;
+    return { pageCount, size };
+  }, []);
+
+  useEffect(() => {
+    alive.current = true;
+    loadSource(0, file)
+      .then(({ pageCount, size }) => {
+        pageSize.current = size;
+        setPages(Array.from({ length: pageCount }, (_, i) => makePage(0, i)));
+      })
+      .catch(err => setError(`Could not open ${file.name}: ${err.message}`));
+    return () => { alive.current = false; };
+  }, [file, loadSource]);
+
+  const otherPdfs = files.filter(f => f !== file && f.type === 'application/pdf');
+
+  const updatePage = (idx, fn) => setPages(prev => prev.map((p, i) => (i === idx ? fn(p) : p)));
+  const rotatePage = (idx) => updatePage(idx, p => ({ ...p, rotation: (p.rotation + 90) % 360 }));
+  const duplicatePage = (idx) => setPages(prev => [
+    ...prev.slice(0, idx + 1), makePage(prev[idx].source, prev[idx].index, { rotation: prev[idx].rotation, size: prev[idx].size }), ...prev.slice(idx + 1),
+  ]);
+  const deletePage = (idx) => setPages(prev => prev.filter((_, i) => i !== idx));
+  const insertBlank = () => setPages(prev => [...prev, makePage(null, 0, { size: pageSize.current })]);
+
+  const movePage = (from, to) => {
+    if (from === null || from === to) return;
+    setPages(prev => {
+      const next = [...prev];
+      const [moved] = next.splice(from, 1);
+      next.splice(to, 0, moved);
+      return next;
+    });
+  };
+
+  const applyExclude = () => {
+    setError('');
+    let excluded;
+    try {
+      excluded = new Set(parsePageRanges(excludeSpec, pageCounts.current[0] || 0));
+    } catch (err) {
+      return setError(err.message);
+    }
+    const remaining = pages.filter(p => !(p.source === 0 && excluded.has(p.index)));
+    if (remaining.length === 0) return setError('Cannot exclude all pages from the document.');
+    setPages(remaining);
+    setExcludeSpec('');
+  };
+
+  const insertFromPdf = async () => {
+    setError('');
+    const other = otherPdfs[Number(insertFrom)];
+    if (!other) return;
+    try {
+      let sourceIdx = sourceList.current.indexOf(other);
+      if (sourceIdx === -1) {
+        sourceIdx = sourceList.current.push(other) - 1;
+        setSources(prev => {
+          const next = [...prev];
+          next[sourceIdx] = other;
+          return next;
+        });
+        sourceLoads.current[sourceIdx] = loadSource(sourceIdx, other);
+      }
+      const { pageCount } = await sourceLoads.current[sourceIdx];
+      const indices = insertSpec.trim()
+        ? parsePageRanges(insertSpec, pageCount)
+        : Array.from({ length: pageCount }, (_, i) => i);
+      setPages(prev => [...prev, ...indices.map(i => makePage(sourceIdx, i))]);
+      setInsertSpec('');
+    } catch (err) {
+      setError(err instanceof PageRangeError ? err.message : `Could not open ${other.name}: ${err.message}`);
+    }
+  };
+
+  const handleSave = async () => {
+    if (pages.length === 0) return setError('The document must keep at least one page.');
+    setSaving(true);
+    try {
+      await onSave(sources, pages);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Modal title={`Organize Pages — ${file.name}`} onClose={onCancel} className="modal-wide">
+      <div className="organizer-toolbar">
+        <div className="organizer-tool">
+          <input
+            type="text"
+            className="modal-input"
+            placeholder="Exclude pages, e.g., 1, 4-6"
+            value={excludeSpec}
+            onChange={(e) => setExcludeSpec(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && applyExclude()}
+            autoFocus={focusExclude}
+          />
+          <button onClick={applyExclude} className="modal-btn secondary">Exclude</button>
+        </div>
+        <div className="organizer-tool">
+          <select className="modal-input" value={insertFrom} onChange={(e) => setInsertFrom(e.target.value)} disabled={otherPdfs.length === 0}>
+            <option value="">{otherPdfs.length ? 'Insert from queued PDF...' : 'No other PDFs queued'}</option>
+            {otherPdfs.map((f, i) => <option key={i} value={i}>{f.name}</option>)}
+          </select>
+          <input
+            type="text"
+            className="modal-input"
+            placeholder="Pages (all)"
+            value={insertSpec}
+            onChange={(e) => setInsertSpec(e.target.value)}
+          />
+          <button onClick={insertFromPdf} className="modal-btn secondary" disabled={insertFrom === ''}>Insert</button>
+          <button onClick={insertBlank} className="modal-btn secondary" title="Insert blank page">
+            <FilePlus size={18} />
+          </button>
+        </div>
+      </div>
+      {error && <p className="modal-error">{error}</p>}
+      <div className="organizer-grid">
+        {pages.map((page, idx) => (
+          <div
+            key={page.id}
+            className={`organizer-page ${dragOver === idx ? 'drag-over' : ''}`}
+            draggable
+            onDragStart={() => { dragIndex.current = idx; }}
+            onDragOver={(e) => { e.preventDefault(); e.stopPropagation(); setDragOver(idx); }}
+            onDragLeave={() => setDragOver(null)}
+            onDrop={(e) => {
+              e.preventDefault(); e.stopPropagation();
+              movePage(dragIndex.current, idx);
+              dragIndex.current = null;
+              setDragOver(null);
+            }}
+          >
+            <div className="organizer-thumb">
+              {page.source === null ? (
+                <div className="organizer-blank" style={{ transform: `rotate(${page.rotation}deg)` }} />
+              ) : thumbs[`${page.source}:${page.index}`] ? (
+                <img
+                  src={thumbs[`${page.source}:${page.index}`]}
+                  alt={`Page ${page.index + 1}`}
+                  style={{ transform: `rotate(${page.rotation}deg)` }}
+                  draggable={false}
+                />
+              ) : (
+                <span className="organizer-loading">...</span>
+              )}
+            </div>
+            <div className="organizer-page-label">
+              {idx + 1}
+              <span className="organizer-page-origin">
+                {page.source === null ? 'blank' : `${page.source === 0 ? 'p' : `${sources[page.source].name} p`}${page.index + 1}`}
+              </span>
+            </div>
+            <div className="organizer-page-actions">
+              <button onClick={() => rotatePage(idx)} title="Rotate 90°"><RotateCw size={16} /></button>
+              <button onClick={() => duplicatePage(idx)} title="Duplicate"><Copy size={16} /></button>
+              <button onClick={() => deletePage(idx)} title="Delete"><Trash2 size={16} /></button>
+            </div>
+          </div>
+        ))}
+      </div>
+      <div className="modal-footer">
+        <button onClick={onCancel} className="modal-btn secondary">Cancel</button>
+        <button onClick={handleSave} className="modal-btn primary" disabled={saving || pages.length === 0}>
+          {saving ? 'Saving...' : 'Save PDF'}
+        </button>
+      </div>
+    </Modal>
+  );
+};
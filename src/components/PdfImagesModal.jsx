@@ -0,0 +1,87 @@
+import { useState } from 'react';
+import { Modal } from './Modal';
+import { IMAGE_FORMATS } from '../lib/imageSettings';
+import { DEFAULT_PDF_IMAGE_OPTIONS } from '../lib/convert';
+
+const DPI_PRESETS = [72, 96, 144, 150, 300, 600];
+
+// Options for PDF to Images: render pages, or extract the embedded images as they are.
+// `initial` ({ mode, ...options } as submitted before) fills in the fields.
+export const PdfImagesModal = ({ initial, onCancel, onSubmit }) => {
+  const [mode, setMode] = useState(initial?.mode ?? 'render');
+  const [dpi, setDpi] = useState(String(initial?.dpi ?? DEFAULT_PDF_IMAGE_OPTIONS.dpi));
+  const [format, setFormat] = useState(initial?.format ?? DEFAULT_PDF_IMAGE_OPTIONS.format);
+  const [quality, setQuality] = useState(initial?.quality ?? DEFAULT_PDF_IMAGE_OPTIONS.quality);
+  const [transparent, setTransparent] = useState(initial?.transparent ?? false);
+  const [pages, setPages] = useState(initial?.pages ?? '');
+  const [error, setError] = useState('');
+
+  const handleSubmit = () => {
+    const value = parseFloat(dpi);
+    if (mode === 'render' && !(value >= 72 && value <= 600)) return setError('DPI must be between 72 and 600.');
+    onSubmit(mode, { dpi: value, format, quality, transparent: transparent && format === 'image/png', pages });
+  };
+
+  return (
+    <Modal title="PDF to Images" onClose={onCancel}>
+      <div className="modal-options">
+        {[['render', 'Render pages'], ['extract', 'Extract embedded images']].map(([value, label]) => (
+          <label key={value} className="modal-option">
+            <input type="radio" name="pdf-images-mode" checked={mode === value} onChange={() => setMode(value)} />
+            {label}
+          </label>
+        ))}
+      </div>
+      {mode === 'extract' && <p>Saves the pictures inside the PDF at their original resolution, without the rest of the page.</p>}
+      {mode === 'render' && (
+        <div className="modal-row">
+          <span>DPI</span>
+          <input type="number" min="72" max="600" className="modal-input" value={dpi} onChange={(e) => setDpi(e.target.value)} />
+          <select className="modal-input" value="" onChange={(e) => e.target.value && setDpi(e.target.value)}>
+            <option value="">Presets...</option>
+            {DPI_PRESETS.map(preset => <option key={preset} value={preset}>{preset} DPI</option>)}
+          </select>
+        </div>
+      )}
+      <div className="modal-row">
+        <span>Format</span>
+        <select className="modal-input" value={format} onChange={(e) => setFormat(e.target.value)}>
+          {Object.entries(IMAGE_FORMATS).map(([type, { label }]) => <option key={type} value={type}>{label}</option>)}
+        </select>
+      </div>
+      {IMAGE_FORMATS[format].lossy && (
+        <>
+          <p>Quality: {Math.round(quality * 100)}</p>
+          <input
+            type="range"
+            className="modal-range"
+            min="0.1"
+            max="1"
+            step="0.01"
+            value={quality}
+            onChange={(e) => setQuality(parseFloat(e.target.value))}
+          />
+        </>
+      )}
+      {mode === 'render' && format === 'image/png' && (
+        <label className="modal-option">
+          <input type="checkbox" checked={transparent} onChange={() => setTransparent(!transparent)} />
+          Transparent background
+        </label>
+      )}
+      <p>Pages:</p>
+      <input
+        type="text"
+        className="modal-input"
+        placeholder="All, or e.g. 1, 4-6"
+        value={pages}
+        onChange={(e) => setPages(e.target.value)}
+      />
+      {error && <p className="modal-error">{error}</p>}
+      <div className="modal-footer">
+        <button onClick={onCancel} className="modal-btn secondary">Cancel</button>
+        <button onClick={handleSubmit} className="modal-btn primary">Export</button>
+      </div>
+    </Modal>
+  );
+};
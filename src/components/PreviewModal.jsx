@@ -0,0 +1,146 @@
+import { useEffect, useRef, useState } from 'react';
+import { saveAs } from 'file-saver';
+import { ChevronLeft, ChevronRight, FileText, ZoomIn, ZoomOut } from 'lucide-react';
+import { Modal } from './Modal';
+import { usePdfDocument, usePdfPage } from './usePdf';
+import { formatSize } from '../lib/format';
+
+const ZOOM_STEPS = [0.25, 0.5, 0.75, 1, 1.5, 2, 3, 4];
+const TEXT_PREVIEW_LIMIT = 200 * 1024;
+const PT_TO_MM = 25.4 / 72;
+
+const isText = (blob) => blob.type.startsWith('text/') || blob.type === 'application/json';
+
+// One page at a time; 'fit' scales the page to the viewer's width.
+const PdfView = ({ blob, zoom, onInfo }) => {
+  const [pageNumber, setPageNumber] = useState(1);
+  const holder = useRef(null);
+  const { pdf, error: loadError } = usePdfDocument(blob);
+  const { size, page, error: renderError } = usePdfPage(pdf, pageNumber, holder, zoom);
+  const error = loadError || renderError;
+
+  useEffect(() => {
+    if (size) onInfo(`Page ${page} of ${pdf.numPages} · ${Math.round(size[0] * PT_TO_MM)} x ${Math.round(size[1] * PT_TO_MM)} mm`);
+  }, [pdf, page, size, onInfo]);
+
+  if (error) return <p className="modal-error">{error}</p>;
+  return (
+    <>
+      <div ref={holder} className="preview-canvas">{!pdf && <p>Loading...</p>}</div>
+      {pdf?.numPages > 1 && (
+        <div className="preview-pager">
+          <button onClick={() => setPageNumber(n => n - 1)} className="recipe-icon-btn" disabled={pageNumber === 1} title="Previous page">
+            <ChevronLeft size={20} />
+          </button>
+          <span>{pageNumber} / {pdf.numPages}</span>
+          <button onClick={() => setPageNumber(n => n + 1)} className="recipe-icon-btn" disabled={pageNumber === pdf.numPages} title="Next page">
+            <ChevronRight size={20} />
+          </button>
+        </div>
+      )}
+    </>
+  );
+};
+
+const ImageView = ({ url, zoom, onInfo }) => {
+  const [natural, setNatural] = useState(null);
+  return (
+    <div className="preview-canvas">
+      <img
+        src={url}
+        alt=""
+        className={zoom === 'fit' ? 'preview-image-fit' : ''}
+        style={zoom === 'fit' || !natural ? undefined : { width: natural[0] * zoom }}
+        onLoad={(e) => {
+          const { naturalWidth, naturalHeight } = e.currentTarget;
+          setNatural([naturalWidth, naturalHeight]);
+          onInfo(`${naturalWidth} x ${naturalHeight} px`);
+        }}
+      />
+    </div>
+  );
+};
+
+const TextView = ({ blob, onInfo }) => {
+  const [text, setText] = useState('');
+  useEffect(() => {
+    let alive = true;
+    blob.slice(0, TEXT_PREVIEW_LIMIT).text().then(value => {
+      if (!alive) return;
+      setText(value);
+      onInfo(blob.size > TEXT_PREVIEW_LIMIT ? `First ${formatSize(TEXT_PREVIEW_LIMIT)} shown` : `${value.split('\n').length} lines`);
+    });
+    return () => { alive = false; };
+  }, [blob, onInfo]);
+  return <pre className="preview-canvas preview-text">{text}</pre>;
+};
+
+/**
+ * Shows the outputs of a job before they are downloaded, one at a time with a
+ * gallery strip to move between them. outputs: [{ name, blob }].
+ * onAdjust is optional: it reopens the action's settings.
+ */
+export const PreviewModal = ({ outputs, onDownload, onDiscard, onAdjust }) => {
+  const [index, setIndex] = useState(0);
+  const [zoom, setZoom] = useState('fit');
+  const [info, setInfo] = useState('');
+  const [urls, setUrls] = useState([]);
+
+  // Object URLs for image outputs, shared by the viewer and the gallery.
+  useEffect(() => {
+    const created = outputs.map(({ blob }) => (blob.type.startsWith('image/') ? URL.createObjectURL(blob) : null));
+    setUrls(created);
+    return () => created.forEach(url => url && URL.revokeObjectURL(url));
+  }, [outputs]);
+
+  const { name, blob } = outputs[index];
+  const select = (i) => {
+    setIndex(i);
+    setInfo('');
+  };
+  const zoomBy = (direction) => setZoom(current => {
+    const value = current === 'fit' ? 1 : current;
+    const next = direction > 0 ? ZOOM_STEPS.find(step => step > value) : [...ZOOM_STEPS].reverse().find(step => step < value);
+    return next ?? value;
+  });
+
+  let viewer;
+  if (blob.type === 'application/pdf') viewer = <PdfView key={index} blob={blob} zoom={zoom} onInfo={setInfo} />;
+  else if (blob.type.startsWith('image/')) viewer = urls[index] && <ImageView key={index} url={urls[index]} zoom={zoom} onInfo={setInfo} />;
+  else if (isText(blob)) viewer = <TextView key={index} blob={blob} onInfo={setInfo} />;
+  else viewer = <p className="preview-canvas">No preview for this file type.</p>;
+
+  return (
+    <Modal title={`Preview — ${outputs.length} file(s)`} onClose={onDiscard} className="modal-wide">
+      <div className="preview-toolbar">
+        <span className="preview-name" title={name}>{name}</span>
+        <span className="preview-meta">{formatSize(blob.size)}{info && ` · ${info}`}</span>
+        <button onClick={() => zoomBy(-1)} className="recipe-icon-btn" title="Zoom out"><ZoomOut size={20} /></button>
+        <button onClick={() => setZoom('fit')} className={`preview-zoom ${zoom === 'fit' ? 'active' : ''}`}>Fit</button>
+        <button onClick={() => setZoom(1)} className={`preview-zoom ${zoom === 1 ? 'active' : ''}`}>
+          {zoom === 'fit' || zoom === 1 ? '100%' : `${Math.round(zoom * 100)}%`}
+        </button>
+        <button onClick={() => zoomBy(1)} className="recipe-icon-btn" title="Zoom in"><ZoomIn size={20} /></button>
+        <button onClick={() => saveAs(blob, name)} className="modal-btn secondary">Download This</button>
+      </div>
+      <div className="preview-viewer">{viewer}</div>
+      {outputs.length > 1 && (
+        <div className="preview-gallery">
+          {outputs.map((output, i) => (
+            <button key={i} onClick={() => select(i)} className={`preview-thumb ${i === index ? 'active' : ''}`} title={output.name}>
+              {urls[i] ? <img src={urls[i]} alt="" /> : <FileText size={32} />}
+              <span>{output.name}</span>
+            </button>
+          ))}
+        </div>
+      )}
+      <div className="modal-footer">
+        <button onClick={onDiscard} className="modal-btn secondary">Discard</button>
+        {onAdjust && <button onClick={onAdjust} className="modal-btn secondary">Adjust Settings</button>}
+        <button onClick={onDownload} className="modal-btn primary">
+          {outputs.length > 1 ? `Download All (${outputs.length})` : 'Download'}
+        </button>
+      </div>
+    </Modal>
+  );
+};
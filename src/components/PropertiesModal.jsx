@@ -0,0 +1,119 @@
+import { useEffect, useState } from 'react';
+import { Modal } from './Modal';
+import { METADATA_FIELDS, readPdfProperties } from '../lib/metadata';
+import { PAGE_SIZES } from '../lib/pdf';
+
+const PAGE_SIZE_NAMES = { a4: 'A4', letter: 'Letter', legal: 'Legal' };
+
+function describeSize([width, height]) {
+  const match = Object.entries(PAGE_SIZES).find(([, [w, h]]) =>
+    (Math.abs(w - width) < 1 && Math.abs(h - height) < 1) || (Math.abs(w - height) < 1 && Math.abs(h - width) < 1)
+  );
+  const size = `${Math.round(width)} × ${Math.round(height)} pt`;
+  return match ? `${size} (${PAGE_SIZE_NAMES[match[0]]})` : size;
+}
+
+// "612 × 792 pt (Letter): 10 pages" for each distinct size, in order of appearance.
+function summarizeSizes(pageSizes) {
+  const counts = new Map();
+  pageSizes.forEach(size => {
+    const label = describeSize(size);
+    counts.set(label, (counts.get(label) || 0) + 1);
+  });
+  return [...counts].map(([label, count]) => `${label}: ${count} page${count === 1 ? '' : 's'}`);
+}
+
+const formatDate = (date) => (date ? date.toLocaleString() : '—');
+
+// Shows the properties of one PDF, or a template to apply to several. Each
+// field is kept, set or removed; the form submits only the fields that change.
+export const PropertiesModal = ({ files, onCancel, onSubmit }) => {
+  const batch = files.length > 1;
+  const [properties, setProperties] = useState(null);
+  const [fields, setFields] = useState(() => Object.fromEntries(METADATA_FIELDS.map(({ key }) => [key, { mode: 'keep', value: '' }])));
+  const [removeDates, setRemoveDates] = useState(false);
+  const [removeXmp, setRemoveXmp] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (batch) return;
+    let alive = true;
+    readPdfProperties(files[0])
+      .then(result => {
+        if (!alive) return;
+        setProperties(result);
+        setFields(Object.fromEntries(METADATA_FIELDS.map(({ key }) => [key, { mode: 'keep', value: result.fields[key] }])));
+      })
+      .catch(err => alive && setError(`Could not read ${files[0].name}: ${err.message}`));
+    return () => { alive = false; };
+  }, [files, batch]);
+
+  const updateField = (key, patch) => setFields(prev => ({ ...prev, [key]: { ...prev[key], ...patch } }));
+
+  const stripAll = () => {
+    setFields(prev => Object.fromEntries(Object.entries(prev).map(([key, field]) => [key, { ...field, mode: 'remove' }])));
+    setRemoveDates(true);
+    setRemoveXmp(true);
+  };
+
+  const handleSubmit = () => {
+    const changes = {};
+    Object.entries(fields).forEach(([key, { mode, value }]) => {
+      if (mode === 'set') changes[key] = value;
+      if (mode === 'remove') changes[key] = null;
+    });
+    onSubmit(changes, { removeDates, removeXmp });
+  };
+
+  return (
+    <Modal title={batch ? `Document Properties — ${files.length} PDFs` : `Document Properties — ${files[0].name}`} onClose={onCancel}>
+      {!batch && !properties && !error && <p>Reading...</p>}
+      {properties && (
+        <div className="properties-info">
+          <p>PDF version: {properties.version}</p>
+          <p>Pages: {properties.pageCount}</p>
+          {summarizeSizes(properties.pageSizes).map(line => <p key={line} className="properties-size">{line}</p>)}
+          <p>Created: {formatDate(properties.creationDate)}</p>
+          <p>Modified: {formatDate(properties.modificationDate)}</p>
+        </div>
+      )}
+      {batch && <p>The template below is applied to every selected PDF. {'{name}'} is replaced by each file name.</p>}
+      {METADATA_FIELDS.map(({ key, label }) => (
+        <div key={key} className="modal-row">
+          <span className="properties-label">{label}</span>
+          <select className="modal-input properties-mode" value={fields[key].mode} onChange={(e) => updateField(key, { mode: e.target.value })}>
+            <option value="keep">Keep</option>
+            <option value="set">Set</option>
+            <option value="remove">Remove</option>
+          </select>
+          <input
+            type="text"
+            className="modal-input"
+            value={fields[key].mode === 'remove' ? '' : fields[key].value}
+            placeholder={fields[key].mode === 'remove' ? 'Removed' : ''}
+            disabled={fields[key].mode === 'remove' || (batch && fields[key].mode === 'keep')}
+            onChange={(e) => updateField(key, { mode: 'set', value: e.target.value })}
+          />
+        </div>
+      ))}
+      <div className="modal-options">
+        <label className="modal-option">
+          <input type="checkbox" checked={removeDates} onChange={() => setRemoveDates(!removeDates)} />
+          Remove creation and modification dates
+        </label>
+        {(batch || properties?.hasXmp) && (
+          <label className="modal-option">
+            <input type="checkbox" checked={removeXmp} onChange={() => setRemoveXmp(!removeXmp)} />
+            Remove XMP metadata
+          </label>
+        )}
+      </div>
+      {error && <p className="modal-error">{error}</p>}
+      <div className="modal-footer">
+        <button onClick={stripAll} className="modal-btn secondary">Strip All</button>
+        <button onClick={onCancel} className="modal-btn secondary">Cancel</button>
+        <button onClick={handleSubmit} className="modal-btn primary" disabled={!batch && !properties}>Save Copy</button>
+      </div>
+    </Modal>
+  );
+};
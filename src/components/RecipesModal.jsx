@@ -0,0 +1,215 @@
+import { useRef, useState } from 'react';
+import { ArrowDown, ArrowUp, X } from 'lucide-react';
+import { saveAs } from 'file-saver';
+import { Modal } from './Modal';
+import { ImageSettingsModal } from './ImageSettingsModal';
+import { StampModal } from './StampModal';
+import { CompressModal } from './CompressModal';
+import { PdfImagesModal } from './PdfImagesModal';
+import {
+  RECIPE_STEPS, createRecipeId, describeStep, exportRecipes, parseRecipes, recipeFileName,
+} from '../lib/recipes';
+
+const readAsDataURL = (blob) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsDataURL(blob);
+});
+
+// The action's own settings dialog, reused to configure a recipe step.
+// `options` are the step's current ones (undefined for a new step).
+// Steps without settings (Merge PDFs) never get here.
+const StepSettings = ({ type, options, onCancel, onSubmit }) => {
+  const { label, targetType } = RECIPE_STEPS[type];
+  switch (type) {
+    case 'resize_images':
+    case 'to_png':
+    case 'to_jpeg':
+    case 'to_webp':
+      return <ImageSettingsModal title={label} format={targetType || null} initial={options} onCancel={onCancel} onSubmit={onSubmit} />;
+    case 'images_to_pdf':
+      return <ImageSettingsModal title={label} format={null} allowTargetSize={false} showLayout initial={options} onCancel={onCancel} onSubmit={onSubmit} />;
+    case 'stamp_pdf':
+      // Recipes are stored as JSON, so an image watermark is kept as a data URL.
+      return (
+        <StampModal
+          initial={options}
+          onCancel={onCancel}
+          onSubmit={async (stamp) => {
+            const image = stamp.watermark?.image;
+            onSubmit(image instanceof Blob ? { ...stamp, watermark: { ...stamp.watermark, image: await readAsDataURL(image) } } : stamp);
+          }}
+        />
+      );
+    case 'compress_pdf':
+      return <CompressModal initial={options} onCancel={onCancel} onSubmit={onSubmit} />;
+    case 'pdf_to_images':
+      return <PdfImagesModal initial={options} onCancel={onCancel} onSubmit={(mode, images) => onSubmit({ ...images, mode })} />;
+    default:
+      return null;
+  }
+};
+
+const RecipeEditor = ({ recipe, onCancel, onSave }) => {
+  const [name, setName] = useState(recipe.name);
+  const [steps, setSteps] = useState(recipe.steps);
+  // { type, index }: index of the step being reconfigured, or null for a new one.
+  const [configuring, setConfiguring] = useState(null);
+  const [error, setError] = useState('');
+
+  const addStep = (type) => {
+    const { defaults } = RECIPE_STEPS[type];
+    if (defaults) setSteps(prev => [...prev, { type, options: defaults }]);
+    else setConfiguring({ type, index: null });
+  };
+
+  const moveStep = (from, to) => setSteps(prev => {
+    const next = [...prev];
+    const [moved] = next.splice(from, 1);
+    next.splice(to, 0, moved);
+    return next;
+  });
+
+  const handleSave = () => {
+    if (!name.trim()) return setError('Give the recipe a name.');
+    if (steps.length === 0) return setError('Add at least one step.');
+    onSave({ ...recipe, name: name.trim(), steps });
+  };
+
+  if (configuring) {
+    return (
+      <StepSettings
+        type={configuring.type}
+        options={configuring.index === null ? undefined : steps[configuring.index].options}
+        onCancel={() => setConfiguring(null)}
+        onSubmit={(options) => {
+          const step = { type: configuring.type, options };
+          setSteps(prev => (configuring.index === null ? [...prev, step] : prev.map((s, i) => (i === configuring.index ? step : s))));
+          setConfiguring(null);
+        }}
+      />
+    );
+  }
+
+  return (
+    <Modal title={recipe.name ? `Edit Recipe — ${recipe.name}` : 'New Recipe'} onClose={onCancel}>
+      <input
+        type="text"
+        className="modal-input"
+        placeholder="Recipe name"
+        value={name}
+        onChange={(e) => setName(e.target.value)}
+      />
+      <p>Steps run in order; each one works on the files the previous step produced.</p>
+      <div className="recipe-list">
+        {steps.map((step, i) => (
+          <div key={i} className="recipe-item">
+            <div className="recipe-item-info">
+              <span className="recipe-item-name">{i + 1}. {RECIPE_STEPS[step.type].label}</span>
+              <span className="recipe-item-meta">{describeStep(step)}</span>
+            </div>
+            {!RECIPE_STEPS[step.type].defaults && (
+              <button onClick={() => setConfiguring({ type: step.type, index: i })} className="modal-btn secondary">Settings</button>
+            )}
+            {step.type === 'merge_pdfs' && (
+              <label className="modal-option">
+                <input
+                  type="checkbox"
+                  checked={step.options.bookmarks}
+                  onChange={() => setSteps(prev => prev.map((s, j) => (j === i ? { ...s, options: { bookmarks: !s.options.bookmarks } } : s)))}
+                />
+                Bookmarks
+              </label>
+            )}
+            <button onClick={() => moveStep(i, i - 1)} className="recipe-icon-btn" disabled={i === 0} title="Move up"><ArrowUp size={18} /></button>
+            <button onClick={() => moveStep(i, i + 1)} className="recipe-icon-btn" disabled={i === steps.length - 1} title="Move down"><ArrowDown size={18} /></button>
+            <button onClick={() => setSteps(prev => prev.filter((_, j) => j !== i))} className="recipe-icon-btn" title="Remove"><X size={18} /></button>
+          </div>
+        ))}
+      </div>
+      <select className="modal-input" value="" onChange={(e) => e.target.value && addStep(e.target.value)}>
+        <option value="">Add a step...</option>
+        {Object.entries(RECIPE_STEPS).map(([type, { label }]) => <option key={type} value={type}>{label}</option>)}
+      </select>
+      {error && <p className="modal-error">{error}</p>}
+      <div className="modal-footer">
+        <button onClick={onCancel} className="modal-btn secondary">Cancel</button>
+        <button onClick={handleSave} className="modal-btn primary">Save Recipe</button>
+      </div>
+    </Modal>
+  );
+};
+
+// Lists the saved recipes. `onChange(recipes)` persists the new list and may
+// throw (e.g. when localStorage is full); `onRun(recipe)` runs one on the
+// current selection.
+export const RecipesModal = ({ recipes, canRun, onChange, onRun, onClose }) => {
+  const [editing, setEditing] = useState(null);
+  const [error, setError] = useState('');
+  const importInput = useRef(null);
+
+  const update = (next) => {
+    try {
+      onChange(next);
+      setError('');
+      return true;
+    } catch (err) {
+      setError(`Could not save recipes: ${err.message}`);
+      return false;
+    }
+  };
+
+  const handleImport = async (e) => {
+    const [file] = e.target.files;
+    e.target.value = '';
+    if (!file) return;
+    try {
+      update([...recipes, ...parseRecipes(await file.text())]);
+    } catch (err) {
+      setError(`Could not import ${file.name}: ${err.message}`);
+    }
+  };
+
+  const download = (list, name) => saveAs(new Blob([exportRecipes(list)], { type: 'application/json' }), name);
+
+  if (editing) {
+    return (
+      <RecipeEditor
+        recipe={editing}
+        onCancel={() => setEditing(null)}
+        onSave={(recipe) => {
+          const exists = recipes.some(r => r.id === recipe.id);
+          if (update(exists ? recipes.map(r => (r.id === recipe.id ? recipe : r)) : [...recipes, recipe])) setEditing(null);
+        }}
+      />
+    );
+  }
+
+  return (
+    <Modal title="Recipes" onClose={onClose}>
+      {recipes.length === 0 && <p>No recipes yet. A recipe chains actions, e.g. resize images, then Images to PDF, then compress.</p>}
+      <div className="recipe-list">
+        {recipes.map(recipe => (
+          <div key={recipe.id} className="recipe-item">
+            <div className="recipe-item-info">
+              <span className="recipe-item-name" title={recipe.name}>{recipe.name}</span>
+              <span className="recipe-item-meta">{recipe.steps.map(step => RECIPE_STEPS[step.type].label).join(' → ')}</span>
+            </div>
+            <button onClick={() => onRun(recipe)} className="modal-btn primary" disabled={!canRun} title={canRun ? '' : 'Select files first'}>Run</button>
+            <button onClick={() => setEditing(recipe)} className="modal-btn secondary">Edit</button>
+            <button onClick={() => download([recipe], `${recipeFileName(recipe)}.json`)} className="modal-btn secondary">Export</button>
+            <button onClick={() => update(recipes.filter(r => r.id !== recipe.id))} className="recipe-icon-btn" title="Delete"><X size={18} /></button>
+          </div>
+        ))}
+      </div>
+      {error && <p className="modal-error">{error}</p>}
+      <input ref={importInput} type="file" accept=".json,application/json" hidden onChange={handleImport} />
+      <div className="modal-footer">
+        <button onClick={() => importInput.current.click()} className="modal-btn secondary">Import...</button>
+        <button onClick={() => download(recipes, 'recipes.json')} className="modal-btn secondary" disabled={recipes.length === 0}>Export All</button>
+        <button onClick={() => setEditing({ id: createRecipeId(), name: '', steps: [] })} className="modal-btn primary">New Recipe</button>
+      </div>
+    </Modal>
+  );
+};
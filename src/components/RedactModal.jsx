@@ -0,0 +1,193 @@
+import { useRef, useState } from 'react';
+import { ChevronLeft, ChevronRight, X } from 'lucide-react';
+import { Modal } from './Modal';
+import { usePdfDocument, usePdfPage } from './usePdf';
+import { REDACTION_DPI, findTextMatches } from '../lib/redact';
+
+// Boxes drawn smaller than this (as a share of the page) are taken for stray clicks.
+const MIN_SIZE = 0.005;
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+let nextId = 0;
+const withId = (region) => ({ ...region, id: ++nextId });
+
+/**
+ * Marks the parts of a PDF to redact: drag on the page to draw a box, or
+ * search for text to box every match. Submits the regions
+ * ([{ page, x, y, width, height }]) and { dpi, searches } for redactPdf
+ * (lib/redact.js), where `searches` are the searches that still have a box.
+ */
+export const RedactModal = ({ file, onCancel, onSubmit }) => {
+  const [pageNumber, setPageNumber] = useState(1);
+  const [regions, setRegions] = useState([]);
+  // The box being drawn: { page, x, y, width, height }.
+  const [drawing, setDrawing] = useState(null);
+  const [query, setQuery] = useState('');
+  const [matchCase, setMatchCase] = useState(false);
+  const [regex, setRegex] = useState(false);
+  const [searching, setSearching] = useState(false);
+  const [searchNote, setSearchNote] = useState('');
+  // Searches run so far; their boxes carry the search's id.
+  const [searches, setSearches] = useState([]);
+  const [dpi, setDpi] = useState(200);
+  const [error, setError] = useState('');
+  const holder = useRef(null);
+  const pageRef = useRef(null);
+  const start = useRef(null);
+  const { pdf, error: loadError } = usePdfDocument(file);
+  const { size: pageSize, error: renderError } = usePdfPage(pdf, pageNumber, holder);
+  const shownError = error || loadError || renderError;
+
+  const fraction = (e) => {
+    const rect = pageRef.current.getBoundingClientRect();
+    return [clamp((e.clientX - rect.left) / rect.width, 0, 1), clamp((e.clientY - rect.top) / rect.height, 0, 1)];
+  };
+
+  const startBox = (e) => {
+    if (!pageSize || e.target.closest('.redact-remove')) return;
+    pageRef.current.setPointerCapture(e.pointerId);
+    start.current = fraction(e);
+    setDrawing(null);
+  };
+
+  const moveBox = (e) => {
+    if (!start.current) return;
+    const [x0, y0] = start.current;
+    const [x1, y1] = fraction(e);
+    setDrawing({ page: pageNumber - 1, x: Math.min(x0, x1), y: Math.min(y0, y1), width: Math.abs(x1 - x0), height: Math.abs(y1 - y0) });
+  };
+
+  const endBox = () => {
+    start.current = null;
+    if (drawing && drawing.width > MIN_SIZE && drawing.height > MIN_SIZE) setRegions(prev => [...prev, withId(drawing)]);
+    setDrawing(null);
+  };
+
+  const search = async () => {
+    setError('');
+    setSearchNote('');
+    setSearching(true);
+    try {
+      const matches = await findTextMatches(pdf, query, { matchCase, regex });
+      const searchId = ++nextId;
+      setRegions(prev => [...prev, ...matches.map(match => withId({ ...match, search: searchId }))]);
+      setSearches(prev => [...prev, { id: searchId, query, matchCase, regex }]);
+      const pages = new Set(matches.map(match => match.page)).size;
+      setSearchNote(matches.length > 0 ? `${matches.length} box(es) added on ${pages} page(s).` : 'No matches. Scanned pages have no text to search.');
+    } catch (err) {
+      setError(regex && err instanceof SyntaxError ? `Invalid regular expression: ${err.message}` : `Search failed: ${err.message}`);
+    } finally {
+      setSearching(false);
+    }
+  };
+
+  const handleSubmit = () => {
+    // Once all of a search's boxes are removed, its text is kept elsewhere in the file too.
+    const kept = searches.filter(({ id }) => regions.some(region => region.search === id));
+    onSubmit(
+      regions.map(({ page, x, y, width, height }) => ({ page, x, y, width, height })),
+      { dpi, searches: kept.map(({ query, matchCase, regex }) => ({ query, matchCase, regex })) },
+    );
+  };
+
+  const onPage = regions.filter(region => region.page === pageNumber - 1);
+  const pageCount = new Set(regions.map(region => region.page)).size;
+
+  return (
+    <Modal title={`Redact — ${file.name}`} onClose={onCancel} className="modal-wide">
+      <div className="editor-layout">
+        <div className="editor-sidebar">
+          <p>Find text</p>
+          <input
+            type="text"
+            className="modal-input"
+            placeholder={regex ? 'e.g. \\d{3}-\\d{2}-\\d{4}' : 'Name, number, ...'}
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && query.trim() && pdf && search()}
+          />
+          <label className="modal-option">
+            <input type="checkbox" checked={matchCase} onChange={() => setMatchCase(!matchCase)} />
+            Match case
+          </label>
+          <label className="modal-option">
+            <input type="checkbox" checked={regex} onChange={() => setRegex(!regex)} />
+            Regular expression
+          </label>
+          <button onClick={search} className="modal-btn secondary" disabled={!pdf || !query.trim() || searching}>
+            {searching ? 'Searching...' : 'Redact All Matches'}
+          </button>
+          {searchNote && <p className="form-note">{searchNote}</p>}
+          <div className="modal-row">
+            <span>Image quality</span>
+            <select className="modal-input modal-input-inline" value={dpi} onChange={(e) => setDpi(Number(e.target.value))}>
+              {REDACTION_DPI.map(value => <option key={value} value={value}>{value} DPI</option>)}
+            </select>
+          </div>
+          <p className="form-note">
+            Pages with a box become images: their text, links, form fields and comments are removed for good.
+            Other pages are left as they are. The result is checked for text left under the boxes.
+          </p>
+          <p className="form-note">
+            Searched text that still has a box is also removed from the document properties, bookmark titles and named destinations.
+            Boxes drawn by hand only cover the page.
+          </p>
+          {regions.length > 0 && (
+            <button onClick={() => { setRegions([]); setSearches([]); }} className="modal-btn secondary">Clear All Boxes</button>
+          )}
+        </div>
+        <div className="editor-main">
+          <p>Drag on the page to draw a box over what should be removed.</p>
+          <div className="editor-scroll">
+            <div
+              ref={pageRef}
+              className="pdf-page redact-page"
+              onPointerDown={startBox}
+              onPointerMove={moveBox}
+              onPointerUp={endBox}
+              onPointerCancel={() => { start.current = null; setDrawing(null); }}
+            >
+              <div ref={holder} className="pdf-page-canvas">{!pdf && !shownError && <p>Loading...</p>}</div>
+              {pageSize && [...onPage, ...(drawing ? [drawing] : [])].map(region => (
+                <div
+                  key={region.id ?? 'drawing'}
+                  className="redact-box"
+                  style={{ left: `${region.x * 100}%`, top: `${region.y * 100}%`, width: `${region.width * 100}%`, height: `${region.height * 100}%` }}
+                >
+                  {region.id && (
+                    <button
+                      onClick={() => setRegions(prev => prev.filter(other => other.id !== region.id))}
+                      className="overlay-remove redact-remove"
+                      title="Remove"
+                    >
+                      <X size={14} />
+                    </button>
+                  )}
+                </div>
+              ))}
+            </div>
+          </div>
+          {pdf?.numPages > 1 && (
+            <div className="preview-pager">
+              <button onClick={() => setPageNumber(n => n - 1)} className="recipe-icon-btn" disabled={pageNumber === 1} title="Previous page">
+                <ChevronLeft size={20} />
+              </button>
+              <span>{pageNumber} / {pdf.numPages}</span>
+              <button onClick={() => setPageNumber(n => n + 1)} className="recipe-icon-btn" disabled={pageNumber === pdf.numPages} title="Next page">
+                <ChevronRight size={20} />
+              </button>
+            </div>
+          )}
+        </div>
+      </div>
+      {shownError && <p className="modal-error">{shownError}</p>}
+      <div className="modal-footer">
+        <button onClick={onCancel} className="modal-btn secondary">Cancel</button>
+        <button onClick={handleSubmit} className="modal-btn primary" disabled={regions.length === 0}>
+          {regions.length > 0 ? `Redact (${regions.length} box(es) on ${pageCount} page(s))` : 'Redact'}
+        </button>
+      </div>
+    </Modal>
+  );
+};
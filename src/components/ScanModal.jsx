@@ -0,0 +1,200 @@
+import { useEffect, useRef, useState } from 'react';
+import { ChevronLeft, ChevronRight } from 'lucide-react';
+import { Modal } from './Modal';
+import { DEFAULT_PAGE_LAYOUT } from '../lib/pdf';
+import { DEFAULT_SCAN_OPTIONS, FULL_FRAME, SCAN_FILTERS, detectCorners, scanImage } from '../lib/scan';
+
+const PAGE_SIZES = [
+  ['image', 'Same as scan'],
+  ['a4', 'A4'],
+  ['letter', 'Letter'],
+];
+
+// Long side of the preview scan.
+const PREVIEW_SIDE = 1200;
+
+const clamp = (value) => Math.min(Math.max(value, 0), 1);
+
+// The photo with the page outline on top; the corner handles can be dragged.
+const CornerEditor = ({ file, corners, onChange }) => {
+  const [url, setUrl] = useState(null);
+  const frame = useRef(null);
+  const dragging = useRef(null);
+
+  useEffect(() => {
+    const objectUrl = URL.createObjectURL(file);
+    setUrl(objectUrl);
+    return () => URL.revokeObjectURL(objectUrl);
+  }, [file]);
+
+  const move = (e) => {
+    if (dragging.current === null) return;
+    const rect = frame.current.getBoundingClientRect();
+    const point = [clamp((e.clientX - rect.left) / rect.width), clamp((e.clientY - rect.top) / rect.height)];
+    onChange(corners.map((corner, i) => (i === dragging.current ? point : corner)));
+  };
+
+  return (
+    <div ref={frame} className="scan-frame" onPointerMove={move} onPointerUp={() => { dragging.current = null; }} onPointerCancel={() => { dragging.current = null; }}>
+      {url && <img src={url} alt="" draggable={false} />}
+      <svg viewBox="0 0 1 1" preserveAspectRatio="none">
+        <polygon points={corners.map(([x, y]) => `${x},${y}`).join(' ')} />
+      </svg>
+      {corners.map(([x, y], i) => (
+        <span
+          key={i}
+          className="scan-handle"
+          style={{ left: `${x * 100}%`, top: `${y * 100}%` }}
+          onPointerDown={(e) => {
+            frame.current.setPointerCapture(e.pointerId);
+            dragging.current = i;
+          }}
+        />
+      ))}
+    </div>
+  );
+};
+
+/**
+ * Scanner mode for photos of documents: the page edges are found in every
+ * photo and can be corrected by dragging the four corners, then the pages
+ * are straightened, deskewed and cleaned up with a filter (lib/scan.js).
+ * Submits [{ file, corners }] and { filter, deskew, layout } (layout null
+ * for separate images).
+ */
+export const ScanModal = ({ files, onCancel, onSubmit }) => {
+  // One entry per photo once its edges have been looked for: { corners, found }.
+  const [scans, setScans] = useState(() => files.map(() => null));
+  const [index, setIndex] = useState(0);
+  const [filter, setFilter] = useState(DEFAULT_SCAN_OPTIONS.filter);
+  const [deskew, setDeskew] = useState(DEFAULT_SCAN_OPTIONS.deskew);
+  const [output, setOutput] = useState('pdf');
+  const [pageSize, setPageSize] = useState('image');
+  const [showPreview, setShowPreview] = useState(false);
+  const [preview, setPreview] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let alive = true;
+    (async () => {
+      for (const [i, file] of files.entries()) {
+        let corners = null;
+        try {
+          corners = await detectCorners(file);
+        } catch (err) {
+          if (alive) setError(`Could not read ${file.name}: ${err.message}`);
+        }
+        if (!alive) return;
+        setScans(prev => prev.map((scan, j) => (j === i ? { corners: corners || FULL_FRAME, found: !!corners } : scan)));
+      }
+    })();
+    return () => { alive = false; };
+  }, [files]);
+
+  const scan = scans[index];
+  const file = files[index];
+
+  useEffect(() => {
+    if (!showPreview || !scan) return;
+    let alive = true;
+    let url = null;
+    setPreview(null);
+    scanImage(file, { corners: scan.corners, filter, deskew, maxSide: PREVIEW_SIDE })
+      .then(blob => {
+        if (!alive) return;
+        url = URL.createObjectURL(blob);
+        setPreview(url);
+      })
+      .catch(err => alive && setError(`Could not scan ${file.name}: ${err.message}`));
+    return () => {
+      alive = false;
+      if (url) URL.revokeObjectURL(url);
+    };
+  }, [showPreview, file, scan, filter, deskew]);
+
+  const setCorners = (corners) => setScans(prev => prev.map((s, i) => (i === index ? { ...s, corners } : s)));
+
+  const handleSubmit = () => {
+    onSubmit(
+      files.map((f, i) => ({ file: f, corners: scans[i].corners })),
+      { filter, deskew, layout: output === 'pdf' ? { ...DEFAULT_PAGE_LAYOUT, pageSize } : null },
+    );
+  };
+
+  const detecting = scans.filter(s => !s).length;
+
+  return (
+    <Modal title={files.length > 1 ? `Scan ${files.length} Photos` : `Scan — ${file.name}`} onClose={onCancel} className="modal-wide">
+      <div className="editor-layout">
+        <div className="editor-sidebar">
+          <p>Filter</p>
+          <select className="modal-input" value={filter} onChange={(e) => setFilter(e.target.value)}>
+            {Object.entries(SCAN_FILTERS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+          </select>
+          <label className="modal-option">
+            <input type="checkbox" checked={deskew} onChange={() => setDeskew(!deskew)} />
+            Straighten tilted text (deskew)
+          </label>
+          <p>Save as</p>
+          <label className="modal-option">
+            <input type="radio" name="scan-output" checked={output === 'pdf'} onChange={() => setOutput('pdf')} />
+            One PDF
+          </label>
+          {output === 'pdf' && (
+            <select className="modal-input" value={pageSize} onChange={(e) => setPageSize(e.target.value)}>
+              {PAGE_SIZES.map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+            </select>
+          )}
+          <label className="modal-option">
+            <input type="radio" name="scan-output" checked={output === 'images'} onChange={() => setOutput('images')} />
+            One image per photo
+          </label>
+          <p className="form-note">Photos are processed on this device; nothing is uploaded.</p>
+        </div>
+        <div className="editor-main">
+          <div className="modal-options">
+            <label className="modal-option">
+              <input type="radio" name="scan-view" checked={!showPreview} onChange={() => setShowPreview(false)} />
+              Page edges
+            </label>
+            <label className="modal-option">
+              <input type="radio" name="scan-view" checked={showPreview} onChange={() => setShowPreview(true)} />
+              Preview
+            </label>
+            {!showPreview && scan && (
+              <button onClick={() => setCorners(FULL_FRAME)} className="modal-btn secondary">Use Whole Photo</button>
+            )}
+          </div>
+          <p>
+            {!scan ? 'Looking for the page...'
+              : showPreview ? (preview ? 'The scan as it will be saved (at a lower resolution).' : 'Scanning...')
+                : scan.found ? 'Drag the corners to match the edges of the page.'
+                  : 'No page edges found; drag the corners onto the page, or keep the whole photo.'}
+          </p>
+          <div className="editor-scroll scan-view">
+            {scan && !showPreview && <CornerEditor file={file} corners={scan.corners} onChange={setCorners} />}
+            {showPreview && preview && <img src={preview} alt="" className="scan-preview" />}
+          </div>
+          {files.length > 1 && (
+            <div className="preview-pager">
+              <button onClick={() => setIndex(i => i - 1)} className="recipe-icon-btn" disabled={index === 0} title="Previous photo">
+                <ChevronLeft size={20} />
+              </button>
+              <span>{index + 1} / {files.length}</span>
+              <button onClick={() => setIndex(i => i + 1)} className="recipe-icon-btn" disabled={index === files.length - 1} title="Next photo">
+                <ChevronRight size={20} />
+              </button>
+            </div>
+          )}
+        </div>
+      </div>
+      {error && <p className="modal-error">{error}</p>}
+      <div className="modal-footer">
+        <button onClick={onCancel} className="modal-btn secondary">Cancel</button>
+        <button onClick={handleSubmit} className="modal-btn primary" disabled={detecting > 0}>
+          {detecting > 0 ? `Finding pages (${files.length - detecting}/${files.length})...` : output === 'pdf' ? 'Create PDF' : 'Save Scans'}
+        </button>
+      </div>
+    </Modal>
+  );
+};
@@ -0,0 +1,345 @@
+import { useMemo, useRef, useState } from 'react';
+import { ChevronLeft, ChevronRight, Plus, X } from 'lucide-react';
+import { Modal } from './Modal';
+import { usePdfDocument, usePdfPage } from './usePdf';
+import {
+  INK_COLORS, SIGNATURE_FONTS, blobFromDataUrl, createSignatureId, loadSignatures, saveSignatures,
+  signatureFromImage, trimSignature, typedSignature,
+} from '../lib/signatures';
+
+// New placements start this wide, as a share of the page width.
+const DEFAULT_WIDTH = 0.25;
+const MIN_WIDTH = 0.03;
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+const imageSize = (dataUrl) => new Promise((resolve, reject) => {
+  const image = new Image();
+  image.onload = () => resolve([image.naturalWidth, image.naturalHeight]);
+  image.onerror = () => reject(new Error('The signature image could not be loaded.'));
+  image.src = dataUrl;
+});
+
+// Drawn with the mouse, a pen or a finger; pen strokes follow the pressure.
+const DrawPad = ({ color, canvasRef }) => {
+  const last = useRef(null);
+  const point = (e) => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    return [(e.clientX - rect.left) * (e.currentTarget.width / rect.width), (e.clientY - rect.top) * (e.currentTarget.height / rect.height)];
+  };
+  const draw = (e) => {
+    if (!last.current) return;
+    const context = e.currentTarget.getContext('2d');
+    const next = point(e);
+    context.strokeStyle = color;
+    context.lineCap = 'round';
+    context.lineJoin = 'round';
+    context.lineWidth = e.pointerType === 'pen' ? 1.5 + e.pressure * 5 : 4;
+    context.beginPath();
+    context.moveTo(...last.current);
+    context.lineTo(...next);
+    context.stroke();
+    last.current = next;
+  };
+  return (
+    <canvas
+      ref={canvasRef}
+      width={900}
+      height={300}
+      className="signature-pad"
+      onPointerDown={(e) => {
+        e.currentTarget.setPointerCapture(e.pointerId);
+        last.current = point(e);
+      }}
+      onPointerMove={draw}
+      onPointerUp={() => { last.current = null; }}
+      onPointerCancel={() => { last.current = null; }}
+    />
+  );
+};
+
+// Makes a new signature: drawn, typed in a script font or an uploaded image.
+const SignatureCreator = ({ onSave, onCancel }) => {
+  const [mode, setMode] = useState('draw');
+  const [color, setColor] = useState('black');
+  const [text, setText] = useState('');
+  const [font, setFont] = useState('script');
+  const [uploaded, setUploaded] = useState(null);
+  const [error, setError] = useState('');
+  const pad = useRef(null);
+
+  const typed = useMemo(() => (mode === 'type' && text.trim() ? typedSignature(text.trim(), font, INK_COLORS[color]) : null), [mode, text, font, color]);
+
+  const handleSave = () => {
+    const dataUrl = { draw: () => trimSignature(pad.current), type: () => typed, upload: () => uploaded }[mode]();
+    if (!dataUrl) return setError({ draw: 'Draw your signature first.', type: 'Type your name first.', upload: 'Choose an image first.' }[mode]);
+    onSave(dataUrl);
+  };
+
+  return (
+    <div className="signature-creator">
+      <div className="modal-options">
+        {[['draw', 'Draw'], ['type', 'Type'], ['upload', 'Upload']].map(([key, label]) => (
+          <label key={key} className="modal-option">
+            <input type="radio" name="signature-mode" checked={mode === key} onChange={() => { setMode(key); setError(''); }} />
+            {label}
+          </label>
+        ))}
+        {mode !== 'upload' && (
+          <select className="modal-input modal-input-inline" value={color} onChange={(e) => setColor(e.target.value)}>
+            {Object.keys(INK_COLORS).map(key => <option key={key} value={key}>{key[0].toUpperCase() + key.slice(1)} ink</option>)}
+          </select>
+        )}
+      </div>
+      {mode === 'draw' && (
+        <>
+          <DrawPad color={INK_COLORS[color]} canvasRef={pad} />
+          <button onClick={() => pad.current.getContext('2d').clearRect(0, 0, pad.current.width, pad.current.height)} className="modal-btn secondary">
+            Clear
+          </button>
+        </>
+      )}
+      {mode === 'type' && (
+        <>
+          <div className="modal-row">
+            <input type="text" className="modal-input" placeholder="Your name" value={text} onChange={(e) => setText(e.target.value)} autoFocus />
+            <select className="modal-input modal-input-inline" value={font} onChange={(e) => setFont(e.target.value)}>
+              {Object.entries(SIGNATURE_FONTS).map(([key, { label }]) => <option key={key} value={key}>{label}</option>)}
+            </select>
+          </div>
+          <div className="signature-preview">{typed && <img src={typed} alt="" />}</div>
+        </>
+      )}
+      {mode === 'upload' && (
+        <>
+          <input
+            type="file"
+            accept="image/png,image/jpeg"
+            className="modal-input"
+            onChange={(e) => e.target.files[0] && signatureFromImage(e.target.files[0])
+              .then(setUploaded)
+              .catch(err => setError(`Could not read the image: ${err.message}`))}
+          />
+          <p>A PNG with a transparent background looks best.</p>
+          <div className="signature-preview">{uploaded && <img src={uploaded} alt="" />}</div>
+        </>
+      )}
+      {error && <p className="modal-error">{error}</p>}
+      <div className="modal-footer">
+        {onCancel && <button onClick={onCancel} className="modal-btn secondary">Cancel</button>}
+        <button onClick={handleSave} className="modal-btn primary">Save Signature</button>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Places saved signatures on the pages of a PDF: pick a signature, click the
+ * page to place it, then drag it or its corner handle to move and resize it.
+ * Submits [{ page, image, x, y, width, height, date }] for signPdf (lib/stamp.js).
+ */
+export const SignModal = ({ file, onCancel, onSubmit }) => {
+  const [signatures, setSignatures] = useState(loadSignatures);
+  const [selectedId, setSelectedId] = useState(signatures[0]?.id ?? null);
+  const [creating, setCreating] = useState(signatures.length === 0);
+  const [pageNumber, setPageNumber] = useState(1);
+  const [placements, setPlacements] = useState([]);
+  const [addDate, setAddDate] = useState(false);
+  const [dateText, setDateText] = useState(() => new Date().toLocaleDateString());
+  const [error, setError] = useState('');
+  const [busy, setBusy] = useState(false);
+  const holder = useRef(null);
+  const pageRef = useRef(null);
+  // The move or resize under way: { id, kind, startX, startY, original }.
+  const gesture = useRef(null);
+  // Set while a placement is handled, so the click that follows doesn't place another one.
+  const suppressClick = useRef(false);
+  const { pdf, error: loadError } = usePdfDocument(file);
+  const { size: pageSize, error: renderError } = usePdfPage(pdf, pageNumber, holder);
+  const shownError = error || loadError || renderError;
+
+  const updateSignatures = (next) => {
+    setSignatures(next);
+    try {
+      saveSignatures(next);
+    } catch {
+      setError("The browser's storage is full, so this signature is only kept until the dialog closes.");
+    }
+  };
+
+  const addSignature = (dataUrl) => {
+    const signature = { id: createSignatureId(), dataUrl, created: Date.now() };
+    updateSignatures([...signatures, signature]);
+    setSelectedId(signature.id);
+    setCreating(false);
+  };
+
+  const removeSignature = (id) => {
+    updateSignatures(signatures.filter(s => s.id !== id));
+    if (selectedId === id) setSelectedId(null);
+  };
+
+  const fraction = (e) => {
+    const rect = pageRef.current.getBoundingClientRect();
+    return [(e.clientX - rect.left) / rect.width, (e.clientY - rect.top) / rect.height];
+  };
+
+  const placeAt = async (e) => {
+    if (suppressClick.current || e.target.closest('.sign-placement')) return;
+    const signature = signatures.find(s => s.id === selectedId);
+    if (!signature || !pageSize) return;
+    const [fx, fy] = fraction(e);
+    let imageWidth, imageHeight;
+    try {
+      [imageWidth, imageHeight] = await imageSize(signature.dataUrl);
+    } catch (err) {
+      return setError(err.message);
+    }
+    const width = DEFAULT_WIDTH;
+    const height = Math.min(width * (imageHeight / imageWidth) * (pageSize[0] / pageSize[1]), 1);
+    setPlacements(prev => [...prev, {
+      id: createSignatureId(),
+      page: pageNumber - 1,
+      dataUrl: signature.dataUrl,
+      x: clamp(fx - width / 2, 0, 1 - width),
+      y: clamp(fy - height / 2, 0, 1 - height),
+      width,
+      height,
+    }]);
+  };
+
+  const startGesture = (e, placement, kind) => {
+    e.stopPropagation();
+    pageRef.current.setPointerCapture(e.pointerId);
+    const [startX, startY] = fraction(e);
+    gesture.current = { id: placement.id, kind, startX, startY, original: placement };
+    suppressClick.current = true;
+  };
+
+  const moveGesture = (e) => {
+    if (!gesture.current) return;
+    const { id, kind, startX, startY, original } = gesture.current;
+    const [fx, fy] = fraction(e);
+    setPlacements(prev => prev.map(p => {
+      if (p.id !== id) return p;
+      if (kind === 'move') {
+        return { ...p, x: clamp(original.x + fx - startX, 0, 1 - p.width), y: clamp(original.y + fy - startY, 0, 1 - p.height) };
+      }
+      // Resizing keeps the signature's proportions.
+      const ratio = original.height / original.width;
+      const width = clamp(original.width + fx - startX, MIN_WIDTH, Math.min(1 - original.x, (1 - original.y) / ratio));
+      return { ...p, width, height: width * ratio };
+    }));
+  };
+
+  const endGesture = () => {
+    gesture.current = null;
+    setTimeout(() => { suppressClick.current = false; });
+  };
+
+  const handleSubmit = async () => {
+    setBusy(true);
+    try {
+      const blobs = new Map();
+      for (const { dataUrl } of placements) {
+        if (!blobs.has(dataUrl)) blobs.set(dataUrl, await blobFromDataUrl(dataUrl));
+      }
+      onSubmit(placements.map(({ page, dataUrl, x, y, width, height }) => ({
+        page, x, y, width, height,
+        image: blobs.get(dataUrl),
+        date: addDate && dateText.trim() ? dateText.trim() : null,
+      })));
+    } catch (err) {
+      setError(`Could not prepare the signatures: ${err.message}`);
+      setBusy(false);
+    }
+  };
+
+  const onPage = placements.filter(p => p.page === pageNumber - 1);
+
+  return (
+    <Modal title={`Sign — ${file.name}`} onClose={onCancel} className="modal-wide">
+      <div className="editor-layout">
+        <div className="editor-sidebar">
+          <p>Signatures</p>
+          <div className="signature-list">
+            {signatures.map(signature => (
+              <div key={signature.id} className={`signature-item ${signature.id === selectedId ? 'active' : ''}`}>
+                <button onClick={() => setSelectedId(signature.id)} className="signature-thumb" title="Use this signature">
+                  <img src={signature.dataUrl} alt="" />
+                </button>
+                <button onClick={() => removeSignature(signature.id)} className="remove-file-btn" title="Delete this signature">
+                  <X size={16} />
+                </button>
+              </div>
+            ))}
+            {!creating && (
+              <button onClick={() => setCreating(true)} className="modal-btn secondary signature-new">
+                <Plus size={16} /> New Signature
+              </button>
+            )}
+          </div>
+          {creating && <SignatureCreator onSave={addSignature} onCancel={signatures.length > 0 ? () => setCreating(false) : null} />}
+          <label className="modal-option">
+            <input type="checkbox" checked={addDate} onChange={() => setAddDate(!addDate)} />
+            Add the date next to signatures
+          </label>
+          {addDate && <input type="text" className="modal-input" value={dateText} onChange={(e) => setDateText(e.target.value)} />}
+        </div>
+        <div className="editor-main">
+          <p>{selectedId ? 'Click the page to place the selected signature; drag to move, drag the corner to resize.' : 'Pick or create a signature to place it.'}</p>
+          <div className="editor-scroll">
+            <div
+              ref={pageRef}
+              className={`pdf-page ${selectedId ? 'placing' : ''}`}
+              onClick={placeAt}
+              onPointerMove={moveGesture}
+              onPointerUp={endGesture}
+              onPointerCancel={endGesture}
+            >
+              <div ref={holder} className="pdf-page-canvas">{!pdf && !shownError && <p>Loading...</p>}</div>
+              {pageSize && onPage.map(p => (
+                <div
+                  key={p.id}
+                  className="sign-placement"
+                  style={{ left: `${p.x * 100}%`, top: `${p.y * 100}%`, width: `${p.width * 100}%`, height: `${p.height * 100}%` }}
+                  onPointerDown={(e) => startGesture(e, p, 'move')}
+                >
+                  <img src={p.dataUrl} alt="" draggable={false} />
+                  {addDate && dateText.trim() && <span className="sign-date">{dateText}</span>}
+                  <button
+                    onPointerDown={(e) => e.stopPropagation()}
+                    onClick={() => setPlacements(prev => prev.filter(other => other.id !== p.id))}
+                    className="overlay-remove"
+                    title="Remove"
+                  >
+                    <X size={14} />
+                  </button>
+                  <span className="sign-resize" onPointerDown={(e) => startGesture(e, p, 'resize')} />
+                </div>
+              ))}
+            </div>
+          </div>
+          {pdf?.numPages > 1 && (
+            <div className="preview-pager">
+              <button onClick={() => setPageNumber(n => n - 1)} className="recipe-icon-btn" disabled={pageNumber === 1} title="Previous page">
+                <ChevronLeft size={20} />
+              </button>
+              <span>{pageNumber} / {pdf.numPages}</span>
+              <button onClick={() => setPageNumber(n => n + 1)} className="recipe-icon-btn" disabled={pageNumber === pdf.numPages} title="Next page">
+                <ChevronRight size={20} />
+              </button>
+            </div>
+          )}
+        </div>
+      </div>
+      {shownError && <p className="modal-error">{shownError}</p>}
+      <div className="modal-footer">
+        <button onClick={onCancel} className="modal-btn secondary">Cancel</button>
+        <button onClick={handleSubmit} className="modal-btn primary" disabled={placements.length === 0 || busy}>
+          {placements.length > 1 ? `Sign (${placements.length} signatures)` : 'Sign'}
+        </button>
+      </div>
+    </Modal>
+  );
+};
@@ -0,0 +1,136 @@
+import { useState } from 'react';
+import { Modal } from './Modal';
+import { DEFAULT_STAMP_OPTIONS, STAMP_POSITIONS, formatBates } from '../lib/stamp';
+
+const POSITION_LABELS = {
+  'top-left': 'Top left', top: 'Top', 'top-right': 'Top right',
+  left: 'Left', center: 'Center', right: 'Right',
+  'bottom-left': 'Bottom left', bottom: 'Bottom', 'bottom-right': 'Bottom right',
+};
+
+const PositionSelect = ({ value, onChange }) => (
+  <select className="modal-input" value={value} onChange={(e) => onChange(e.target.value)}>
+    {STAMP_POSITIONS.map(position => <option key={position} value={position}>{POSITION_LABELS[position]}</option>)}
+  </select>
+);
+
+const BandFields = ({ label, values, onChange }) => (
+  <>
+    <p>{label}:</p>
+    <div className="modal-row">
+      {['left', 'center', 'right'].map(slot => (
+        <input
+          key={slot}
+          type="text"
+          className="modal-input"
+          placeholder={slot[0].toUpperCase() + slot.slice(1)}
+          value={values[slot]}
+          onChange={(e) => onChange({ ...values, [slot]: e.target.value })}
+        />
+      ))}
+    </div>
+  </>
+);
+
+const DEFAULT_WATERMARK = { text: 'CONFIDENTIAL', fontSize: 72, color: '#ff0000', opacity: 0.3, rotation: 45, position: 'center', scale: 0.5 };
+const DEFAULT_BATES = { prefix: '', start: '1', digits: '6', position: 'bottom-right' };
+
+// `initial`: options submitted before (a recipe step's), to start from. Its
+// watermark image may be a Blob or a data URL and is kept unless another is chosen.
+export const StampModal = ({ initial, onCancel, onSubmit }) => {
+  const { type: initialType, image: initialImage, ...initialWatermark } = initial ? initial.watermark ?? { type: 'none' } : { type: 'text' };
+  const [watermarkType, setWatermarkType] = useState(initialType);
+  const [watermark, setWatermark] = useState({ ...DEFAULT_WATERMARK, ...initialWatermark });
+  const [image, setImage] = useState(initialImage ?? null);
+  const [header, setHeader] = useState({ ...DEFAULT_STAMP_OPTIONS.header, ...initial?.header });
+  const [footer, setFooter] = useState({ ...DEFAULT_STAMP_OPTIONS.footer, ...initial?.footer });
+  const [useBates, setUseBates] = useState(Boolean(initial?.bates));
+  const [bates, setBates] = useState({ ...DEFAULT_BATES, ...initial?.bates });
+  const [pages, setPages] = useState(initial?.pages ?? '');
+  const [fontSize, setFontSize] = useState(String(initial?.fontSize ?? DEFAULT_STAMP_OPTIONS.fontSize));
+  const [error, setError] = useState('');
+
+  const updateWatermark = (key, value) => setWatermark(prev => ({ ...prev, [key]: value }));
+  const updateBates = (key, value) => setBates(prev => ({ ...prev, [key]: value }));
+
+  const handleSubmit = () => {
+    if (watermarkType === 'image' && !image) return setError('Choose a PNG or JPEG image for the watermark.');
+    const hasBand = [header, footer].some(band => Object.values(band).some(Boolean));
+    if (watermarkType === 'none' && !hasBand && !useBates) return setError('Add a watermark, a header/footer or Bates numbers.');
+    if (useBates && !(parseInt(bates.start, 10) >= 0)) return setError('Enter a Bates start number.');
+    onSubmit({
+      watermark: watermarkType === 'none' ? null : { ...watermark, type: watermarkType, image },
+      header,
+      footer,
+      bates: useBates ? bates : null,
+      pages,
+      fontSize,
+    });
+  };
+
+  return (
+    <Modal title="Watermark & Page Numbers" onClose={onCancel}>
+      <p>Watermark:</p>
+      <div className="modal-options">
+        {[['none', 'None'], ['text', 'Text'], ['image', 'Image']].map(([value, label]) => (
+          <label key={value} className="modal-option">
+            <input type="radio" name="watermark-type" checked={watermarkType === value} onChange={() => setWatermarkType(value)} />
+            {label}
+          </label>
+        ))}
+      </div>
+      {watermarkType === 'text' && (
+        <div className="modal-row">
+          <input type="text" className="modal-input" value={watermark.text} onChange={(e) => updateWatermark('text', e.target.value)} />
+          <input type="number" min="1" className="modal-input stamp-small" title="Font size" value={watermark.fontSize} onChange={(e) => updateWatermark('fontSize', e.target.value)} />
+          <input type="color" className="stamp-color" title="Color" value={watermark.color} onChange={(e) => updateWatermark('color', e.target.value)} />
+        </div>
+      )}
+      {watermarkType === 'image' && (
+        <div className="modal-row">
+          <input type="file" accept="image/png,image/jpeg" onChange={(e) => setImage(e.target.files[0] || initialImage || null)} />
+          {image && image === initialImage && <span className="stamp-hint">Current image kept</span>}
+          <span>Width</span>
+          <input type="number" min="1" max="100" className="modal-input stamp-small" value={Math.round(watermark.scale * 100)} onChange={(e) => updateWatermark('scale', e.target.value / 100)} />
+          <span>%</span>
+        </div>
+      )}
+      {watermarkType !== 'none' && (
+        <div className="modal-row">
+          <PositionSelect value={watermark.position} onChange={(value) => updateWatermark('position', value)} />
+          <span>Angle</span>
+          <input type="number" className="modal-input stamp-small" value={watermark.rotation} onChange={(e) => updateWatermark('rotation', e.target.value)} />
+          <span>Opacity {Math.round(watermark.opacity * 100)}%</span>
+          <input type="range" className="modal-range" min="0.05" max="1" step="0.05" value={watermark.opacity} onChange={(e) => updateWatermark('opacity', parseFloat(e.target.value))} />
+        </div>
+      )}
+      <BandFields label="Header" values={header} onChange={setHeader} />
+      <BandFields label="Footer" values={footer} onChange={setFooter} />
+      <p className="stamp-hint">Tokens: {'{page}'}, {'{total}'}, {'{filename}'}, {'{date}'}, {'{bates}'}</p>
+      <label className="modal-option">
+        <input type="checkbox" checked={useBates} onChange={() => setUseBates(!useBates)} />
+        Bates numbering
+      </label>
+      {useBates && (
+        <div className="modal-row">
+          <input type="text" className="modal-input" placeholder="Prefix" value={bates.prefix} onChange={(e) => updateBates('prefix', e.target.value)} />
+          <input type="number" min="0" className="modal-input stamp-small" title="Start number" value={bates.start} onChange={(e) => updateBates('start', e.target.value)} />
+          <input type="number" min="0" max="12" className="modal-input stamp-small" title="Digits" value={bates.digits} onChange={(e) => updateBates('digits', e.target.value)} />
+          <PositionSelect value={bates.position} onChange={(value) => updateBates('position', value)} />
+        </div>
+      )}
+      {useBates && <p className="stamp-hint">First number: {formatBates(bates, parseInt(bates.start, 10) || 0)}. Numbering continues across the selected files.</p>}
+      <div className="modal-row">
+        <span>Pages</span>
+        <input type="text" className="modal-input" placeholder="All, or e.g. 2-" value={pages} onChange={(e) => setPages(e.target.value)} />
+        <span>Text size</span>
+        <input type="number" min="4" className="modal-input stamp-small" value={fontSize} onChange={(e) => setFontSize(e.target.value)} />
+      </div>
+      {error && <p className="modal-error">{error}</p>}
+      <div className="modal-footer">
+        <button onClick={onCancel} className="modal-btn secondary">Cancel</button>
+        <button onClick={handleSubmit} className="modal-btn primary">Stamp</button>
+      </div>
+    </Modal>
+  );
+};
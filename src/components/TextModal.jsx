@@ -0,0 +1,97 @@
+import { useState } from 'react';
+import { Modal } from './Modal';
+import { TEXT_FORMATS } from '../lib/text';
+
+// Options for PDF to Text. `onCopy(options)` resolves to the extracted text
+// (null when cancelled), which is put on the clipboard here instead of being
+// downloaded. Browsers only allow that during the click, so the text goes in as
+// a pending ClipboardItem; where there is none, a second click copies it.
+export const TextModal = ({ onCancel, onExport, onCopy }) => {
+  const [format, setFormat] = useState('txt');
+  const [separators, setSeparators] = useState(true);
+  const [pages, setPages] = useState('');
+  const [clipboard, setClipboard] = useState(false);
+  const [status, setStatus] = useState('');
+  const [busy, setBusy] = useState(false);
+  // Text extracted for the fallback, with the options it was extracted with.
+  const [extracted, setExtracted] = useState(null);
+
+  const copied = (text) => setStatus(text.trim()
+    ? `Copied ${text.length.toLocaleString()} characters to the clipboard.`
+    : 'No text was found (scanned pages have none), so the clipboard is now empty.');
+
+  const handleSubmit = async () => {
+    const options = { format, separators, pages };
+    if (!clipboard) return onExport(options);
+    const key = JSON.stringify(options);
+    let cancelled = false;
+    try {
+      if (extracted?.key === key) {
+        await navigator.clipboard.writeText(extracted.text);
+        return copied(extracted.text);
+      }
+      setBusy(true);
+      setStatus('Extracting text...');
+      const pending = onCopy(options);
+      if (typeof ClipboardItem === 'undefined') {
+        const text = await pending;
+        if (text === null) return setStatus('');
+        setExtracted({ key, text });
+        return setStatus(`Extracted ${text.length.toLocaleString()} characters. Click Copy to put them on the clipboard.`);
+      }
+      const blob = pending.then(text => {
+        cancelled = text === null;
+        if (cancelled) throw new Error('Cancelled.');
+        return new Blob([text], { type: 'text/plain' });
+      });
+      try {
+        await navigator.clipboard.write([new ClipboardItem({ 'text/plain': blob })]);
+      } catch (err) {
+        // When extraction failed, report that rather than the clipboard's error.
+        await blob;
+        throw err;
+      }
+      copied(await pending);
+    } catch (err) {
+      setStatus(cancelled ? '' : `Could not copy: ${err.message}`);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <Modal title="PDF to Text" onClose={onCancel}>
+      <div className="modal-options">
+        {Object.entries(TEXT_FORMATS).map(([key, { label }]) => (
+          <label key={key} className="modal-option">
+            <input type="radio" name="text-format" checked={format === key} onChange={() => setFormat(key)} />
+            {label}
+          </label>
+        ))}
+      </div>
+      <label className="modal-option">
+        <input type="checkbox" checked={separators} onChange={() => setSeparators(!separators)} />
+        Mark where each page starts
+      </label>
+      <p>Pages:</p>
+      <input
+        type="text"
+        className="modal-input"
+        placeholder="All, or e.g. 1, 4-6"
+        value={pages}
+        onChange={(e) => setPages(e.target.value)}
+      />
+      <label className="modal-option">
+        <input type="checkbox" checked={clipboard} onChange={() => setClipboard(!clipboard)} />
+        Copy to clipboard instead of downloading
+      </label>
+      {status && <p className="text-status">{status}</p>}
+      <div className="modal-footer">
+        <button onClick={onCancel} className="modal-btn secondary">{status && !busy ? 'Close' : 'Cancel'}</button>
+        <button onClick={handleSubmit} className="modal-btn primary" disabled={busy}>
+          {clipboard ? 'Copy' : 'Export'}
+        </button>
+      </div>
+    </Modal>
+  );
+};
@@ -0,0 +1,16 @@
+import { X } from 'lucide-react';
+
+// Non-blocking notifications in the corner, newest last. toasts: [{ id, kind, message }]
+// with kind 'error', 'info' or 'success'.
+export const Toasts = ({ toasts, onDismiss }) => (
+  <div className="toasts" role="status" aria-live="polite">
+    {toasts.map(({ id, kind, message }) => (
+      <div key={id} className={`toast ${kind}`}>
+        <span>{message}</span>
+        <button onClick={() => onDismiss(id)} className="remove-file-btn" title="Dismiss">
+          <X size={16} />
+        </button>
+      </div>
+    ))}
+  </div>
+);
@@ -0,0 +1,59 @@
+import { useState } from 'react';
+import { Lock } from 'lucide-react';
+import { Modal } from './Modal';
+import { checkPdfPassword } from '../lib/convert';
+
+// Asks for the password of an encrypted PDF (when it has one) and, for actions
+// that edit the PDF, warns that a rasterized copy will be used instead.
+export const UnlockModal = ({ file, needsPassword, rasterize, onCancel, onSubmit }) => {
+  const [password, setPassword] = useState('');
+  const [checking, setChecking] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleSubmit = async () => {
+    setError('');
+    if (needsPassword) {
+      setChecking(true);
+      try {
+        const status = await checkPdfPassword(file, password);
+        if (status !== 'ok') return setError('Incorrect password.');
+      } catch (err) {
+        return setError(`Could not open ${file.name}: ${err.message}`);
+      } finally {
+        setChecking(false);
+      }
+    }
+    onSubmit(needsPassword ? password : '');
+  };
+
+  return (
+    <Modal title={`Encrypted PDF — ${file.name}`} onClose={onCancel}>
+      <p className="unlock-title"><Lock size={18} /> This PDF is encrypted.</p>
+      {needsPassword && (
+        <input
+          type="password"
+          className="modal-input"
+          placeholder="Password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          onKeyDown={(e) => e.key === 'Enter' && handleSubmit()}
+          autoFocus
+        />
+      )}
+      {rasterize && (
+        <p className="unlock-warning">
+          This action can't edit encrypted PDFs directly, so it will work on a rasterized copy:
+          every page becomes an image, text can no longer be selected or searched, and the file
+          may get larger.
+        </p>
+      )}
+      {error && <p className="modal-error">{error}</p>}
+      <div className="modal-footer">
+        <button onClick={onCancel} className="modal-btn secondary">Cancel</button>
+        <button onClick={handleSubmit} className="modal-btn primary" disabled={checking}>
+          {checking ? 'Checking...' : rasterize ? 'Use Rasterized Copy' : 'Unlock'}
+        </button>
+      </div>
+    </Modal>
+  );
+};
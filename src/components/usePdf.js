@@ -0,0 +1,63 @@
+import { useEffect, useState } from 'react';
+import { openPdf, renderPdfPage } from '../lib/convert';
+
+// Hooks behind the dialogs that show PDF pages (preview, sign, redact).
+
+/**
+ * Opens a PDF with pdfjs and destroys it again when `blob` changes or the
+ * component unmounts. Returns { pdf, error }.
+ */
+export function usePdfDocument(blob) {
+  const [state, setState] = useState({ pdf: null, error: '' });
+
+  useEffect(() => {
+    let alive = true;
+    let doc = null;
+    blob.arrayBuffer()
+      .then(data => openPdf(data))
+      .then(loaded => {
+        doc = loaded;
+        if (!alive) return loaded.destroy();
+        setState({ pdf: loaded, error: '' });
+      })
+      .catch(err => alive && setState({ pdf: null, error: `Could not open the PDF: ${err.message}` }));
+    return () => {
+      alive = false;
+      doc?.destroy();
+    };
+  }, [blob]);
+
+  return state;
+}
+
+/**
+ * Renders page `pageNumber` (1-based) of an open pdfjs document into the
+ * `holder` element. zoom 'fit' fills the holder's width (the canvas then
+ * follows it as it resizes); a number is a scale in CSS pixels per point.
+ * Returns { size: [width, height] in points and `page`, the number of the
+ * page last rendered, once there is one; error }.
+ */
+export function usePdfPage(pdf, pageNumber, holder, zoom = 'fit') {
+  const [state, setState] = useState({ size: null, page: null, error: '' });
+
+  useEffect(() => {
+    if (!pdf) return;
+    let alive = true;
+    (async () => {
+      const page = await pdf.getPage(pageNumber);
+      const base = page.getViewport({ scale: 1 });
+      const style = getComputedStyle(holder.current);
+      const width = holder.current.clientWidth - parseFloat(style.paddingLeft) - parseFloat(style.paddingRight);
+      const scale = zoom === 'fit' ? width / base.width : zoom;
+      // Rendered at device resolution so text stays sharp on high-DPI screens.
+      const canvas = await renderPdfPage(page, scale * (window.devicePixelRatio || 1));
+      canvas.style.width = zoom === 'fit' ? '100%' : `${Math.round(base.width * scale)}px`;
+      if (!alive) return;
+      holder.current.replaceChildren(canvas);
+      setState({ size: [base.width, base.height], page: pageNumber, error: '' });
+    })().catch(err => alive && setState(prev => ({ ...prev, error: `Could not render page ${pageNumber}: ${err.message}` })));
+    return () => { alive = false; };
+  }, [pdf, pageNumber, holder, zoom]);
+
+  return state;
+}
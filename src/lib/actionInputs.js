@@ -0,0 +1,47 @@
+import { isImage, isPdf } from './fileType';
+import { RECIPE_STEPS } from './recipes';
+
+// What each action needs from the selection. Used to grey out actions in the
+// menu and checked again before an action runs.
+const INPUTS = {
+  image: { test: isImage, one: 'an image (PNG, JPEG, GIF, WebP, AVIF, BMP or SVG)', many: 'images' },
+  pdf: { test: isPdf, one: 'a PDF', many: 'PDFs' },
+  pdfOrImage: { test: (f) => isPdf(f) || isImage(f), one: 'a PDF or an image', many: 'PDFs or images' },
+};
+
+export const ACTION_INPUTS = {
+  to_png: { accepts: 'image' },
+  to_jpeg: { accepts: 'image' },
+  to_webp: { accepts: 'image' },
+  images_to_pdf: { accepts: 'image' },
+  scan_images: { accepts: 'image' },
+  pdf_to_images: { accepts: 'pdf' },
+  pdf_to_text: { accepts: 'pdf' },
+  merge_pdfs: { accepts: 'pdf', min: 2 },
+  organize_pages: { accepts: 'pdf' },
+  exclude_pages: { accepts: 'pdf' },
+  split_pdf: { accepts: 'pdf' },
+  compress_pdf: { accepts: 'pdf' },
+  stamp_pdf: { accepts: 'pdf' },
+  ocr: { accepts: 'pdfOrImage' },
+  properties: { accepts: 'pdf' },
+  fill_form: { accepts: 'pdf' },
+  sign_pdf: { accepts: 'pdf' },
+  redact_pdf: { accepts: 'pdf' },
+};
+
+/**
+ * Why `action` can't run on the selected files, or null if it can.
+ * Recipes need what their first step works on.
+ */
+export function unavailableReason(action, files, recipe) {
+  if (files.length === 0) return 'Select files in the queue first.';
+  const { accepts, min = 1 } = action === 'run_recipe'
+    ? { accepts: RECIPE_STEPS[recipe.steps[0].type].input }
+    : ACTION_INPUTS[action] || {};
+  if (!accepts) return null;
+  const input = INPUTS[accepts];
+  if (files.filter(input.test).length >= min) return null;
+  if (accepts !== 'pdf' && files.some(f => f.type === 'image/tiff')) return "Browsers can't decode TIFF images.";
+  return min > 1 ? `Needs at least ${min} ${input.many}.` : `Needs ${input.one}.`;
+}
@@ -0,0 +1,216 @@
+import {
+  PDFArray, PDFDict, PDFDocument, PDFName, PDFNumber, PDFRawStream, PDFRef, PDFStream, decodePDFRawStream,
+} from 'pdf-lib';
+import { canvasToBlob, createCanvas, rasterizePdf, toGrayscale } from './convert';
+
+// PDF compression. Embedded images are downsampled and re-encoded in place, so
+// text and vector content stay as they are; `rasterize` instead renders whole
+// pages (smallest for scans, but text is lost). Runs in the conversion worker.
+
+export const COMPRESSION_PRESETS = {
+  screen: { label: 'Screen', description: '72 DPI, low quality — smallest', dpi: 72, quality: 0.5 },
+  ebook: { label: 'eBook', description: '150 DPI, medium quality', dpi: 150, quality: 0.7 },
+  print: { label: 'Print', description: '300 DPI, high quality', dpi: 300, quality: 0.85 },
+};
+
+const lookupName = (dict, key) => {
+  const value = dict.lookup(PDFName.of(key));
+  return value instanceof PDFName ? value.decodeText() : undefined;
+};
+
+// Image XObjects reachable from a resources dictionary (including inside form
+// XObjects), each with the largest pixel box it needs: the page size at `dpi`.
+function collectImages(context, resources, box, images, seenForms) {
+  const xObjects = resources instanceof PDFDict ? resources.lookup(PDFName.of('XObject')) : undefined;
+  if (!(xObjects instanceof PDFDict)) return;
+  for (const [, ref] of xObjects.entries()) {
+    if (!(ref instanceof PDFRef)) continue;
+    const stream = context.lookup(ref);
+    if (!(stream instanceof PDFStream)) continue;
+    const subtype = lookupName(stream.dict, 'Subtype');
+    if (subtype === 'Image') {
+      const current = images.get(ref) || [0, 0];
+      images.set(ref, [Math.max(current[0], box[0]), Math.max(current[1], box[1])]);
+    } else if (subtype === 'Form' && !seenForms.has(ref)) {
+      seenForms.add(ref);
+      collectImages(context, stream.dict.lookup(PDFName.of('Resources')), box, images, seenForms);
+    }
+  }
+}
+
+// Number of colour components for the colour spaces we can re-encode, else 0.
+function componentsOf(colorSpace) {
+  if (colorSpace instanceof PDFName) {
+    return { DeviceRGB: 3, DeviceGray: 1 }[colorSpace.decodeText()] || 0;
+  }
+  if (colorSpace instanceof PDFArray && colorSpace.lookup(0) === PDFName.of('ICCBased')) {
+    const profile = colorSpace.lookup(1);
+    const n = profile instanceof PDFStream ? profile.dict.lookup(PDFName.of('N')) : undefined;
+    return n instanceof PDFNumber && (n.asNumber() === 3 || n.asNumber() === 1) ? n.asNumber() : 0;
+  }
+  return 0;
+}
+
+// Undoes PNG predictors (DecodeParms /Predictor 10-15), one filter byte per row.
+function unpredictPng(data, rowLength, components) {
+  const rows = Math.floor(data.length / (rowLength + 1));
+  const out = new Uint8Array(rowLength * rows);
+  let prev = new Uint8Array(rowLength);
+  for (let row = 0, src = 0; row < rows; row++) {
+    const filter = data[src++];
+    const line = out.subarray(row * rowLength, (row + 1) * rowLength);
+    for (let i = 0; i < rowLength; i++, src++) {
+      const left = i >= components ? line[i - components] : 0;
+      const up = prev[i];
+      const upLeft = i >= components ? prev[i - components] : 0;
+      let predicted = 0;
+      if (filter === 1) predicted = left;
+      else if (filter === 2) predicted = up;
+      else if (filter === 3) predicted = (left + up) >> 1;
+      else if (filter === 4) {
+        const p = left + up - upLeft;
+        const pa = Math.abs(p - left), pb = Math.abs(p - up), pc = Math.abs(p - upLeft);
+        predicted = pa <= pb && pa <= pc ? left : pb <= pc ? up : upLeft;
+      }
+      line[i] = (data[src] + predicted) & 0xff;
+    }
+    prev = line;
+  }
+  return out;
+}
+
+// Decodes an image XObject we know how to handle into something drawable, or null.
+async function decodeImage(stream) {
+  const { dict } = stream;
+  if (!(stream instanceof PDFRawStream)) return null;
+  if (dict.lookup(PDFName.of('ImageMask')) || dict.has(PDFName.of('Mask')) || dict.has(PDFName.of('Decode'))) return null;
+  const bits = dict.lookup(PDFName.of('BitsPerComponent'));
+  if (!(bits instanceof PDFNumber) || bits.asNumber() !== 8) return null;
+  const components = componentsOf(dict.lookup(PDFName.of('ColorSpace')));
+  if (!components) return null;
+
+  let filter = dict.lookup(PDFName.of('Filter'));
+  if (filter instanceof PDFArray && filter.size() === 1) filter = filter.lookup(0);
+  const width = dict.lookup(PDFName.of('Width')).asNumber();
+  const height = dict.lookup(PDFName.of('Height')).asNumber();
+
+  if (filter === PDFName.of('DCTDecode')) {
+    return { components, bitmap: await createImageBitmap(new Blob([stream.contents], { type: 'image/jpeg' })) };
+  }
+  if (filter !== undefined && filter !== PDFName.of('FlateDecode')) return null;
+
+  let samples = filter ? decodePDFRawStream(stream).decode() : stream.contents;
+  const params = dict.lookup(PDFName.of('DecodeParms'));
+  const predictor = params instanceof PDFDict ? params.lookup(PDFName.of('Predictor')) : undefined;
+  if (predictor instanceof PDFNumber && predictor.asNumber() >= 10) {
+    samples = unpredictPng(samples, width * components, components);
+  } else if (predictor instanceof PDFNumber && predictor.asNumber() !== 1) {
+    return null;
+  }
+  if (samples.length < width * height * components) return null;
+
+  const rgba = new Uint8ClampedArray(width * height * 4);
+  for (let i = 0, j = 0; j < rgba.length; i += components, j += 4) {
+    rgba[j] = samples[i];
+    rgba[j + 1] = samples[i + (components === 3 ? 1 : 0)];
+    rgba[j + 2] = samples[i + (components === 3 ? 2 : 0)];
+    rgba[j + 3] = 255;
+  }
+  return { components, bitmap: new ImageData(rgba, width, height) };
+}
+
+// Deletes indirect objects that nothing refers to any more (replaced images,
+// leftovers from earlier edits). Walks from the trailer's Root and Info.
+export function removeUnusedObjects(context) {
+  const reachable = new Set();
+  const pending = [context.trailerInfo.Root, context.trailerInfo.Info];
+  while (pending.length > 0) {
+    const obj = pending.pop();
+    if (obj instanceof PDFRef) {
+      if (reachable.has(obj)) continue;
+      reachable.add(obj);
+      pending.push(context.lookup(obj));
+    } else if (obj instanceof PDFDict) {
+      for (const [, value] of obj.entries()) pending.push(value);
+    } else if (obj instanceof PDFArray) {
+      pending.push(...obj.asArray());
+    } else if (obj instanceof PDFStream) {
+      pending.push(obj.dict);
+    }
+  }
+  for (const [ref] of context.enumerateIndirectObjects()) {
+    if (!reachable.has(ref)) context.delete(ref);
+  }
+}
+
+/**
+ * Compresses a PDF.
+ * options: { preset: key of COMPRESSION_PRESETS, grayscale, rasterize, password }.
+ * Images larger than the page at the preset DPI are downsampled, and re-encoded
+ * as JPEG at the preset quality (also when `grayscale` asks for it); an image
+ * is only replaced when that makes it smaller. Unused objects are dropped.
+ * @param {Blob} file
+ * @returns {Promise<{ bytes: Uint8Array, images: number }>} images = how many were replaced
+ */
+export async function compressPdf(file, options = {}, onProgress = () => {}) {
+  const preset = COMPRESSION_PRESETS[options.preset || 'ebook'];
+  if (!preset) throw new Error(`Unknown preset "${options.preset}".`);
+  const { dpi, quality } = preset;
+  if (options.rasterize) {
+    const bytes = await rasterizePdf(file, { password: options.password, dpi, quality, grayscale: options.grayscale }, onProgress);
+    return { bytes, images: 0 };
+  }
+
+  const pdfDoc = await PDFDocument.load(await file.arrayBuffer(), { updateMetadata: false });
+  const { context } = pdfDoc;
+  const images = new Map();
+  const seenForms = new Set();
+  for (const page of pdfDoc.getPages()) {
+    const { width, height } = page.getSize();
+    collectImages(context, page.node.Resources(), [(width / 72) * dpi, (height / 72) * dpi], images, seenForms);
+  }
+
+  let replaced = 0;
+  let done = 0;
+  for (const [ref, [maxWidth, maxHeight]] of images) {
+    onProgress(done++ / (images.size + 1));
+    const stream = context.lookup(ref);
+    const image = await decodeImage(stream);
+    if (!image) continue;
+    const { width, height } = image.bitmap;
+    const scale = Math.min(1, maxWidth / width, maxHeight / height);
+    const grayscale = options.grayscale && image.components === 3;
+    if (scale > 0.95 && !grayscale) continue;
+
+    const canvas = createCanvas(Math.max(1, Math.round(width * scale)), Math.max(1, Math.round(height * scale)));
+    const ctx = canvas.getContext('2d');
+    if (image.bitmap instanceof ImageData) {
+      const source = createCanvas(width, height);
+      source.getContext('2d').putImageData(image.bitmap, 0, 0);
+      ctx.drawImage(source, 0, 0, canvas.width, canvas.height);
+    } else {
+      ctx.drawImage(image.bitmap, 0, 0, canvas.width, canvas.height);
+    }
+    if (grayscale) toGrayscale(canvas);
+    const jpeg = new Uint8Array(await (await canvasToBlob(canvas, 'image/jpeg', quality)).arrayBuffer());
+    if (jpeg.length >= stream.contents.length) continue;
+
+    const smask = stream.dict.get(PDFName.of('SMask'));
+    context.assign(ref, context.stream(jpeg, {
+      Type: 'XObject',
+      Subtype: 'Image',
+      Width: canvas.width,
+      Height: canvas.height,
+      ColorSpace: 'DeviceRGB',
+      BitsPerComponent: 8,
+      Filter: 'DCTDecode',
+      ...(smask && { SMask: smask }),
+    }));
+    replaced++;
+  }
+
+  removeUnusedObjects(context);
+  const bytes = await pdfDoc.save({ useObjectStreams: true });
+  onProgress(1);
+  return { bytes, images: replaced };
+}
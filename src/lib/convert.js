@@ -0,0 +1,366 @@
+import * as pdfjsLib from 'pdfjs-dist';
+import { PDFDocument } from 'pdf-lib';
+import { DEFAULT_IMAGE_SETTINGS, IMAGE_FORMATS, computeResize } from './imageSettings';
+import { parsePageRanges } from './pageRanges';
+
+// Canvas-based conversion logic shared by the UI and the conversion worker.
+// Everything here runs on either thread: canvases are DOM canvases on the main
+// thread and OffscreenCanvas inside a worker. The DOM-free PDF operations live
+// in ./pdf.js.
+const inWorker = typeof document === 'undefined';
+
+// Setup PDF.js worker
+pdfjsLib.GlobalWorkerOptions.workerSrc = new URL('pdfjs-dist/build/pdf.worker.min.mjs', import.meta.url).toString();
+
+// --- CANVAS HELPERS ---
+export function createCanvas(width, height) {
+  if (inWorker) return new OffscreenCanvas(width, height);
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+}
+
+export function canvasToBlob(canvas, type, quality) {
+  if (canvas.convertToBlob) return canvas.convertToBlob({ type, quality });
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => {
+      if (!blob) return reject(new Error('Canvas to Blob conversion failed'));
+      resolve(blob);
+    }, type, quality);
+  });
+}
+
+// Workers have no Image element, so images are decoded with createImageBitmap there.
+// The main thread keeps using Image, which also handles SVG.
+async function loadImage(file) {
+  if (inWorker) return createImageBitmap(file);
+  const img = new Image();
+  img.src = URL.createObjectURL(file);
+  try {
+    await img.decode();
+    return img;
+  } finally {
+    URL.revokeObjectURL(img.src);
+  }
+}
+
+// pdfjs needs its canvases from somewhere other than `document` inside a worker.
+class OffscreenCanvasFactory {
+  create(width, height) {
+    const canvas = new OffscreenCanvas(width, height);
+    return { canvas, context: canvas.getContext('2d') };
+  }
+  reset(canvasAndContext, width, height) {
+    canvasAndContext.canvas.width = width;
+    canvasAndContext.canvas.height = height;
+  }
+  destroy(canvasAndContext) {
+    canvasAndContext.canvas.width = canvasAndContext.canvas.height = 0;
+    canvasAndContext.canvas = null;
+    canvasAndContext.context = null;
+  }
+}
+
+// SVG filters are DOM-only; without them pdfjs simply skips transfer functions.
+class NoFilterFactory {
+  addFilter() { return 'none'; }
+  addHCMFilter() { return 'none'; }
+  addAlphaFilter() { return 'none'; }
+  addLuminosityFilter() { return 'none'; }
+  addHighlightHCMFilter() { return 'none'; }
+  destroy() {}
+}
+
+export function openPdf(data, password) {
+  const workerOptions = inWorker
+    ? { CanvasFactory: OffscreenCanvasFactory, FilterFactory: NoFilterFactory, disableFontFace: true }
+    : {};
+  return pdfjsLib.getDocument({ data, password, ...workerOptions }).promise;
+}
+
+/**
+ * Tries to open a PDF with pdfjs. Returns 'ok', 'needed' (the PDF has a user
+ * password and none was given) or 'incorrect'. Other errors are thrown.
+ */
+export async function checkPdfPassword(file, password) {
+  try {
+    const pdf = await openPdf(await file.arrayBuffer(), password);
+    await pdf.destroy();
+    return 'ok';
+  } catch (error) {
+    if (error.name !== 'PasswordException') throw error;
+    return error.code === pdfjsLib.PasswordResponses.NEED_PASSWORD ? 'needed' : 'incorrect';
+  }
+}
+
+// --- FULLY FUNCTIONAL CONVERSION LOGIC ---
+function drawImage(img, resize, opaque, scale = 1) {
+  const { width, height, dx, dy, dw, dh } = computeResize(img.width, img.height, resize);
+  const canvas = createCanvas(Math.max(1, Math.round(width * scale)), Math.max(1, Math.round(height * scale)));
+  const ctx = canvas.getContext('2d');
+  // Formats without alpha would turn letterbox padding black.
+  if (opaque) {
+    ctx.fillStyle = '#fff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+  }
+  ctx.imageSmoothingQuality = 'high';
+  ctx.drawImage(img, dx * scale, dy * scale, dw * scale, dh * scale);
+  return canvas;
+}
+
+// Finds the highest quality (then, if that is not enough, the largest size)
+// whose encoding fits in maxBytes.
+async function encodeUnder(img, targetType, settings, maxBytes) {
+  const { lossy } = IMAGE_FORMATS[targetType];
+  let scale = 1;
+  for (let attempt = 0; attempt < 12; attempt++) {
+    const canvas = drawImage(img, settings.resize, targetType === 'image/jpeg', scale);
+    if (!lossy) {
+      const blob = await canvasToBlob(canvas, targetType);
+      if (blob.size <= maxBytes) return blob;
+    } else {
+      let best = null;
+      let low = 0.05, high = Math.min(1, settings.quality);
+      for (let step = 0; step < 7; step++) {
+        const quality = step === 0 ? high : (low + high) / 2;
+        const blob = await canvasToBlob(canvas, targetType, quality);
+        if (blob.size <= maxBytes) {
+          best = blob;
+          if (step === 0) break;
+          low = quality;
+        } else {
+          high = quality;
+        }
+      }
+      if (best) return best;
+    }
+    // Still too big: shrink by 15% and search again.
+    scale *= 0.85;
+  }
+  throw new Error(`Could not get the image under ${Math.round(maxBytes / 1024)} KB.`);
+}
+
+/**
+ * Re-encodes an image as `targetType` ('image/png', 'image/jpeg' or 'image/webp').
+ * `settings` follows DEFAULT_IMAGE_SETTINGS in ./imageSettings.js: resizing,
+ * quality for lossy formats and an optional maxKB size limit.
+ * @returns {Promise<ArrayBuffer>} the encoded image bytes
+ */
+export async function dataURLFromImage(file, targetType, settings = DEFAULT_IMAGE_SETTINGS) {
+  const img = await loadImage(file);
+  const maxKB = parseFloat(settings.maxKB);
+  if (maxKB > 0) {
+    const blob = await encodeUnder(img, targetType, settings, maxKB * 1024);
+    return await blob.arrayBuffer();
+  }
+  const canvas = drawImage(img, settings.resize, targetType === 'image/jpeg');
+  const quality = IMAGE_FORMATS[targetType].lossy ? settings.quality : 1.0;
+  const blob = await canvasToBlob(canvas, targetType, quality);
+  return await blob.arrayBuffer();
+}
+
+const EMBEDDABLE_TYPES = ['image/png', 'image/jpeg'];
+
+/**
+ * Transcodes images to PNG so pdf-lib can embed them. By default everything
+ * other than PNG and JPEG is converted; pass `shouldRasterize` to narrow that.
+ * Workers cannot decode SVG (createImageBitmap rejects it), so SVGs have to be
+ * rasterized on the main thread before they are handed to a job.
+ * @returns {Promise<Array<File>>} the inputs, with transcoded ones replaced
+ */
+export async function rasterizeImages(files, shouldRasterize = (file) => !EMBEDDABLE_TYPES.includes(file.type)) {
+  const result = [];
+  for (const file of files) {
+    if (!shouldRasterize(file)) {
+      result.push(file);
+      continue;
+    }
+    let png;
+    try {
+      png = await dataURLFromImage(file, 'image/png');
+    } catch (error) {
+      throw new Error(`Could not read ${file.name}: ${error.message}`);
+    }
+    result.push(new File([png], file.name.replace(/\.[^/.]+$/, "") + '.png', { type: 'image/png' }));
+  }
+  return result;
+}
+
+// `background` is any canvas fill style; pdfjs paints white by default.
+export async function renderPdfPage(page, scale, background) {
+  const viewport = page.getViewport({ scale });
+  const canvas = createCanvas(viewport.width, viewport.height);
+  const context = canvas.getContext('2d');
+  await page.render({ canvasContext: context, viewport, background }).promise;
+  return canvas;
+}
+
+/**
+ * dpi: render resolution, 72-600 (PDF pages are 72 points per inch, so 144
+ * doubles their size). format: a key of IMAGE_FORMATS; quality applies to the
+ * lossy ones. transparent keeps PNG backgrounds clear instead of white.
+ * pages: page spec ("" for all). password opens encrypted PDFs.
+ */
+export const DEFAULT_PDF_IMAGE_OPTIONS = {
+  dpi: 144,
+  format: 'image/jpeg',
+  quality: 0.92,
+  transparent: false,
+  pages: '',
+  password: undefined,
+};
+
+// Opens the PDF for fn(pdf, numbers) with the selected page numbers and
+// destroys it afterwards, so the worker doesn't keep its pages in memory.
+async function withPdfPages(pdfFile, options, fn) {
+  const pdf = await openPdf(await pdfFile.arrayBuffer(), options.password);
+  try {
+    const numbers = options.pages?.trim()
+      ? parsePageRanges(options.pages, pdf.numPages).map(i => i + 1)
+      : Array.from({ length: pdf.numPages }, (_, i) => i + 1);
+    return await fn(pdf, numbers);
+  } finally {
+    await pdf.destroy();
+  }
+}
+
+/**
+ * Renders the pages of a PDF to images; see DEFAULT_PDF_IMAGE_OPTIONS.
+ * When `onImage` is given, each page is handed over as soon as it is rendered
+ * instead of being collected, so long documents don't pile up in memory.
+ * `index`/`count` place the page among the selected ones.
+ * @returns {Promise<Array<{ page: number, blob: Blob }>>} empty when `onImage` is used
+ */
+export async function pdfToImages(pdfFile, options = {}, onImage) {
+  options = { ...DEFAULT_PDF_IMAGE_OPTIONS, ...options };
+  const dpi = parseFloat(options.dpi);
+  if (!(dpi >= 72 && dpi <= 600)) throw new Error("DPI must be between 72 and 600.");
+  const transparent = options.transparent && options.format === 'image/png';
+  return withPdfPages(pdfFile, options, async (pdf, numbers) => {
+    const images = [];
+    for (const [index, number] of numbers.entries()) {
+      const canvas = await renderPdfPage(await pdf.getPage(number), dpi / 72, transparent ? 'rgba(0, 0, 0, 0)' : undefined);
+      const blob = await canvasToBlob(canvas, options.format, IMAGE_FORMATS[options.format].lossy ? options.quality : undefined);
+      if (onImage) await onImage({ page: number, index, count: numbers.length, blob });
+      else images.push({ page: number, blob });
+    }
+    return images;
+  });
+}
+
+// Turns a decoded pdfjs image into a canvas. pdfjs hands images over either as
+// an ImageBitmap or as raw pixels in one of its ImageKind layouts.
+function embeddedImageCanvas(img) {
+  const canvas = createCanvas(img.width, img.height);
+  const ctx = canvas.getContext('2d');
+  if (img.bitmap) {
+    ctx.drawImage(img.bitmap, 0, 0);
+    return canvas;
+  }
+  const { width, height, data, kind } = img;
+  const rgba = new Uint8ClampedArray(width * height * 4);
+  if (kind === pdfjsLib.ImageKind.RGBA_32BPP) {
+    rgba.set(data.subarray(0, rgba.length));
+  } else if (kind === pdfjsLib.ImageKind.RGB_24BPP) {
+    for (let i = 0, j = 0; j < rgba.length; i += 3, j += 4) {
+      rgba[j] = data[i];
+      rgba[j + 1] = data[i + 1];
+      rgba[j + 2] = data[i + 2];
+      rgba[j + 3] = 255;
+    }
+  } else {
+    // 1 bit per pixel, rows padded to whole bytes, set bits are white.
+    const rowBytes = Math.ceil(width / 8);
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const value = (data[y * rowBytes + (x >> 3)] >> (7 - (x & 7))) & 1 ? 255 : 0;
+        const j = (y * width + x) * 4;
+        rgba[j] = rgba[j + 1] = rgba[j + 2] = value;
+        rgba[j + 3] = 255;
+      }
+    }
+  }
+  ctx.putImageData(new ImageData(rgba, width, height), 0, 0);
+  return canvas;
+}
+
+const resolveObject = (objs, id) => new Promise(resolve => objs.get(id, resolve));
+
+/**
+ * Pulls the raster images out of a PDF at their native resolution instead of
+ * rendering pages. Images used several times are extracted once. Uses the
+ * format, quality, pages and password of DEFAULT_PDF_IMAGE_OPTIONS.
+ * onImage({ page, number, blob }) gets each image; `number` counts the images
+ * of that page. Resolves to how many images were found.
+ */
+export async function extractPdfImages(pdfFile, options = {}, onImage, onProgress = () => {}) {
+  options = { ...DEFAULT_PDF_IMAGE_OPTIONS, ...options };
+  const { OPS } = pdfjsLib;
+  return withPdfPages(pdfFile, options, async (pdf, numbers) => {
+    const seen = new Set();
+    let found = 0;
+    for (const [index, number] of numbers.entries()) {
+      const page = await pdf.getPage(number);
+      const { fnArray, argsArray } = await page.getOperatorList();
+      let count = 0;
+      for (const [i, fn] of fnArray.entries()) {
+        let img;
+        if (fn === OPS.paintImageXObject || fn === OPS.paintImageXObjectRepeat) {
+          const [id] = argsArray[i];
+          if (seen.has(id)) continue;
+          seen.add(id);
+          img = await resolveObject(id.startsWith('g_') ? page.commonObjs : page.objs, id);
+        } else if (fn === OPS.paintInlineImageXObject) {
+          [img] = argsArray[i];
+        }
+        if (!img) continue;
+        const blob = await canvasToBlob(embeddedImageCanvas(img), options.format, IMAGE_FORMATS[options.format].lossy ? options.quality : undefined);
+        await onImage({ page: number, number: ++count, blob });
+        found++;
+      }
+      onProgress((index + 1) / numbers.length);
+    }
+    return found;
+  });
+}
+
+/**
+ * Makes a copy of a PDF by rendering each page with pdfjs and placing the
+ * result on a page of the same size. Used to get an unencrypted copy pdf-lib
+ * can edit (pdfjs can decrypt) and to flatten scans when compressing. Pages
+ * become JPEG images, so text is no longer selectable.
+ * options: { password, dpi (default 144), quality (default 0.92), grayscale }
+ * @returns {Promise<Uint8Array>}
+ */
+export async function rasterizePdf(pdfFile, options = {}, onProgress = () => {}) {
+  const { password, dpi = 144, quality = 0.92, grayscale = false } = options;
+  const pdf = await openPdf(await pdfFile.arrayBuffer(), password);
+  try {
+    const pdfDoc = await PDFDocument.create();
+    for (let i = 1; i <= pdf.numPages; i++) {
+      const page = await pdf.getPage(i);
+      const { width, height } = page.getViewport({ scale: 1 });
+      const canvas = await renderPdfPage(page, dpi / 72);
+      if (grayscale) toGrayscale(canvas);
+      const jpeg = await canvasToBlob(canvas, 'image/jpeg', quality);
+      const image = await pdfDoc.embedJpg(await jpeg.arrayBuffer());
+      pdfDoc.addPage([width, height]).drawImage(image, { x: 0, y: 0, width, height });
+      onProgress(i / pdf.numPages);
+    }
+    return await pdfDoc.save();
+  } finally {
+    await pdf.destroy();
+  }
+}
+
+// Replaces the canvas contents with their luminance (Rec. 601 weights).
+export function toGrayscale(canvas) {
+  const ctx = canvas.getContext('2d');
+  const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+  const { data } = imageData;
+  for (let i = 0; i < data.length; i += 4) {
+    data[i] = data[i + 1] = data[i + 2] = Math.round(0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2]);
+  }
+  ctx.putImageData(imageData, 0, 0);
+}
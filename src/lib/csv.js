@@ -0,0 +1,70 @@
+// A small CSV reader for the data files users fill forms from. DOM-free.
+
+// Spreadsheets in many locales export with semicolons; the first line decides.
+function detectDelimiter(firstLine) {
+  const count = (char) => firstLine.split(char).length - 1;
+  return [',', ';', '\t'].reduce((best, char) => (count(char) > count(best) ? char : best), ',');
+}
+
+/**
+ * Parses CSV text (RFC 4180: quoted fields may hold delimiters, quotes as ""
+ * and line breaks) into rows of strings. Blank lines are dropped.
+ * @param {string} text
+ * @returns {string[][]}
+ */
+export function parseCsv(text) {
+  const source = text.replace(/^\uFEFF/, '');
+  const delimiter = detectDelimiter(source.split(/\r?\n/, 1)[0]);
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0] !== '') rows.push(row);
+    row = [];
+    field = '';
+  };
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+  if (quoted) throw new Error('The CSV ends inside a quoted field.');
+  if (field !== '' || row.length > 0) endRow();
+  return rows;
+}
+
+/**
+ * Rows as objects keyed by the header row. Header names are trimmed; missing
+ * cells become ''.
+ * @returns {{ columns: string[], records: Array<Object<string, string>> }}
+ */
+export function readCsvRecords(text) {
+  const [header = [], ...rows] = parseCsv(text);
+  const columns = header.map(name => name.trim());
+  return {
+    columns,
+    records: rows.map(row => Object.fromEntries(columns.map((column, i) => [column, row[i] ?? '']))),
+  };
+}
@@ -0,0 +1,32 @@
+import { saveAs } from 'file-saver';
+import { createZipArchive } from './zip';
+
+/**
+ * Collects the outputs of one action.
+ * With `bundle` set, two or more outputs are streamed into a single ZIP named `archiveName`;
+ * a lone output is always downloaded as-is. Otherwise every output is saved individually.
+ */
+export function createDownloads({ bundle, archiveName }) {
+  let first = null;
+  let archive = null;
+
+  return {
+    async add(name, blob) {
+      if (!bundle) return saveAs(blob, name);
+      if (!archive && !first) {
+        first = { name, blob };
+        return;
+      }
+      if (!archive) {
+        archive = createZipArchive();
+        await archive.add(first.name, first.blob);
+        first = null;
+      }
+      await archive.add(name, blob);
+    },
+    async finish() {
+      if (archive) saveAs(await archive.finish(), archiveName);
+      else if (first) saveAs(first.blob, first.name);
+    },
+  };
+}
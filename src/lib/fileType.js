@@ -0,0 +1,85 @@
+// Detects file types from their first bytes, so a mis-named or type-less file
+// (e.g. dragged out of an email) is handled as what it really is. Files are
+// re-typed when they are added to the queue; everything downstream keeps
+// using `file.type`.
+
+// decodable: false for types browsers can't draw, so image actions skip them.
+export const FILE_TYPES = {
+  'application/pdf': { label: 'PDF', extensions: ['pdf'] },
+  'image/png': { label: 'PNG', extensions: ['png'] },
+  'image/jpeg': { label: 'JPEG', extensions: ['jpg', 'jpeg', 'jpe', 'jfif'] },
+  'image/gif': { label: 'GIF', extensions: ['gif'] },
+  'image/webp': { label: 'WebP', extensions: ['webp'] },
+  'image/avif': { label: 'AVIF', extensions: ['avif'] },
+  'image/bmp': { label: 'BMP', extensions: ['bmp', 'dib'] },
+  'image/tiff': { label: 'TIFF', extensions: ['tif', 'tiff'], decodable: false },
+  'image/svg+xml': { label: 'SVG', extensions: ['svg'] },
+};
+
+// Non-standard MIME types some systems still send.
+const TYPE_ALIASES = {
+  'image/jpg': 'image/jpeg',
+  'image/pjpeg': 'image/jpeg',
+  'image/x-png': 'image/png',
+  'image/x-ms-bmp': 'image/bmp',
+  'image/x-bmp': 'image/bmp',
+  'application/x-pdf': 'application/pdf',
+};
+
+const SNIFF_BYTES = 1024;
+const BMP_HEADER_SIZES = [12, 40, 52, 56, 64, 108, 124];
+
+const startsWith = (bytes, signature, offset = 0) => signature.every((byte, i) => bytes[offset + i] === byte);
+const ascii = (text) => [...text].map(ch => ch.charCodeAt(0));
+
+/**
+ * The MIME type of the content in `bytes` (the start of a file), or null.
+ * @param {Uint8Array} bytes
+ */
+export function sniffType(bytes) {
+  if (startsWith(bytes, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) return 'image/png';
+  if (startsWith(bytes, [0xff, 0xd8, 0xff])) return 'image/jpeg';
+  if (startsWith(bytes, ascii('GIF87a')) || startsWith(bytes, ascii('GIF89a'))) return 'image/gif';
+  if (startsWith(bytes, ascii('RIFF')) && startsWith(bytes, ascii('WEBP'), 8)) return 'image/webp';
+  if (startsWith(bytes, ascii('ftyp'), 4) && (startsWith(bytes, ascii('avif'), 8) || startsWith(bytes, ascii('avis'), 8))) return 'image/avif';
+  if (startsWith(bytes, ascii('II*\0')) || startsWith(bytes, ascii('MM\0*'))) return 'image/tiff';
+  // "BM" alone is too common; also check the DIB header size that follows the file header.
+  if (startsWith(bytes, ascii('BM')) && BMP_HEADER_SIZES.includes(bytes[14] | (bytes[15] << 8))) return 'image/bmp';
+
+  const text = new TextDecoder('latin1').decode(bytes);
+  // Readers accept a PDF header anywhere in the first KB.
+  if (text.includes('%PDF-')) return 'application/pdf';
+  if (/^(\xEF\xBB\xBF)?\s*</.test(text) && /<svg[\s>]/i.test(text)) return 'image/svg+xml';
+  return null;
+}
+
+export function typeFromName(name) {
+  const extension = name.includes('.') ? name.split('.').pop().toLowerCase() : '';
+  return Object.keys(FILE_TYPES).find(type => FILE_TYPES[type].extensions.includes(extension)) || null;
+}
+
+export const typeLabel = (type) => FILE_TYPES[type]?.label || (type ? type.split('/').pop().toUpperCase() : 'Unknown');
+
+/**
+ * Sniffs a file and returns it with its detected type, plus what was found:
+ * info = { detected, declared, warning }. declared is the type claimed by the
+ * file (its MIME type, else its extension); warning explains a mismatch.
+ * Content we don't recognise gets an empty type so no action picks it up.
+ * @returns {Promise<{ file: File, info: { detected: string|null, declared: string|null, warning: string|null } }>}
+ */
+export async function detectFileType(file) {
+  const detected = sniffType(new Uint8Array(await file.slice(0, SNIFF_BYTES).arrayBuffer()));
+  const declared = TYPE_ALIASES[file.type] || file.type || typeFromName(file.name);
+  let warning = null;
+  if (detected && declared && detected !== declared) {
+    warning = `Named as ${typeLabel(declared)}, but the content is ${typeLabel(detected)}.`;
+  } else if (!detected && FILE_TYPES[declared]) {
+    warning = `Named as ${typeLabel(declared)}, but the content isn't a valid ${typeLabel(declared)}.`;
+  }
+  const type = detected || '';
+  const typed = type === file.type ? file : new File([file], file.name, { type, lastModified: file.lastModified });
+  return { file: typed, info: { detected, declared, warning } };
+}
+
+export const isPdf = (file) => file.type === 'application/pdf';
+export const isImage = (file) => file.type.startsWith('image/') && FILE_TYPES[file.type]?.decodable !== false;
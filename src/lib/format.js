@@ -0,0 +1,6 @@
+// Display helpers shared by the panels and dialogs.
+
+/** 1536 -> "1.5 KB", 3145728 -> "3.0 MB". */
+export const formatSize = (bytes) => (bytes >= 1024 * 1024
+  ? `${(bytes / 1024 / 1024).toFixed(1)} MB`
+  : `${(bytes / 1024).toFixed(1)} KB`);
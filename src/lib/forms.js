@@ -0,0 +1,134 @@
+// Fillable PDF forms (AcroForm), read and filled with pdf-lib's form API.
+// DOM-free like ./pdf.js.
+import {
+  PDFDocument, PDFButton, PDFCheckBox, PDFDropdown, PDFOptionList, PDFRadioGroup, PDFSignature, PDFTextField,
+} from 'pdf-lib';
+import { formatOutputName, unencodableCharacters, uniqueOutputName } from './pdf.js';
+
+// CSV cells that tick a checkbox.
+const CHECKED_VALUES = ['1', 'x', 'y', 'yes', 'true', 'on', 'checked'];
+// Separates the picks of a multi-select list in a CSV cell.
+const LIST_SEPARATOR = ';';
+
+function describeField(field) {
+  const base = { name: field.getName(), readOnly: field.isReadOnly() };
+  if (field instanceof PDFTextField) {
+    return { ...base, type: 'text', value: field.getText() ?? '', multiline: field.isMultiline(), maxLength: field.getMaxLength() };
+  }
+  if (field instanceof PDFCheckBox) return { ...base, type: 'checkbox', value: field.isChecked() };
+  if (field instanceof PDFRadioGroup) return { ...base, type: 'radio', value: field.getSelected() ?? '', options: field.getOptions() };
+  if (field instanceof PDFDropdown) {
+    return { ...base, type: 'dropdown', value: field.getSelected()[0] ?? '', options: field.getOptions(), editable: field.isEditable() };
+  }
+  if (field instanceof PDFOptionList) return { ...base, type: 'list', value: field.getSelected(), options: field.getOptions() };
+  // Signatures and buttons are listed, but there is nothing to fill in.
+  const type = field instanceof PDFSignature ? 'signature' : field instanceof PDFButton ? 'button' : 'unknown';
+  return { ...base, type, value: null, readOnly: true };
+}
+
+/**
+ * Lists the form fields of a PDF with their current values: a string for
+ * text, radio and dropdown fields, a boolean for checkboxes and an array for
+ * (multi-select) lists. XFA-only forms show no fields.
+ * @param {Blob} file
+ * @returns {Promise<Array<{ name: string, type: string, value: any, readOnly: boolean, options?: string[] }>>}
+ */
+export async function readPdfForm(file) {
+  const pdfDoc = await PDFDocument.load(await file.arrayBuffer(), { updateMetadata: false });
+  return pdfDoc.getForm().getFields().map(describeField);
+}
+
+// pdf-lib redraws filled fields with Helvetica, so anything outside WinAnsi
+// would fail the whole save.
+function checkEncodable(font, texts) {
+  const missing = unencodableCharacters(font, texts.join(''));
+  if (missing.length > 0) {
+    throw new Error(`the form's font can't show ${missing.map(ch => `"${ch}"`).join(', ')} (only Latin characters are supported).`);
+  }
+}
+
+function setFieldValue(field, value, font) {
+  if (field instanceof PDFTextField || field instanceof PDFDropdown || field instanceof PDFOptionList) {
+    checkEncodable(font, [value].flat().map(String));
+  }
+  if (field instanceof PDFTextField) {
+    field.setText(value === '' ? undefined : String(value));
+  } else if (field instanceof PDFCheckBox) {
+    if (value) field.check();
+    else field.uncheck();
+  } else if (field instanceof PDFRadioGroup || field instanceof PDFDropdown) {
+    // pdf-lib would accept any text, even where the viewer only offers the list.
+    const listOnly = field instanceof PDFDropdown && !field.isEditable();
+    if (value === '') field.clear();
+    else if (listOnly && !field.getOptions().includes(String(value))) throw new Error(`"${value}" is not one of its options.`);
+    else field.select(String(value));
+  } else if (field instanceof PDFOptionList) {
+    if (value.length === 0) field.clear();
+    else field.select(value);
+  } else {
+    throw new Error(`"${field.getName()}" can't be filled in.`);
+  }
+}
+
+/**
+ * Writes a copy of a PDF with new form values. `values` maps field names to
+ * values of the kind readPdfForm returns; fields not in it keep theirs.
+ * options.flatten draws the fields into the pages so they can't be edited.
+ * Text outside the WinAnsi (Latin) set is rejected per field, as the
+ * appearances are drawn with a standard font.
+ * @param {Blob|ArrayBuffer|Uint8Array} source
+ * @param {Object<string, any>} values
+ * @param {{ flatten?: boolean }} [options]
+ * @returns {Promise<Uint8Array>}
+ */
+export async function fillPdfForm(source, values, options = {}, onProgress = () => {}) {
+  const bytes = source instanceof Blob ? await source.arrayBuffer() : source;
+  const pdfDoc = await PDFDocument.load(bytes, { updateMetadata: false });
+  const form = pdfDoc.getForm();
+  const font = form.getDefaultFont();
+  for (const [name, value] of Object.entries(values)) {
+    const field = form.getFieldMaybe(name);
+    if (!field) throw new Error(`The form has no field named "${name}".`);
+    try {
+      setFieldValue(field, value, font);
+    } catch (error) {
+      throw new Error(`Could not fill "${name}": ${error.message}`);
+    }
+  }
+  if (options.flatten) form.flatten();
+  onProgress(1);
+  return await pdfDoc.save();
+}
+
+/**
+ * Turns a CSV record into form values. Columns are matched to fields by name;
+ * other columns are ignored, as are signature and button fields. Empty cells
+ * clear the field.
+ * @param {Object<string, string>} record
+ * @param {Array<{ name: string, type: string }>} fields from readPdfForm
+ */
+export function formValuesFromRecord(record, fields) {
+  const values = {};
+  for (const { name, type, readOnly } of fields) {
+    if (!(name in record) || readOnly) continue;
+    const cell = record[name].trim();
+    if (type === 'checkbox') values[name] = CHECKED_VALUES.includes(cell.toLowerCase());
+    else if (type === 'list') values[name] = cell.split(LIST_SEPARATOR).map(option => option.trim()).filter(Boolean);
+    else values[name] = cell;
+  }
+  return values;
+}
+
+/**
+ * Output names for a CSV batch. Template tokens: {name} (the template PDF
+ * without its extension), {n} (the row number) and any column as {Column}
+ * (columns whose names aren't single words can't be used).
+ */
+export function formOutputNames(template, baseName, records) {
+  const used = new Set();
+  return records.map((record, i) => {
+    const name = formatOutputName(template, { ...record, name: baseName, n: i + 1 });
+    // Rows with the same values would overwrite each other.
+    return `${uniqueOutputName(name, used, i + 1)}.pdf`;
+  });
+}
@@ -0,0 +1,62 @@
+// Output formats and resize math for image conversions. Kept free of canvas
+// code so the settings UI can share it with ./convert.js.
+
+export const IMAGE_FORMATS = {
+  'image/png': { extension: '.png', label: 'PNG', lossy: false },
+  'image/jpeg': { extension: '.jpg', label: 'JPEG', lossy: true },
+  'image/webp': { extension: '.webp', label: 'WebP', lossy: true },
+};
+
+/**
+ * resize.mode: 'none' | 'max' (fit inside width x height, never upscale) |
+ * 'percent' | 'exact' (width x height, placed per resize.fit: 'fit' letterboxes,
+ * 'fill' stretches, 'crop' covers and trims the overflow).
+ * quality is 0..1 for lossy formats. maxKB, when set, makes the conversion
+ * search for the best quality (and, if needed, size) that stays under the limit.
+ */
+export const DEFAULT_IMAGE_SETTINGS = {
+  resize: { mode: 'none', width: '', height: '', percent: 100, fit: 'fit' },
+  quality: 0.92,
+  maxKB: '',
+};
+
+/**
+ * Works out the canvas size and where to draw the source on it.
+ * @returns {{ width, height, dx, dy, dw, dh }} all rounded to whole pixels
+ */
+export function computeResize(srcWidth, srcHeight, resize = DEFAULT_IMAGE_SETTINGS.resize) {
+  const w = parseInt(resize.width, 10) || 0;
+  const h = parseInt(resize.height, 10) || 0;
+  const round = ({ width, height, dx, dy, dw, dh }) => ({
+    width: Math.max(1, Math.round(width)),
+    height: Math.max(1, Math.round(height)),
+    dx: Math.round(dx),
+    dy: Math.round(dy),
+    dw: Math.round(dw),
+    dh: Math.round(dh),
+  });
+
+  switch (resize.mode) {
+    case 'max': {
+      const scale = Math.min(1, w ? w / srcWidth : 1, h ? h / srcHeight : 1);
+      return round({ width: srcWidth * scale, height: srcHeight * scale, dx: 0, dy: 0, dw: srcWidth * scale, dh: srcHeight * scale });
+    }
+    case 'percent': {
+      const scale = (parseFloat(resize.percent) || 100) / 100;
+      return round({ width: srcWidth * scale, height: srcHeight * scale, dx: 0, dy: 0, dw: srcWidth * scale, dh: srcHeight * scale });
+    }
+    case 'exact': {
+      // A missing side follows the aspect ratio.
+      const width = w || (h ? (srcWidth * h) / srcHeight : srcWidth);
+      const height = h || (w ? (srcHeight * w) / srcWidth : srcHeight);
+      if (resize.fit === 'fill') return round({ width, height, dx: 0, dy: 0, dw: width, dh: height });
+      const pick = resize.fit === 'crop' ? Math.max : Math.min;
+      const scale = pick(width / srcWidth, height / srcHeight);
+      const dw = srcWidth * scale;
+      const dh = srcHeight * scale;
+      return round({ width, height, dx: (width - dw) / 2, dy: (height - dh) / 2, dw, dh });
+    }
+    default:
+      return { width: srcWidth, height: srcHeight, dx: 0, dy: 0, dw: srcWidth, dh: srcHeight };
+  }
+}
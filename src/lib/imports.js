@@ -0,0 +1,149 @@
+import { ZipTooLargeError, readZipArchive } from './zip';
+
+// Collects files for the queue from drops, the file pickers, the clipboard and
+// ZIP archives. Every imported file comes as { file, path }, where path is the
+// folder it sat in relative to what was imported ('' at the top level).
+
+const FILTERS_KEY = 'convertzz.importFilters';
+// Clutter that folders and archives from other systems carry along.
+const IGNORED_NAMES = /^(\.DS_Store|Thumbs\.db|desktop\.ini|\._.*)$/i;
+const IGNORED_FOLDERS = /(^|\/)__MACOSX(\/|$)/;
+const ZIP_TYPES = ['application/zip', 'application/x-zip-compressed'];
+
+const joinPath = (...parts) => parts.filter(Boolean).join('/');
+
+const splitPath = (fullPath) => {
+  const parts = fullPath.split('/').filter(Boolean);
+  return { path: parts.slice(0, -1).join('/'), name: parts.at(-1) || '' };
+};
+
+const isIgnored = ({ path, name }) => IGNORED_NAMES.test(name) || IGNORED_FOLDERS.test(path);
+
+const extensionOf = (name) => (name.includes('.') ? name.split('.').pop().toLowerCase() : '');
+
+export const isZip = (file) => extensionOf(file.name) === 'zip' || ZIP_TYPES.includes(file.type);
+
+// A directory reader hands out its entries in batches until it returns an empty one.
+const readBatch = (reader) => new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+const entryFile = (entry) => new Promise((resolve, reject) => entry.file(resolve, reject));
+
+async function walkEntry(entry) {
+  if (entry.isFile) {
+    const location = splitPath(entry.fullPath);
+    return isIgnored(location) ? [] : [{ file: await entryFile(entry), path: location.path }];
+  }
+  const reader = entry.createReader();
+  const children = [];
+  for (let batch = await readBatch(reader); batch.length > 0; batch = await readBatch(reader)) {
+    children.push(...batch);
+  }
+  children.sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+  const items = [];
+  for (const child of children) items.push(...await walkEntry(child));
+  return items;
+}
+
+/** Files from an <input type="file">, including folder pickers (webkitdirectory). */
+export function filesFromList(fileList) {
+  return Array.from(fileList)
+    .map(file => ({ file, location: splitPath(file.webkitRelativePath || file.name) }))
+    .filter(({ location }) => !isIgnored(location))
+    .map(({ file, location }) => ({ file, path: location.path }));
+}
+
+/**
+ * Files from a drop. Dropped folders are walked recursively through the
+ * entries API; browsers without it only give the top-level files.
+ */
+export async function filesFromDataTransfer(dataTransfer) {
+  // Both have to be read before the first await: the browser empties the
+  // DataTransfer once the drop handler returns.
+  const files = Array.from(dataTransfer.files || []);
+  const entries = Array.from(dataTransfer.items || [])
+    .filter(item => item.kind === 'file')
+    .map(item => item.webkitGetAsEntry?.());
+  if (entries.length === 0 || entries.some(entry => !entry)) return filesFromList(files);
+  const walked = [];
+  for (const entry of entries) walked.push(...await walkEntry(entry));
+  return walked;
+}
+
+/** Files pasted with Ctrl+V, e.g. a screenshot or files copied in a file manager. */
+export function filesFromClipboard(clipboardData) {
+  const stamp = new Date().toISOString().slice(0, 19).replace(/[-:]/g, '').replace('T', '-');
+  return Array.from(clipboardData?.files || []).map((file, i) => {
+    // Pasted images are all called "image.png"; name them so repeated pastes don't clash.
+    if (!/^image\.\w+$/.test(file.name)) return { file, path: '' };
+    const name = `pasted-${stamp}${i > 0 ? `-${i + 1}` : ''}.${extensionOf(file.name)}`;
+    return { file: new File([file], name, { type: file.type, lastModified: file.lastModified }), path: '' };
+  });
+}
+
+/**
+ * Replaces ZIP archives with the files inside them, under a folder named after
+ * the archive. Archives that can't be read are kept as they are and listed in
+ * `failed` as { name, reason } (reason is set for archives that are too large).
+ */
+export async function expandArchives(items) {
+  const expanded = [];
+  const failed = [];
+  for (const item of items) {
+    if (!isZip(item.file)) {
+      expanded.push(item);
+      continue;
+    }
+    try {
+      const folder = joinPath(item.path, item.file.name.replace(/\.zip$/i, ''));
+      for (const { name, data } of await readZipArchive(item.file)) {
+        const location = splitPath(name);
+        if (isIgnored(location)) continue;
+        expanded.push({
+          file: new File([data], location.name, { lastModified: item.file.lastModified }),
+          path: joinPath(folder, location.path),
+        });
+      }
+    } catch (error) {
+      console.error(`Could not open ${item.file.name}:`, error);
+      failed.push({ name: item.file.name, reason: error instanceof ZipTooLargeError ? error.message : null });
+      expanded.push(item);
+    }
+  }
+  return { items: expanded, failed };
+}
+
+/** "pdf, .PNG *.jpg" -> ['pdf', 'png', 'jpg'] */
+export const parseExtensions = (text) => [...new Set(text
+  .split(/[\s,;]+/)
+  .map(ext => ext.replace(/^\*?\./, '').toLowerCase())
+  .filter(Boolean))];
+
+/**
+ * Splits imported files by the extension filters: with `include` set only
+ * those extensions are kept, and `exclude` always drops its extensions.
+ */
+export function applyImportFilters(items, { include, exclude }) {
+  const kept = [];
+  const skipped = [];
+  for (const item of items) {
+    const extension = extensionOf(item.file.name);
+    const allowed = (include.length === 0 || include.includes(extension)) && !exclude.includes(extension);
+    (allowed ? kept : skipped).push(item);
+  }
+  return { kept, skipped };
+}
+
+export function loadImportFilters() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(FILTERS_KEY));
+    return {
+      include: Array.isArray(saved?.include) ? saved.include : [],
+      exclude: Array.isArray(saved?.exclude) ? saved.exclude : [],
+    };
+  } catch {
+    return { include: [], exclude: [] };
+  }
+}
+
+export function saveImportFilters(filters) {
+  localStorage.setItem(FILTERS_KEY, JSON.stringify(filters));
+}
@@ -0,0 +1,119 @@
+export class JobCancelledError extends Error {
+  constructor() {
+    super('Job was cancelled.');
+    this.name = 'JobCancelledError';
+  }
+}
+
+/**
+ * Runs conversion jobs in a pool of Web Workers.
+ *
+ * submit({ label, op, args, onOutput, onResult }) queues a job and resolves once it has
+ * finished and every output has gone through `onOutput(name, blob)`. Batch
+ * operations also pass each input's result ({ index, name, status, message,
+ * duration, size }) to `onResult`. At most
+ * `concurrency` jobs run at once; the rest wait in order. cancel(id) drops a
+ * queued job or terminates the worker of a running one.
+ *
+ * `onChange(jobs)` receives a fresh array of { id, label, status, progress, error, warnings, failed }
+ * snapshots whenever anything changes. Status is one of queued, running, done,
+ * error or cancelled.
+ */
+export function createJobQueue({ createWorker, concurrency = 2, onChange = () => {} }) {
+  let jobs = [];
+  let nextId = 1;
+  const pending = [];
+  const running = new Map();
+  const idleWorkers = [];
+
+  const update = (id, patch) => {
+    jobs = jobs.map(job => (job.id === id ? { ...job, ...patch } : job));
+    onChange(jobs);
+  };
+
+  const settle = (entry, status, error) => {
+    const { worker } = running.get(entry.id) || {};
+    running.delete(entry.id);
+    if (worker) {
+      worker.onmessage = worker.onerror = null;
+      if (status === 'done' || status === 'error') idleWorkers.push(worker);
+      else worker.terminate();
+    }
+    update(entry.id, { status, error: error?.message, finishedAt: Date.now() });
+    if (error) entry.reject(error);
+    else entry.resolve();
+    pump();
+  };
+
+  const start = (entry) => {
+    const worker = idleWorkers.pop() || createWorker();
+    running.set(entry.id, { worker, entry });
+    update(entry.id, { status: 'running' });
+
+    // Outputs are handed over one at a time, in the order the worker produced them.
+    let outputs = Promise.resolve();
+    worker.onmessage = ({ data }) => {
+      if (data.id !== entry.id) return;
+      if (data.type === 'progress') {
+        update(entry.id, { progress: data.progress });
+      } else if (data.type === 'warning') {
+        update(entry.id, { warnings: [...jobs.find(job => job.id === entry.id).warnings, data.message] });
+      } else if (data.type === 'result') {
+        if (data.result.status === 'error') update(entry.id, { failed: jobs.find(job => job.id === entry.id).failed + 1 });
+        entry.onResult(data.result);
+      } else if (data.type === 'output') {
+        outputs = outputs.then(() => entry.onOutput(data.name, data.blob));
+      } else {
+        outputs.then(
+          () => running.has(entry.id) && settle(entry, data.type, data.type === 'error' ? new Error(data.message) : null),
+          (error) => running.has(entry.id) && settle(entry, 'error', error),
+        );
+      }
+    };
+    worker.onerror = (event) => {
+      event.preventDefault();
+      running.get(entry.id).worker = null;
+      worker.terminate();
+      settle(entry, 'error', new Error(event.message || 'The conversion worker crashed.'));
+    };
+    worker.postMessage({ id: entry.id, op: entry.op, args: entry.args });
+  };
+
+  const pump = () => {
+    while (running.size < concurrency && pending.length > 0) start(pending.shift());
+  };
+
+  return {
+    submit({ label, op, args, onOutput = () => {}, onResult = () => {} }) {
+      const id = nextId++;
+      return new Promise((resolve, reject) => {
+        pending.push({ id, op, args, onOutput, onResult, resolve, reject });
+        jobs = [...jobs, { id, label, status: 'queued', progress: 0, error: undefined, warnings: [], failed: 0, createdAt: Date.now() }];
+        onChange(jobs);
+        pump();
+      });
+    },
+
+    cancel(id) {
+      const queuedIdx = pending.findIndex(entry => entry.id === id);
+      if (queuedIdx !== -1) {
+        const [entry] = pending.splice(queuedIdx, 1);
+        update(id, { status: 'cancelled' });
+        entry.reject(new JobCancelledError());
+      } else if (running.has(id)) {
+        settle(running.get(id).entry, 'cancelled', new JobCancelledError());
+      }
+    },
+
+    clearFinished() {
+      jobs = jobs.filter(job => job.status === 'queued' || job.status === 'running');
+      onChange(jobs);
+    },
+
+    // Stops every worker; the queue starts fresh workers if it is used again.
+    terminate() {
+      [...pending.map(entry => entry.id), ...running.keys()].forEach(id => this.cancel(id));
+      idleWorkers.splice(0).forEach(worker => worker.terminate());
+    },
+  };
+}
@@ -0,0 +1,100 @@
+// Document properties (the Info dictionary) of PDFs, read and written with
+// pdf-lib. DOM-free like ./pdf.js.
+import { PDFDocument, PDFName } from 'pdf-lib';
+
+// Editable Info entries, in display order.
+export const METADATA_FIELDS = [
+  { key: 'title', label: 'Title', entry: 'Title' },
+  { key: 'author', label: 'Author', entry: 'Author' },
+  { key: 'subject', label: 'Subject', entry: 'Subject' },
+  { key: 'keywords', label: 'Keywords', entry: 'Keywords' },
+  { key: 'creator', label: 'Creator', entry: 'Creator' },
+  { key: 'producer', label: 'Producer', entry: 'Producer' },
+];
+
+// The version in the file header, raised by a catalog /Version entry if there is one.
+function pdfVersion(pdfDoc, bytes) {
+  const header = new TextDecoder('latin1').decode(bytes.subarray(0, 1024)).match(/%PDF-(\d+\.\d+)/);
+  const catalogVersion = pdfDoc.catalog.lookup(PDFName.of('Version'));
+  const versions = [header?.[1], catalogVersion instanceof PDFName ? catalogVersion.decodeText() : null].filter(Boolean);
+  return versions.sort((a, b) => parseFloat(b) - parseFloat(a))[0] || 'unknown';
+}
+
+function readFields(pdfDoc) {
+  return {
+    title: pdfDoc.getTitle() ?? '',
+    author: pdfDoc.getAuthor() ?? '',
+    subject: pdfDoc.getSubject() ?? '',
+    keywords: pdfDoc.getKeywords() ?? '',
+    creator: pdfDoc.getCreator() ?? '',
+    producer: pdfDoc.getProducer() ?? '',
+  };
+}
+
+/**
+ * Reads the properties shown in the Document Properties dialog.
+ * Page sizes are in points, as displayed (rotation applied).
+ * @param {Blob} file
+ * @returns {Promise<{ fields: object, creationDate?: Date, modificationDate?: Date,
+ *   pageCount: number, pageSizes: Array<[number, number]>, version: string, hasXmp: boolean }>}
+ */
+export async function readPdfProperties(file) {
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  const pdfDoc = await PDFDocument.load(bytes, { updateMetadata: false });
+  const pageSizes = pdfDoc.getPages().map(page => {
+    const { width, height } = page.getSize();
+    return page.getRotation().angle % 180 === 0 ? [width, height] : [height, width];
+  });
+  return {
+    fields: readFields(pdfDoc),
+    creationDate: pdfDoc.getCreationDate(),
+    modificationDate: pdfDoc.getModificationDate(),
+    pageCount: pdfDoc.getPageCount(),
+    pageSizes,
+    version: pdfVersion(pdfDoc, bytes),
+    hasXmp: pdfDoc.catalog.has(PDFName.of('Metadata')),
+  };
+}
+
+/**
+ * Writes a copy of a PDF with new document properties.
+ * `fields` maps METADATA_FIELDS keys to a new value, or to null to remove the
+ * entry; missing keys are kept. "{name}" in a value becomes the file name
+ * without its extension, so one template can be applied to many files.
+ * options.removeDates drops the creation and modification dates (otherwise the
+ * modification date is set to now); options.removeXmp drops the XMP metadata
+ * stream, which may still hold the old values.
+ * @param {Blob & { name?: string }} file
+ * @param {Object<string, string|null>} fields
+ * @param {{ removeDates?: boolean, removeXmp?: boolean }} [options]
+ * @returns {Promise<Uint8Array>}
+ */
+export async function writePdfMetadata(file, fields, options = {}, onProgress = () => {}) {
+  // updateMetadata: false stops pdf-lib from stamping its own Producer and dates.
+  const pdfDoc = await PDFDocument.load(await file.arrayBuffer(), { updateMetadata: false });
+  const info = pdfDoc.getInfoDict();
+  const baseName = (file.name || '').replace(/\.[^/.]+$/, "");
+
+  for (const { key, entry } of METADATA_FIELDS) {
+    if (!(key in fields)) continue;
+    const value = fields[key];
+    if (value === null) {
+      info.delete(PDFName.of(entry));
+    } else {
+      const text = value.replace(/\{name\}/g, baseName);
+      if (key === 'keywords') pdfDoc.setKeywords([text]);
+      else pdfDoc[`set${entry}`](text);
+    }
+  }
+
+  if (options.removeDates) {
+    info.delete(PDFName.of('CreationDate'));
+    info.delete(PDFName.of('ModDate'));
+  } else {
+    pdfDoc.setModificationDate(new Date());
+  }
+  if (options.removeXmp) pdfDoc.catalog.delete(PDFName.of('Metadata'));
+
+  onProgress(1);
+  return await pdfDoc.save();
+}
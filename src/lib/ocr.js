@@ -0,0 +1,145 @@
+import {
+  PDFDocument, StandardFonts, TextRenderingMode,
+  beginText, endText, moveText, setCharacterSqueeze, setFontAndSize, setTextRenderingMode, showText,
+} from 'pdf-lib';
+import { createWorker } from 'tesseract.js';
+import { canvasToBlob, createCanvas, openPdf, renderPdfPage } from './convert';
+import { encodableText } from './pdf';
+
+// OCR with tesseract.js: pages are rendered like pdfToImages does, recognized,
+// and written back as images under an invisible, word-aligned text layer.
+// Runs on the main thread or in a worker (tesseract starts its own worker).
+
+export const OCR_LANGUAGES = [
+  { code: 'eng', label: 'English' },
+  { code: 'deu', label: 'German' },
+  { code: 'fra', label: 'French' },
+  { code: 'spa', label: 'Spanish' },
+  { code: 'ita', label: 'Italian' },
+  { code: 'por', label: 'Portuguese' },
+  { code: 'nld', label: 'Dutch' },
+];
+
+const OCR_SCALE = 2.0; // 144 DPI, the default PDF to Images resolution
+
+// Yields one canvas per page, plus the page size in PDF points.
+async function* ocrPageSources(file, password) {
+  if (file.type === 'application/pdf') {
+    const pdf = await openPdf(await file.arrayBuffer(), password);
+    try {
+      for (let i = 1; i <= pdf.numPages; i++) {
+        const canvas = await renderPdfPage(await pdf.getPage(i), OCR_SCALE);
+        yield { canvas, scale: OCR_SCALE, total: pdf.numPages };
+      }
+    } finally {
+      await pdf.destroy();
+    }
+  } else {
+    const bitmap = await createImageBitmap(file);
+    const canvas = createCanvas(bitmap.width, bitmap.height);
+    canvas.getContext('2d').drawImage(bitmap, 0, 0);
+    bitmap.close();
+    yield { canvas, scale: 1, total: 1 };
+  }
+}
+
+// Draws each recognized word as invisible text stretched over its bounding box.
+function drawInvisibleWords(page, font, words, scale) {
+  const fontKey = page.node.newFontDictionary(font.name, font.ref);
+  const pageHeight = page.getHeight();
+  const ops = [beginText(), setTextRenderingMode(TextRenderingMode.Invisible)];
+  let cursorX = 0, cursorY = 0;
+  for (const word of words) {
+    // Characters the standard font can't draw become '?' in the text layer.
+    const text = encodableText(font, word.text.trim());
+    if (!text) continue;
+    const { x0, y0, x1, y1 } = word.bbox;
+    const height = (y1 - y0) / scale;
+    const width = (x1 - x0) / scale;
+    const x = x0 / scale;
+    const y = pageHeight - y1 / scale;
+    const naturalWidth = font.widthOfTextAtSize(text, height);
+    ops.push(
+      setFontAndSize(fontKey, height),
+      setCharacterSqueeze(naturalWidth > 0 ? (width / naturalWidth) * 100 : 100),
+      moveText(x - cursorX, y - cursorY),
+      showText(font.encodeText(text)),
+    );
+    cursorX = x;
+    cursorY = y;
+  }
+  ops.push(endText());
+  page.pushOperators(...ops);
+}
+
+function wordsOf(ocrPage) {
+  return (ocrPage.blocks || []).flatMap(block =>
+    block.paragraphs.flatMap(paragraph => paragraph.lines.flatMap(line => line.words))
+  );
+}
+
+function hocrDocument(pages, title) {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html PUBLIC "-//W3C//DTD XHTML 1.0 Transitional//EN" "http://www.w3.org/TR/xhtml1/DTD/xhtml1-transitional.dtd">
+<html xmlns="http://www.w3.org/1999/xhtml" xml:lang="en" lang="en">
+ <head>
+  <title>${title.replace(/[<&>]/g, '')}</title>
+  <meta http-equiv="Content-Type" content="text/html;charset=utf-8"/>
+  <meta name="ocr-system" content="tesseract.js"/>
+  <meta name="ocr-capabilities" content="ocr_page ocr_carea ocr_par ocr_line ocrx_word"/>
+ </head>
+ <body>
+${pages.join('\n')}
+ </body>
+</html>
+`;
+}
+
+/**
+ * Runs OCR over a PDF or image file (SVGs must be rasterized first).
+ * options: { languages: string[], pdf: boolean, text: boolean, hocr: boolean,
+ * password?: string, langPath?: string } (langPath: where the traineddata
+ * files are; tesseract's CDN by default).
+ * onProgress(fraction) follows the pages and tesseract's progress on each.
+ * @returns {Promise<{ pdf?: Uint8Array, text?: string, hocr?: string }>}
+ */
+export async function ocrFile(file, options, onProgress = () => {}) {
+  let current = { page: 0, total: 1 };
+  const worker = await createWorker(options.languages.join('+'), 1, {
+    langPath: options.langPath,
+    logger: ({ status, progress }) => {
+      if (status === 'recognizing text') onProgress((current.page - 1 + progress) / current.total);
+    },
+  });
+
+  try {
+    const pdfDoc = options.pdf ? await PDFDocument.create() : null;
+    const font = pdfDoc ? await pdfDoc.embedFont(StandardFonts.Helvetica) : null;
+    const texts = [];
+    const hocrPages = [];
+
+    for await (const { canvas, scale, total } of ocrPageSources(file, options.password)) {
+      current = { page: current.page + 1, total };
+      const { data } = await worker.recognize(canvas, {}, { text: true, blocks: options.pdf, hocr: options.hocr });
+      texts.push(data.text);
+      if (options.hocr) hocrPages.push(data.hocr.replace(/\b(page|block|par|line|word)_1(?=[_'"])/g, `$1_${current.page}`));
+
+      if (pdfDoc) {
+        const jpeg = await canvasToBlob(canvas, 'image/jpeg', 0.92);
+        const image = await pdfDoc.embedJpg(await jpeg.arrayBuffer());
+        const page = pdfDoc.addPage([canvas.width / scale, canvas.height / scale]);
+        page.drawImage(image, { x: 0, y: 0, width: page.getWidth(), height: page.getHeight() });
+        drawInvisibleWords(page, font, wordsOf(data), scale);
+      }
+      onProgress(current.page / total);
+    }
+
+    return {
+      pdf: pdfDoc ? await pdfDoc.save() : undefined,
+      text: options.text ? texts.join('\n\f') : undefined,
+      hocr: options.hocr ? hocrDocument(hocrPages, file.name) : undefined,
+    };
+  } finally {
+    await worker.terminate();
+  }
+}
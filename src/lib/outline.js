@@ -0,0 +1,100 @@
+import { PDFArray, PDFDict, PDFHexString, PDFName, PDFNull, PDFString } from 'pdf-lib';
+
+const decodeText = (value) => (value instanceof PDFString || value instanceof PDFHexString ? value.decodeText() : '');
+
+// Looks up a key in a PDF name tree (the /Names -> /Dests structure).
+function lookupNameTree(node, key) {
+  if (!(node instanceof PDFDict)) return undefined;
+  const names = node.lookup(PDFName.of('Names'));
+  if (names instanceof PDFArray) {
+    for (let i = 0; i + 1 < names.size(); i += 2) {
+      if (decodeText(names.lookup(i)) === key) return names.lookup(i + 1);
+    }
+  }
+  const kids = node.lookup(PDFName.of('Kids'));
+  if (kids instanceof PDFArray) {
+    for (let i = 0; i < kids.size(); i++) {
+      const found = lookupNameTree(kids.lookup(i), key);
+      if (found !== undefined) return found;
+    }
+  }
+  return undefined;
+}
+
+// Resolves an outline item's destination to a zero-based page index, or -1.
+function resolveDestination(pdfDoc, item, pageRefs) {
+  let dest = item.lookup(PDFName.of('Dest'));
+  if (!dest) {
+    const action = item.lookup(PDFName.of('A'));
+    if (action instanceof PDFDict && action.lookup(PDFName.of('S')) === PDFName.of('GoTo')) {
+      dest = action.lookup(PDFName.of('D'));
+    }
+  }
+
+  if (dest instanceof PDFName || dest instanceof PDFString || dest instanceof PDFHexString) {
+    const key = dest.decodeText();
+    const { catalog } = pdfDoc;
+    const legacyDests = catalog.lookup(PDFName.of('Dests'));
+    const names = catalog.lookup(PDFName.of('Names'));
+    dest = (legacyDests instanceof PDFDict && legacyDests.lookup(PDFName.of(key)))
+      || (names instanceof PDFDict && lookupNameTree(names.lookup(PDFName.of('Dests')), key));
+  }
+  if (dest instanceof PDFDict) dest = dest.lookup(PDFName.of('D'));
+  if (!(dest instanceof PDFArray) || dest.size() === 0) return -1;
+
+  // PDFRef instances are interned, so identity comparison is enough.
+  return pageRefs.indexOf(dest.get(0));
+}
+
+/**
+ * Reads the top-level bookmarks of a pdf-lib document.
+ * Returns [{ title, pageIndex }] in outline order; pageIndex is -1 when an
+ * entry does not point at a page of this document.
+ */
+export function readOutline(pdfDoc) {
+  const outlines = pdfDoc.catalog.lookup(PDFName.of('Outlines'));
+  if (!(outlines instanceof PDFDict)) return [];
+
+  const pageRefs = pdfDoc.getPages().map(page => page.ref);
+  const entries = [];
+  const seen = new Set();
+  let item = outlines.lookup(PDFName.of('First'));
+  while (item instanceof PDFDict && !seen.has(item)) {
+    seen.add(item);
+    entries.push({
+      title: decodeText(item.lookup(PDFName.of('Title'))),
+      pageIndex: resolveDestination(pdfDoc, item, pageRefs),
+    });
+    item = item.lookup(PDFName.of('Next'));
+  }
+  return entries;
+}
+
+/**
+ * Replaces the outline of a pdf-lib document with a flat list of bookmarks.
+ * entries: [{ title, pageIndex }], each pointing at the top of that page.
+ */
+export function writeOutline(pdfDoc, entries) {
+  const { context } = pdfDoc;
+  const pageRefs = pdfDoc.getPages().map(page => page.ref);
+  const outlinesRef = context.nextRef();
+  const itemRefs = entries.map(() => context.nextRef());
+
+  entries.forEach(({ title, pageIndex }, i) => {
+    const item = context.obj({
+      Title: PDFHexString.fromText(title),
+      Parent: outlinesRef,
+      Dest: [pageRefs[pageIndex], 'XYZ', PDFNull, PDFNull, PDFNull],
+    });
+    if (i > 0) item.set(PDFName.of('Prev'), itemRefs[i - 1]);
+    if (i + 1 < entries.length) item.set(PDFName.of('Next'), itemRefs[i + 1]);
+    context.assign(itemRefs[i], item);
+  });
+
+  context.assign(outlinesRef, context.obj({
+    Type: 'Outlines',
+    ...(entries.length > 0 && { First: itemRefs[0], Last: itemRefs[itemRefs.length - 1] }),
+    Count: entries.length,
+  }));
+  pdfDoc.catalog.set(PDFName.of('Outlines'), outlinesRef);
+}
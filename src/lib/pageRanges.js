@@ -0,0 +1,47 @@
+export class PageRangeError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PageRangeError';
+  }
+}
+
+const RANGE_PATTERN = /^(\d+)?\s*(-)?\s*(\d+)?$/;
+
+// Parses a comma-separated spec like "1, 4-6, 9-" into 1-based { start, end } ranges.
+// "N-" runs to the last page and "-N" starts at the first. Reversed ranges are swapped.
+// Throws a PageRangeError for malformed parts or pages outside 1..totalPages.
+export function parseRangeList(spec, totalPages) {
+  const parts = spec.split(',').map(part => part.trim());
+  if (parts.every(part => part === '')) throw new PageRangeError('No pages given.');
+
+  return parts.filter(Boolean).map(part => {
+    const match = part.match(RANGE_PATTERN);
+    if (!match || (!match[1] && !match[3]) || (!match[2] && match[3])) throw new PageRangeError(`Invalid page range "${part}".`);
+    const [, first, dash, last] = match;
+    let start = first ? parseInt(first, 10) : 1;
+    let end = dash ? (last ? parseInt(last, 10) : totalPages) : start;
+    if (start > end) [start, end] = [end, start];
+    for (const page of [start, end]) {
+      if (page < 1 || page > totalPages) {
+        throw new PageRangeError(`Page ${page} in "${part}" is out of range (document has ${totalPages} pages).`);
+      }
+    }
+    return { start, end };
+  });
+}
+
+// Parses a page spec like "1, 4-6" into sorted, unique, zero-based page indices.
+export function parsePageRanges(spec, totalPages) {
+  const pages = new Set();
+  parseRangeList(spec, totalPages).forEach(({ start, end }) => {
+    for (let i = start; i <= end; i++) pages.add(i - 1);
+  });
+  return [...pages].sort((a, b) => a - b);
+}
+
+// Parses a split spec like "1-3; 4-10; 11-" into one list of zero-based indices per output.
+export function parseSplitSpec(spec, totalPages) {
+  const groups = spec.split(';').map(group => group.trim()).filter(Boolean);
+  if (groups.length === 0) throw new PageRangeError('No page ranges given.');
+  return groups.map(group => parsePageRanges(group, totalPages));
+}
@@ -0,0 +1,355 @@
+// DOM-free PDF operations built on pdf-lib. They run unchanged in the browser,
+// in the conversion worker and under Node (see bin/convertzz.js).
+//
+// Inputs are Blob-like objects: anything with `arrayBuffer()`, plus `name`
+// and `type` where noted (File in the browser, `new File([...])` in Node 20+).
+// Outputs are Uint8Array PDF bytes. Every function takes an optional
+// `onProgress(fraction)` callback as its last argument.
+import {
+  PDFDocument, degrees, clip, endPath, popGraphicsState, pushGraphicsState, rectangle,
+} from 'pdf-lib';
+import { parsePageRanges, parseSplitSpec } from './pageRanges.js';
+import { readOutline, writeOutline } from './outline.js';
+
+const stripExtension = (name) => name.replace(/\.[^/.]+$/, "");
+
+// Page sizes in PDF points (1/72 inch), portrait.
+export const PAGE_SIZES = {
+  a4: [595.28, 841.89],
+  letter: [612, 792],
+  legal: [612, 1008],
+};
+
+const MM_TO_PT = 72 / 25.4;
+
+/**
+ * pageSize: 'image' (each page exactly the size of its image, the other options
+ * are ignored), a key of PAGE_SIZES, or 'custom' with width/height in mm.
+ * orientation: 'portrait' | 'landscape' | 'auto' (follows the first image on the page).
+ * margin is in mm and also separates grid cells. fit: 'fit' scales into the cell,
+ * 'fill' covers it and clips the overflow, 'center' keeps the natural size
+ * (1 px = 1 pt) unless the image is too big. columns x rows images go on each page.
+ */
+export const DEFAULT_PAGE_LAYOUT = {
+  pageSize: 'image',
+  width: 210,
+  height: 297,
+  orientation: 'auto',
+  margin: 10,
+  fit: 'fit',
+  columns: 1,
+  rows: 1,
+};
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47];
+const JPEG_SIGNATURE = [0xff, 0xd8, 0xff];
+const startsWith = (bytes, signature) => signature.every((byte, i) => bytes[i] === byte);
+
+// Embeds a PNG or JPEG, going by its bytes rather than its name or type.
+export async function embedImage(pdfDoc, file) {
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  if (startsWith(bytes, PNG_SIGNATURE)) return pdfDoc.embedPng(bytes);
+  if (startsWith(bytes, JPEG_SIGNATURE)) return pdfDoc.embedJpg(bytes);
+  throw new Error(`${file.name || 'Image'} is not a PNG or JPEG; convert it first.`);
+}
+
+// The standard fonts only cover WinAnsi (Latin) characters; pdf-lib throws on
+// anything else when the text is drawn.
+
+/** Replaces the characters `font` can't draw with "?". */
+export function encodableText(font, text) {
+  const charset = new Set(font.getCharacterSet());
+  return Array.from(text, ch => (charset.has(ch.codePointAt(0)) ? ch : '?')).join('');
+}
+
+/**
+ * The distinct characters of `text` that `font` can't draw. Control characters
+ * are left out: pdf-lib splits form field text at line breaks itself.
+ */
+export function unencodableCharacters(font, text) {
+  const charset = new Set(font.getCharacterSet());
+  return [...new Set(Array.from(text).filter(ch => ch >= ' ' && !charset.has(ch.codePointAt(0))))];
+}
+
+function pageDimensions(layout, firstImage) {
+  if (layout.pageSize !== 'custom' && !PAGE_SIZES[layout.pageSize]) {
+    throw new Error(`Unknown page size "${layout.pageSize}".`);
+  }
+  let [width, height] = layout.pageSize === 'custom'
+    ? [layout.width * MM_TO_PT, layout.height * MM_TO_PT]
+    : PAGE_SIZES[layout.pageSize];
+  const landscape = layout.orientation === 'landscape'
+    || (layout.orientation === 'auto' && firstImage.width > firstImage.height);
+  if (landscape !== width > height) [width, height] = [height, width];
+  return [width, height];
+}
+
+function placeImage(page, image, cell, fit) {
+  const scale = {
+    fit: Math.min(cell.width / image.width, cell.height / image.height),
+    fill: Math.max(cell.width / image.width, cell.height / image.height),
+    center: Math.min(1, cell.width / image.width, cell.height / image.height),
+  }[fit];
+  const width = image.width * scale;
+  const height = image.height * scale;
+  const x = cell.x + (cell.width - width) / 2;
+  const y = cell.y + (cell.height - height) / 2;
+
+  if (fit !== 'fill') return page.drawImage(image, { x, y, width, height });
+  page.pushOperators(pushGraphicsState(), rectangle(cell.x, cell.y, cell.width, cell.height), clip(), endPath());
+  page.drawImage(image, { x, y, width, height });
+  page.pushOperators(popGraphicsState());
+}
+
+/**
+ * Builds a PDF from PNG and JPEG images, in the given order. Other formats
+ * must be transcoded first (see rasterizeImages in ./convert.js).
+ * @param {Array<Blob>} imageFiles
+ * @param {object} [layout] see DEFAULT_PAGE_LAYOUT; missing keys take the defaults
+ * @returns {Promise<Uint8Array>}
+ */
+export async function imagesToPdf(imageFiles, layout = {}, onProgress = () => {}) {
+  layout = { ...DEFAULT_PAGE_LAYOUT, ...layout };
+  if (!['fit', 'fill', 'center'].includes(layout.fit)) throw new Error(`Unknown fit mode "${layout.fit}".`);
+  const pdfDoc = await PDFDocument.create();
+
+  if (layout.pageSize === 'image') {
+    for (const [i, file] of imageFiles.entries()) {
+      const embeddedImage = await embedImage(pdfDoc, file);
+      const page = pdfDoc.addPage([embeddedImage.width, embeddedImage.height]);
+      page.drawImage(embeddedImage, { x: 0, y: 0, width: embeddedImage.width, height: embeddedImage.height });
+      onProgress((i + 1) / imageFiles.length);
+    }
+    return await pdfDoc.save();
+  }
+
+  const columns = Math.max(1, parseInt(layout.columns, 10) || 1);
+  const rows = Math.max(1, parseInt(layout.rows, 10) || 1);
+  const perPage = columns * rows;
+  const margin = Math.max(0, parseFloat(layout.margin) || 0) * MM_TO_PT;
+
+  for (let first = 0; first < imageFiles.length; first += perPage) {
+    const images = [];
+    for (const file of imageFiles.slice(first, first + perPage)) images.push(await embedImage(pdfDoc, file));
+    const [pageWidth, pageHeight] = pageDimensions(layout, images[0]);
+    const page = pdfDoc.addPage([pageWidth, pageHeight]);
+    const cellWidth = (pageWidth - margin * (columns + 1)) / columns;
+    const cellHeight = (pageHeight - margin * (rows + 1)) / rows;
+    if (cellWidth <= 0 || cellHeight <= 0) throw new Error("The margins leave no room for the images.");
+
+    images.forEach((image, i) => {
+      const column = i % columns;
+      const row = Math.floor(i / columns);
+      placeImage(page, image, {
+        x: margin + column * (cellWidth + margin),
+        y: pageHeight - (margin + cellHeight) * (row + 1),
+        width: cellWidth,
+        height: cellHeight,
+      }, layout.fit);
+    });
+    onProgress(Math.min(1, (first + perPage) / imageFiles.length));
+  }
+  return await pdfDoc.save();
+}
+
+/**
+ * Reads the page count of a PDF and whether it is encrypted, without failing
+ * on encryption. Throws for files pdf-lib cannot parse.
+ * @param {Blob} file
+ * @returns {Promise<{ pageCount: number, encrypted: boolean }>}
+ */
+export async function inspectPdf(file) {
+  const pdfDoc = await PDFDocument.load(await file.arrayBuffer(), { ignoreEncryption: true });
+  return { pageCount: pdfDoc.getPageCount(), encrypted: pdfDoc.isEncrypted };
+}
+
+// Why a merge input cannot be used; the message names the file.
+async function loadMergeSource(file, spec) {
+  const name = file.name || 'PDF';
+  let pdfDoc;
+  try {
+    pdfDoc = await PDFDocument.load(await file.arrayBuffer(), { ignoreEncryption: true });
+  } catch (error) {
+    throw new Error(`${name} could not be read: ${error.message}`);
+  }
+  if (pdfDoc.isEncrypted) throw new Error(`${name} is encrypted.`);
+  if (pdfDoc.getPageCount() === 0) throw new Error(`${name} has no pages.`);
+  try {
+    const indices = spec?.trim() ? parsePageRanges(spec, pdfDoc.getPageCount()) : pdfDoc.getPageIndices();
+    return { pdfDoc, indices };
+  } catch (error) {
+    throw new Error(`${name}: ${error.message}`);
+  }
+}
+
+/**
+ * Concatenates PDFs in the given order. Each input is a file or
+ * { file, pages } where `pages` is a spec like "1-3, 7" (empty means all).
+ * Encrypted, empty or unreadable inputs and bad page specs are skipped and
+ * reported in `skipped`; the merge only fails when nothing is left.
+ * options.bookmarks (default true) adds an outline entry per source file.
+ * @param {Array<Blob | { file: Blob, pages?: string }>} inputs
+ * @param {{ bookmarks?: boolean }} [options]
+ * @returns {Promise<{ bytes: Uint8Array, skipped: Array<{ name: string, reason: string }> }>}
+ */
+export async function mergePdfs(inputs, options = {}, onProgress = () => {}) {
+  const { bookmarks = true } = options;
+  const mergedPdf = await PDFDocument.create();
+  const outline = [];
+  const skipped = [];
+  for (const [i, input] of inputs.entries()) {
+    const { file, pages } = input instanceof Blob ? { file: input } : input;
+    try {
+      const { pdfDoc, indices } = await loadMergeSource(file, pages);
+      outline.push({ title: stripExtension(file.name || `Document ${i + 1}`), pageIndex: mergedPdf.getPageCount() });
+      const copiedPages = await mergedPdf.copyPages(pdfDoc, indices);
+      copiedPages.forEach((page) => mergedPdf.addPage(page));
+    } catch (error) {
+      skipped.push({ name: file.name || `Document ${i + 1}`, reason: error.message });
+    }
+    onProgress((i + 1) / inputs.length);
+  }
+  if (mergedPdf.getPageCount() === 0) {
+    throw new Error(`None of the PDFs could be merged. ${skipped.map(s => s.reason).join(' ')}`);
+  }
+  if (bookmarks) writeOutline(mergedPdf, outline);
+  return { bytes: await mergedPdf.save(), skipped };
+}
+
+/**
+ * Copies a PDF without the pages named in `excludeSpec` ("1, 4-6", "9-").
+ * Throws a PageRangeError for malformed specs and an Error when every page would go.
+ * @param {Blob} file
+ * @param {string} excludeSpec
+ * @returns {Promise<Uint8Array>}
+ */
+export async function excludePdfPages(file, excludeSpec, onProgress = () => {}) {
+  const pdfBytes = await file.arrayBuffer();
+  const pdfDoc = await PDFDocument.load(pdfBytes);
+  const pagesToExclude = new Set(parsePageRanges(excludeSpec, pdfDoc.getPageCount()));
+
+  if (pagesToExclude.size === pdfDoc.getPageCount()) {
+    throw new Error("Cannot exclude all pages from the document.");
+  }
+
+  const newPdfDoc = await PDFDocument.create();
+  const pageIndices = pdfDoc.getPageIndices().filter(i => !pagesToExclude.has(i));
+  const copiedPages = await newPdfDoc.copyPages(pdfDoc, pageIndices);
+  copiedPages.forEach(page => newPdfDoc.addPage(page));
+  onProgress(1);
+
+  return await newPdfDoc.save();
+}
+
+/**
+ * Assembles a new PDF from pages of one or more source documents.
+ * @param {Array<Blob>} sources
+ * @param {Array<{ source: number|null, index: number, rotation: number, size?: [number, number] }>} pages
+ *   `source` indexes into `sources` and `index` is the zero-based page in it. A null
+ *   source inserts a blank page of `size` points. `rotation` is added to the page's own.
+ * @returns {Promise<Uint8Array>}
+ */
+export async function organizePdfPages(sources, pages, onProgress = () => {}) {
+  const docs = await Promise.all(sources.map(async f => PDFDocument.load(await f.arrayBuffer())));
+  const newPdfDoc = await PDFDocument.create();
+  for (const [i, item] of pages.entries()) {
+    if (item.source === null) {
+      newPdfDoc.addPage(item.size).setRotation(degrees(item.rotation));
+    } else {
+      const [page] = await newPdfDoc.copyPages(docs[item.source], [item.index]);
+      page.setRotation(degrees((page.getRotation().angle + item.rotation) % 360));
+      newPdfDoc.addPage(page);
+    }
+    onProgress((i + 1) / pages.length);
+  }
+  return await newPdfDoc.save();
+}
+
+// --- SPLIT ---
+function outlinePageGroups(pdfDoc) {
+  const outline = readOutline(pdfDoc);
+  if (outline.length === 0) throw new Error("This PDF has no bookmarks to split by.");
+
+  const starts = outline
+    .filter(({ pageIndex }) => pageIndex >= 0)
+    .map(({ title, pageIndex }) => ({ title, start: pageIndex }))
+    .sort((a, b) => a.start - b.start);
+  if (starts.length === 0) throw new Error("None of the bookmarks point to a page.");
+  if (starts[0].start > 0) starts.unshift({ title: 'Front matter', start: 0 });
+
+  const totalPages = pdfDoc.getPageCount();
+  return starts
+    .map(({ title, start }, i) => {
+      const end = i + 1 < starts.length ? starts[i + 1].start : totalPages;
+      return { title, pages: Array.from({ length: end - start }, (_, j) => start + j) };
+    })
+    .filter(group => group.pages.length > 0);
+}
+
+/**
+ * Fills a file name template. Unknown tokens are left as they are and
+ * characters that are not allowed in file names become "_".
+ */
+export function formatOutputName(template, tokens) {
+  const name = template.replace(/\{(\w+)\}/g, (match, key) => (key in tokens ? String(tokens[key]) : match));
+  return name.replace(/[\\/:*?"<>|]+/g, '_').trim() || `part${tokens.n}`;
+}
+
+/**
+ * Makes `name` unique among the (lower-cased) names in `used`, which it is
+ * added to: a repeated name gets "-n" appended, counting up from `n` until
+ * the result is free. Keeps outputs from overwriting each other.
+ */
+export function uniqueOutputName(name, used, n) {
+  let candidate = name;
+  for (let k = n; used.has(candidate.toLowerCase()); k++) candidate = `${name}-${k}`;
+  used.add(candidate.toLowerCase());
+  return candidate;
+}
+
+/**
+ * Splits a PDF into several documents.
+ * @param {Blob & { name: string }} file
+ * @param {{ mode: 'ranges' | 'every' | 'bookmarks', spec?: string, every?: number|string, template: string }} options
+ *   `spec` is used by 'ranges' ("1-3; 4-10; 11-"), `every` by 'every'. 'bookmarks' starts
+ *   a new document at every top-level bookmark. Template tokens: {name}, {n}, {start}, {end}, {title}.
+ * @returns {Promise<Array<{ name: string, bytes: Uint8Array }>>}
+ */
+export async function splitPdf(file, options, onProgress = () => {}) {
+  const pdfBytes = await file.arrayBuffer();
+  const pdfDoc = await PDFDocument.load(pdfBytes);
+  const totalPages = pdfDoc.getPageCount();
+
+  let groups;
+  if (options.mode === 'ranges') {
+    groups = parseSplitSpec(options.spec, totalPages).map(pages => ({ pages }));
+  } else if (options.mode === 'every') {
+    const size = parseInt(options.every, 10);
+    if (!(size > 0)) throw new Error("Pages per document must be a positive number.");
+    groups = [];
+    for (let start = 0; start < totalPages; start += size) {
+      groups.push({ pages: Array.from({ length: Math.min(size, totalPages - start) }, (_, j) => start + j) });
+    }
+  } else {
+    groups = outlinePageGroups(pdfDoc);
+  }
+
+  const baseName = stripExtension(file.name);
+  const outputs = [];
+  const used = new Set();
+  for (const [i, { pages, title }] of groups.entries()) {
+    const newPdfDoc = await PDFDocument.create();
+    const copiedPages = await newPdfDoc.copyPages(pdfDoc, pages);
+    copiedPages.forEach(page => newPdfDoc.addPage(page));
+    const start = pages[0] + 1;
+    const end = pages[pages.length - 1] + 1;
+    const name = formatOutputName(options.template, {
+      name: baseName, n: i + 1, start, end, title: title ?? (start === end ? `${start}` : `${start}-${end}`),
+    });
+    // Bookmarks with the same title, or a template without {n}, would overwrite each other.
+    const uniqueName = uniqueOutputName(name, used, i + 1);
+    outputs.push({ name: `${uniqueName}.pdf`, bytes: await newPdfDoc.save() });
+    onProgress((i + 1) / groups.length);
+  }
+  return outputs;
+}
@@ -0,0 +1,289 @@
+import { DEFAULT_IMAGE_SETTINGS, IMAGE_FORMATS } from './imageSettings';
+import { COMPRESSION_PRESETS } from './compress';
+import { DEFAULT_PDF_IMAGE_OPTIONS } from './convert';
+import { DEFAULT_PAGE_LAYOUT, PAGE_SIZES } from './pdf';
+import { DEFAULT_STAMP_OPTIONS, STAMP_POSITIONS } from './stamp';
+import { isImage, isPdf } from './fileType';
+
+// Recipes chain actions: each step works on the previous step's outputs and
+// hands its own outputs on. A recipe is plain JSON ({ id, name, steps: [{ type,
+// options }] }) so it can be saved to localStorage and shared as a file. The
+// steps themselves run in the conversion worker (see run_recipe there).
+
+const STORAGE_KEY = 'convertzz.recipes';
+
+// input: which files a step works on ('image' or 'pdf'); anything else is
+// passed through to the next step untouched.
+export const RECIPE_STEPS = {
+  resize_images: { label: 'Resize images', input: 'image' },
+  to_png: { label: 'Convert to PNG', input: 'image', targetType: 'image/png' },
+  to_jpeg: { label: 'Convert to JPEG', input: 'image', targetType: 'image/jpeg' },
+  to_webp: { label: 'Convert to WebP', input: 'image', targetType: 'image/webp' },
+  images_to_pdf: { label: 'Images to PDF', input: 'image' },
+  merge_pdfs: { label: 'Merge PDFs', input: 'pdf', defaults: { bookmarks: true } },
+  stamp_pdf: { label: 'Watermark & Page Numbers', input: 'pdf' },
+  compress_pdf: { label: 'Compress PDF', input: 'pdf' },
+  pdf_to_images: { label: 'PDF to Images', input: 'pdf' },
+};
+
+const matchesInput = (file, input) => (input === 'pdf' ? isPdf(file) : isImage(file));
+const baseName = (name) => name.replace(/\.[^/.]+$/, '');
+
+// One-line summary of a step's options for the recipe editor.
+export function describeStep({ type, options }) {
+  switch (type) {
+    case 'resize_images':
+    case 'to_png':
+    case 'to_jpeg':
+    case 'to_webp':
+    case 'images_to_pdf': {
+      const { mode, width, height, percent } = options.resize;
+      const size = { none: 'original size', max: `max ${width || 'any'} x ${height || 'any'}`, percent: `${percent}%`, exact: `${width} x ${height}` }[mode];
+      return options.layout ? `${options.layout.pageSize} pages, ${size}` : size;
+    }
+    case 'merge_pdfs':
+      return options.bookmarks ? 'with bookmarks' : 'no bookmarks';
+    case 'stamp_pdf':
+      return [
+        options.watermark && (options.watermark.type === 'text' ? `watermark "${options.watermark.text}"` : 'image watermark'),
+        [options.header, options.footer].some(band => Object.values(band).some(Boolean)) && 'header/footer',
+        options.bates && 'Bates numbers',
+      ].filter(Boolean).join(', ');
+    case 'compress_pdf':
+      return [COMPRESSION_PRESETS[options.preset].label, options.grayscale && 'grayscale', options.rasterize && 'flattened'].filter(Boolean).join(', ');
+    case 'pdf_to_images':
+      return options.mode === 'extract' ? 'embedded images' : `${IMAGE_FORMATS[options.format].label}, ${options.dpi} DPI`;
+    default:
+      return '';
+  }
+}
+
+/**
+ * Turns a step into worker operations over `files`.
+ * `name` (the recipe name) is used for steps that combine files into one.
+ * @returns {Promise<{ jobs: Array<{ op, args }>, passThrough: File[] }>}
+ */
+export async function recipeStepJobs({ type, options }, files, name) {
+  const step = RECIPE_STEPS[type];
+  if (!step) throw new Error(`Unknown recipe step "${type}".`);
+  const inputs = files.filter(f => matchesInput(f, step.input));
+  const passThrough = files.filter(f => !matchesInput(f, step.input));
+  if (inputs.length === 0) return { jobs: [], passThrough };
+
+  switch (type) {
+    case 'resize_images': {
+      // Keeps each image's format (anything we can't write becomes JPEG).
+      const byType = new Map();
+      inputs.forEach(f => {
+        const targetType = IMAGE_FORMATS[f.type] ? f.type : 'image/jpeg';
+        byType.set(targetType, [...(byType.get(targetType) || []), f]);
+      });
+      const jobs = [...byType].map(([targetType, group]) => ({ op: 'convert_images', args: { files: group, targetType, settings: options } }));
+      return { jobs, passThrough };
+    }
+    case 'to_png':
+    case 'to_jpeg':
+    case 'to_webp':
+      return { jobs: [{ op: 'convert_images', args: { files: inputs, targetType: step.targetType, settings: options } }], passThrough };
+    case 'images_to_pdf':
+      return { jobs: [{ op: 'images_to_pdf', args: { files: inputs, name: `${name}.pdf`, settings: options } }], passThrough };
+    case 'merge_pdfs':
+      if (inputs.length < 2) return { jobs: [], passThrough: files };
+      return { jobs: [{ op: 'merge_pdfs', args: { inputs, options, name: `${name}.pdf` } }], passThrough };
+    case 'stamp_pdf': {
+      // Saved recipes keep a watermark image as a data URL.
+      const { watermark } = options;
+      const image = typeof watermark?.image === 'string' ? await (await fetch(watermark.image)).blob() : watermark?.image;
+      const stampOptions = watermark ? { ...options, watermark: { ...watermark, image } } : options;
+      return { jobs: [{ op: 'stamp_pdfs', args: { files: inputs, options: stampOptions } }], passThrough };
+    }
+    case 'compress_pdf':
+      return { jobs: [{ op: 'compress_pdfs', args: { files: inputs, options } }], passThrough };
+    case 'pdf_to_images': {
+      const op = options.mode === 'extract' ? 'extract_pdf_images' : 'pdf_to_images';
+      return { jobs: inputs.map(file => ({ op, args: { file, baseName: baseName(file.name), options } })), passThrough };
+    }
+    default:
+      return { jobs: [], passThrough: files };
+  }
+}
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// An options section merged over its defaults; a section that isn't an object is an error.
+function section(value, defaults, what) {
+  if (value === undefined) return defaults;
+  if (!isObject(value)) throw new Error(`${what} must be an object`);
+  return { ...defaults, ...value };
+}
+
+function oneOf(value, allowed, what) {
+  if (!allowed.includes(value)) throw new Error(`unknown ${what} "${value}"`);
+}
+
+function between(value, min, max, what) {
+  if (!(Number(value) >= min && Number(value) <= max)) throw new Error(`${what} must be between ${min} and ${max}`);
+}
+
+function flag(value, what) {
+  if (typeof value !== 'boolean') throw new Error(`${what} must be true or false`);
+}
+
+function text(value, what) {
+  if (typeof value !== 'string') throw new Error(`${what} must be text`);
+}
+
+function imageSettings(options) {
+  const settings = { ...DEFAULT_IMAGE_SETTINGS, ...options, resize: section(options.resize, DEFAULT_IMAGE_SETTINGS.resize, 'resize') };
+  oneOf(settings.resize.mode, ['none', 'max', 'percent', 'exact'], 'resize mode');
+  oneOf(settings.resize.fit, ['fit', 'fill', 'crop'], 'resize fit');
+  between(settings.quality, 0.01, 1, 'quality');
+  if (settings.maxKB !== '' && !(Number(settings.maxKB) > 0)) throw new Error('maxKB must be empty or a size in KB');
+  return settings;
+}
+
+function stampOptions(options) {
+  const stamp = {
+    ...DEFAULT_STAMP_OPTIONS,
+    ...options,
+    header: section(options.header, DEFAULT_STAMP_OPTIONS.header, 'header'),
+    footer: section(options.footer, DEFAULT_STAMP_OPTIONS.footer, 'footer'),
+  };
+  for (const band of ['header', 'footer']) {
+    for (const slot of ['left', 'center', 'right']) text(stamp[band][slot], `${band} ${slot}`);
+  }
+  const { watermark, bates } = stamp;
+  if (watermark !== null) {
+    if (!isObject(watermark)) throw new Error('watermark must be an object or null');
+    oneOf(watermark.type, ['text', 'image'], 'watermark type');
+    if (watermark.type === 'text') text(watermark.text, 'watermark text');
+    // Saved recipes keep the image as a data URL (see recipeStepJobs).
+    else if (typeof watermark.image !== 'string' || !watermark.image.startsWith('data:image/')) throw new Error('the watermark image must be a data URL');
+    if (watermark.position !== undefined) oneOf(watermark.position, STAMP_POSITIONS, 'watermark position');
+    if (watermark.opacity !== undefined) between(watermark.opacity, 0, 1, 'watermark opacity');
+  }
+  if (bates !== null) {
+    if (!isObject(bates)) throw new Error('bates must be an object or null');
+    between(bates.start, 0, Number.MAX_SAFE_INTEGER, 'Bates start');
+    if (bates.position !== undefined) oneOf(bates.position, STAMP_POSITIONS, 'Bates position');
+  }
+  text(stamp.pages, 'pages');
+  between(stamp.fontSize, 1, 200, 'font size');
+  return stamp;
+}
+
+/**
+ * Checks a step's options and merges them over the action's defaults, so a
+ * hand-edited or outdated recipe can't break the editor or the worker.
+ * @throws {Error} saying what's wrong
+ */
+export function normalizeStepOptions(type, options) {
+  if (!isObject(options)) throw new Error('it has no options');
+  switch (type) {
+    case 'resize_images':
+    case 'to_png':
+    case 'to_jpeg':
+    case 'to_webp':
+      return imageSettings(options);
+    case 'images_to_pdf': {
+      const layout = section(options.layout, DEFAULT_PAGE_LAYOUT, 'layout');
+      oneOf(layout.pageSize, ['image', 'custom', ...Object.keys(PAGE_SIZES)], 'page size');
+      oneOf(layout.orientation, ['auto', 'portrait', 'landscape'], 'orientation');
+      oneOf(layout.fit, ['fit', 'fill', 'center'], 'page fit');
+      if (layout.pageSize === 'custom') {
+        between(layout.width, 1, 5000, 'page width');
+        between(layout.height, 1, 5000, 'page height');
+      }
+      return { ...imageSettings(options), layout };
+    }
+    case 'merge_pdfs': {
+      const merge = { ...RECIPE_STEPS.merge_pdfs.defaults, ...options };
+      flag(merge.bookmarks, 'bookmarks');
+      return merge;
+    }
+    case 'stamp_pdf':
+      return stampOptions(options);
+    case 'compress_pdf': {
+      const compress = { preset: 'ebook', grayscale: false, rasterize: false, ...options };
+      oneOf(compress.preset, Object.keys(COMPRESSION_PRESETS), 'compression preset');
+      flag(compress.grayscale, 'grayscale');
+      flag(compress.rasterize, 'rasterize');
+      return compress;
+    }
+    case 'pdf_to_images': {
+      const images = { mode: 'render', ...DEFAULT_PDF_IMAGE_OPTIONS, ...options };
+      oneOf(images.mode, ['render', 'extract'], 'mode');
+      oneOf(images.format, Object.keys(IMAGE_FORMATS), 'image format');
+      if (images.mode === 'render') between(images.dpi, 72, 600, 'DPI');
+      between(images.quality, 0.01, 1, 'quality');
+      flag(images.transparent, 'transparent');
+      text(images.pages, 'pages');
+      return images;
+    }
+    default:
+      throw new Error(`unknown type "${type}"`);
+  }
+}
+
+// Recipe names double as output names, so keep them file-name safe.
+export const recipeFileName = (recipe) => recipe.name.trim().replace(/[\\/:*?"<>|]+/g, '-') || 'recipe';
+
+/**
+ * Checks recipes read from JSON (a single recipe or an array of them) and
+ * gives each a fresh id so imports never overwrite existing recipes.
+ * @throws {Error} with a message for the user when the shape is wrong
+ */
+export function parseRecipes(json) {
+  let data;
+  try {
+    data = JSON.parse(json);
+  } catch {
+    throw new Error('This file is not valid JSON.');
+  }
+  const list = Array.isArray(data) ? data : [data];
+  return list.map((recipe, i) => {
+    if (!recipe || typeof recipe.name !== 'string' || !Array.isArray(recipe.steps) || recipe.steps.length === 0) {
+      throw new Error(`Recipe ${i + 1} needs a name and at least one step.`);
+    }
+    return { id: createRecipeId(), name: recipe.name, steps: checkSteps(recipe) };
+  });
+}
+
+function checkSteps(recipe) {
+  return recipe.steps.map((step, j) => {
+    const { type, options } = isObject(step) ? step : {};
+    if (!RECIPE_STEPS[type]) throw new Error(`Step ${j + 1} of "${recipe.name}" has an unknown type "${type}".`);
+    try {
+      return { type, options: normalizeStepOptions(type, options) };
+    } catch (error) {
+      throw new Error(`Step ${j + 1} of "${recipe.name}" (${RECIPE_STEPS[type].label}): ${error.message}.`);
+    }
+  });
+}
+
+export const createRecipeId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+export function exportRecipes(recipes) {
+  return JSON.stringify(recipes.map(({ name, steps }) => ({ name, steps })), null, 2);
+}
+
+export function loadRecipes() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (!Array.isArray(saved)) return [];
+    // Recipes that no longer check out (e.g. edited by hand) are left out.
+    return saved.flatMap(recipe => {
+      try {
+        return [{ ...recipe, steps: checkSteps(recipe) }];
+      } catch {
+        return [];
+      }
+    });
+  } catch {
+    return [];
+  }
+}
+
+export function saveRecipes(recipes) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(recipes));
+}
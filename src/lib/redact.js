@@ -0,0 +1,290 @@
+import { AnnotationMode } from 'pdfjs-dist';
+import {
+  PDFArray, PDFDict, PDFDocument, PDFHexString, PDFName, PDFRawStream, PDFString, decodePDFRawStream, degrees,
+} from 'pdf-lib';
+import { canvasToBlob, createCanvas, openPdf } from './convert';
+import { removeUnusedObjects } from './compress';
+
+// Redaction that removes content instead of covering it: every page with a
+// redaction box is re-rendered as an image with the boxes painted in, and its
+// old content, annotations and form fields are dropped from the file. Pages
+// without boxes keep their vector content. Regions are { page, x, y, width,
+// height }: a page index and a box in fractions of the page as displayed,
+// from its top-left corner. Text searches also clean the document-level text
+// (properties, XMP, bookmark titles, named destinations) of their matches.
+
+export const REDACTION_DPI = [150, 200, 300];
+
+// How far below the baseline a text box reaches, as a share of the font size.
+const DESCENT = 0.25;
+// Character positions inside a text item are estimated from its width, so
+// search hits are widened by this share of the font size on both ends.
+const MATCH_PADDING = 0.2;
+
+// Bookmarks whose title matches a search keep their place under this title.
+const REDACTED_TITLE = '[Redacted]';
+
+// Page entries that belong to the old content (or describe it) and go with it.
+const REPLACED_PAGE_KEYS = ['Contents', 'Annots', 'Thumb', 'PieceInfo', 'Metadata', 'StructParents', 'B', 'Group', 'CropBox', 'BleedBox', 'TrimBox', 'ArtBox'];
+
+// The box around characters [from, to) of a pdfjs text item, in viewport
+// units, widened by `padding` font sizes along the text.
+function itemBox(viewport, item, from = 0, to = item.str.length, padding = 0) {
+  const [a, b, c, d, e, f] = item.transform;
+  const along = Math.hypot(a, b) || 1;
+  const size = Math.hypot(c, d) || item.height || along;
+  const [ux, uy] = [a / along, b / along];
+  const [vx, vy] = Math.hypot(c, d) ? [c / size, d / size] : [-uy, ux];
+  const length = item.str.length || 1;
+  const xs = [];
+  const ys = [];
+  for (const t of [(item.width * from) / length - padding * size, (item.width * to) / length + padding * size]) {
+    for (const s of [-DESCENT * size, size]) {
+      const [x, y] = viewport.convertToViewportPoint(e + ux * t + vx * s, f + uy * t + vy * s);
+      xs.push(x);
+      ys.push(y);
+    }
+  }
+  return [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)];
+}
+
+const toRegion = (page, viewport, [x0, y0, x1, y1]) => ({
+  page,
+  x: x0 / viewport.width,
+  y: y0 / viewport.height,
+  width: (x1 - x0) / viewport.width,
+  height: (y1 - y0) / viewport.height,
+});
+
+const decodeText = (value) => (value instanceof PDFString || value instanceof PDFHexString ? value.decodeText() : '');
+
+const overlaps = (p, q) => p.x < q.x + q.width && q.x < p.x + p.width && p.y < q.y + q.height && q.y < p.y + p.height;
+
+// Plain queries match whatever whitespace (or none) the PDF has between words.
+function searchPattern(query, { matchCase, regex }) {
+  const flags = matchCase ? 'g' : 'gi';
+  if (regex) return new RegExp(query, flags);
+  const escaped = query.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(escaped.replace(/\s+/g, '\\s*'), flags);
+}
+
+/**
+ * Finds `query` in the text of an open pdfjs document and returns a region
+ * for every match (one per text item a match spans).
+ * options: { matchCase, regex } (regex: `query` is a regular expression).
+ */
+export async function findTextMatches(pdf, query, options = {}, onProgress = () => {}) {
+  const pattern = searchPattern(query, options);
+  const regions = [];
+  for (let n = 1; n <= pdf.numPages; n++) {
+    const page = await pdf.getPage(n);
+    const viewport = page.getViewport({ scale: 1 });
+    const { items } = await page.getTextContent();
+    // The page's text with, for every character, the item and offset it came from.
+    let text = '';
+    const sources = [];
+    items.forEach((item, index) => {
+      if (item.str === undefined) return;
+      text += item.str;
+      for (let i = 0; i < item.str.length; i++) sources.push([index, i]);
+      if (item.hasEOL) {
+        text += '\n';
+        sources.push(null);
+      }
+    });
+    for (const match of text.matchAll(pattern)) {
+      const runs = new Map();
+      for (let k = match.index; k < match.index + match[0].length; k++) {
+        if (!sources[k]) continue;
+        const [index, i] = sources[k];
+        runs.set(index, [runs.get(index)?.[0] ?? i, i + 1]);
+      }
+      for (const [index, [from, to]] of runs) {
+        regions.push(toRegion(n - 1, viewport, itemBox(viewport, items[index], from, to, MATCH_PADDING)));
+      }
+    }
+    onProgress(n / pdf.numPages);
+  }
+  return regions;
+}
+
+function redactOutlineTitles(item, matches, seen = new Set()) {
+  for (; item instanceof PDFDict && !seen.has(item); item = item.lookup(PDFName.of('Next'))) {
+    seen.add(item);
+    if (matches(decodeText(item.lookup(PDFName.of('Title'))))) item.set(PDFName.of('Title'), PDFHexString.fromText(REDACTED_TITLE));
+    redactOutlineTitles(item.lookup(PDFName.of('First')), matches, seen);
+  }
+}
+
+function pruneNameTree(node, matches, seen = new Set()) {
+  if (!(node instanceof PDFDict) || seen.has(node)) return;
+  seen.add(node);
+  const names = node.lookup(PDFName.of('Names'));
+  if (names instanceof PDFArray) {
+    for (let i = (names.size() & ~1) - 2; i >= 0; i -= 2) {
+      if (!matches(decodeText(names.lookup(i)))) continue;
+      names.remove(i + 1);
+      names.remove(i);
+    }
+  }
+  const kids = node.lookup(PDFName.of('Kids'));
+  if (kids instanceof PDFArray) {
+    for (let i = 0; i < kids.size(); i++) pruneNameTree(kids.lookup(i), matches, seen);
+  }
+}
+
+// Text outside the pages that a search can't box: document properties and
+// named destinations that match are removed, XMP metadata that matches (or
+// can't be decoded) is dropped and matching bookmarks get a neutral title.
+// Links to a removed destination stop working.
+function redactDocumentText(pdfDoc, patterns) {
+  const matches = (text) => patterns.some(pattern => [...text.matchAll(pattern)].some(match => match[0].length > 0));
+  const { catalog } = pdfDoc;
+
+  const info = pdfDoc.getInfoDict();
+  for (const [key] of info.entries()) {
+    if (matches(decodeText(info.lookup(key)))) info.delete(key);
+  }
+
+  const xmp = catalog.lookup(PDFName.of('Metadata'));
+  if (xmp instanceof PDFRawStream) {
+    let text = null;
+    try {
+      text = new TextDecoder().decode(decodePDFRawStream(xmp).decode());
+    } catch {
+      // An unsupported filter: drop it rather than keep what can't be checked.
+    }
+    if (text === null || matches(text)) catalog.delete(PDFName.of('Metadata'));
+  }
+
+  const outlines = catalog.lookup(PDFName.of('Outlines'));
+  if (outlines instanceof PDFDict) redactOutlineTitles(outlines.lookup(PDFName.of('First')), matches);
+
+  const legacyDests = catalog.lookup(PDFName.of('Dests'));
+  if (legacyDests instanceof PDFDict) {
+    for (const [key] of legacyDests.entries()) {
+      if (matches(key.decodeText())) legacyDests.delete(key);
+    }
+  }
+  const names = catalog.lookup(PDFName.of('Names'));
+  if (names instanceof PDFDict) pruneNameTree(names.lookup(PDFName.of('Dests')), matches);
+}
+
+// Form fields whose widgets were on a redacted page are removed with it, or
+// their values would stay in the file.
+function pruneFields(context, fields, removedWidgets) {
+  for (let i = fields.size() - 1; i >= 0; i--) {
+    const ref = fields.get(i);
+    if (removedWidgets.has(ref)) {
+      fields.remove(i);
+      continue;
+    }
+    const field = context.lookup(ref);
+    const kids = field instanceof PDFDict ? field.lookup(PDFName.of('Kids')) : undefined;
+    if (kids instanceof PDFArray) {
+      pruneFields(context, kids, removedWidgets);
+      if (kids.size() === 0) fields.remove(i);
+    }
+  }
+}
+
+// Swaps a page's content for `image`, keeping the page object itself so
+// bookmarks and links to it still work. The page ends up unrotated, at its
+// displayed size.
+function replacePageContent(pdfDoc, page, image, [width, height], removedWidgets) {
+  page.node.Annots()?.asArray().forEach(ref => removedWidgets.add(ref));
+  REPLACED_PAGE_KEYS.forEach(key => page.node.delete(PDFName.of(key)));
+  page.node.set(PDFName.of('Resources'), pdfDoc.context.obj({}));
+  page.setRotation(degrees(0));
+  page.setMediaBox(0, 0, width, height);
+  page.drawImage(image, { x: 0, y: 0, width, height });
+}
+
+// Annotations (form fields included) are drawn into the image too.
+async function renderPage(page, scale) {
+  const viewport = page.getViewport({ scale });
+  const canvas = createCanvas(Math.round(viewport.width), Math.round(viewport.height));
+  await page.render({ canvasContext: canvas.getContext('2d'), viewport, annotationMode: AnnotationMode.ENABLE }).promise;
+  return canvas;
+}
+
+/**
+ * Re-opens the redacted PDF and checks that no text can be extracted from
+ * under any box and that the redacted pages carry no annotations.
+ * Throws if something is left.
+ */
+export async function verifyRedaction(bytes, regions) {
+  const pdf = await openPdf(bytes.slice());
+  try {
+    for (const index of new Set(regions.map(region => region.page))) {
+      const page = await pdf.getPage(index + 1);
+      const viewport = page.getViewport({ scale: 1 });
+      const boxes = regions.filter(region => region.page === index);
+      const { items } = await page.getTextContent();
+      const leaked = items.some(item => item.str?.trim() && boxes.some(box => overlaps(toRegion(index, viewport, itemBox(viewport, item)), box)));
+      if (leaked) throw new Error(`Verification failed: page ${index + 1} still has text under a redaction box.`);
+      if ((await page.getAnnotations()).length > 0) throw new Error(`Verification failed: page ${index + 1} still has annotations.`);
+    }
+  } finally {
+    await pdf.destroy();
+  }
+}
+
+/**
+ * Redacts a copy of a PDF (see the top of this file) and verifies the result.
+ * options: { dpi, quality } for the re-rendered pages, and `searches`
+ * ([{ query, matchCase, regex }], as given to findTextMatches) whose matches
+ * are also removed from the document-level text.
+ * The document's structure tree (tagged PDF) is dropped, as it can repeat the
+ * page text.
+ * @param {Blob} file
+ * @returns {Promise<{ bytes: Uint8Array, pages: number[] }>} pages = redacted page indices
+ */
+export async function redactPdf(file, regions, options = {}, onProgress = () => {}) {
+  const { dpi = 200, quality = 0.92, searches = [] } = options;
+  if (regions.length === 0) throw new Error('Nothing to redact.');
+  const patterns = searches.map(({ query, ...search }) => searchPattern(query, search));
+  const data = await file.arrayBuffer();
+  // pdfjs takes over the buffer it is given, so it gets a copy.
+  const pdf = await openPdf(data.slice(0));
+  const pdfDoc = await PDFDocument.load(data, { updateMetadata: false });
+  const pages = [...new Set(regions.map(region => region.page))].sort((a, b) => a - b);
+  const removedWidgets = new Set();
+
+  try {
+    for (const [done, index] of pages.entries()) {
+      if (index >= pdfDoc.getPageCount()) throw new Error(`The PDF has no page ${index + 1}.`);
+      const page = await pdf.getPage(index + 1);
+      const { width, height } = page.getViewport({ scale: 1 });
+      const canvas = await renderPage(page, dpi / 72);
+      const context = canvas.getContext('2d');
+      context.fillStyle = '#000';
+      // Rounded outwards, so partly covered pixels are covered.
+      for (const box of regions.filter(region => region.page === index)) {
+        const x = Math.floor(box.x * canvas.width);
+        const y = Math.floor(box.y * canvas.height);
+        context.fillRect(x, y, Math.ceil((box.x + box.width) * canvas.width) - x, Math.ceil((box.y + box.height) * canvas.height) - y);
+      }
+      const jpeg = await canvasToBlob(canvas, 'image/jpeg', quality);
+      const image = await pdfDoc.embedJpg(await jpeg.arrayBuffer());
+      replacePageContent(pdfDoc, pdfDoc.getPage(index), image, [width, height], removedWidgets);
+      onProgress((done + 1) / (pages.length + 1));
+    }
+  } finally {
+    await pdf.destroy();
+  }
+
+  const acroForm = pdfDoc.catalog.lookup(PDFName.of('AcroForm'));
+  const fields = acroForm instanceof PDFDict ? acroForm.lookup(PDFName.of('Fields')) : undefined;
+  if (fields instanceof PDFArray) pruneFields(pdfDoc.context, fields, removedWidgets);
+  pdfDoc.catalog.delete(PDFName.of('StructTreeRoot'));
+  pdfDoc.catalog.delete(PDFName.of('MarkInfo'));
+  if (patterns.length > 0) redactDocumentText(pdfDoc, patterns);
+  // The old content streams are only gone from the file once nothing points at them.
+  removeUnusedObjects(pdfDoc.context);
+  const bytes = await pdfDoc.save();
+
+  await verifyRedaction(bytes, regions);
+  onProgress(1);
+  return { bytes, pages };
+}
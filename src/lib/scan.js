@@ -0,0 +1,454 @@
+// Scanner mode for photos of paper: finds the page in the photo, straightens
+// it (perspective and skew) and cleans it up. Everything works on canvas
+// pixel data, on the main thread or in a worker. Corners are [x, y] pairs in
+// fractions of the photo, in the order top-left, top-right, bottom-right,
+// bottom-left.
+import { canvasToBlob, createCanvas } from './convert';
+
+export const SCAN_FILTERS = {
+  color: 'Color',
+  gray: 'Grayscale',
+  bw: 'Black & white',
+  none: 'Original',
+};
+
+export const DEFAULT_SCAN_OPTIONS = { filter: 'color', deskew: true };
+
+export const FULL_FRAME = [[0, 0], [1, 0], [1, 1], [0, 1]];
+
+// Long side of the copy the page edges are looked for in.
+const DETECT_SIZE = 320;
+// Only pages covering this share of the photo count as found.
+const PAGE_AREA = [0.1, 0.97];
+// Pixels (in the DETECT_SIZE copy) found corners are moved in by.
+const EDGE_INSET = 2;
+// Scans are at most about the size of an A4 page at 300 DPI.
+const MAX_SIDE = 3508;
+// Skew is looked for in a copy about this large, up to MAX_SKEW degrees either way.
+const SKEW_SIZE = 1000;
+const MAX_SKEW = 10;
+const SKEW_STEP = 0.2;
+const SKEW_MARGIN = 0.05;
+// Filters: the white point, and the darkest black point a page is given.
+const WHITE = 235;
+const MAX_BLACK = 100;
+
+const luma = (r, g, b) => (r * 77 + g * 150 + b * 29) >> 8;
+
+function grayscale({ data, width, height }) {
+  const gray = new Uint8ClampedArray(width * height);
+  for (let i = 0; i < gray.length; i++) gray[i] = luma(data[i * 4], data[i * 4 + 1], data[i * 4 + 2]);
+  return gray;
+}
+
+// Separable box blur; returns a new array.
+function boxBlur(values, width, height, radius) {
+  const pass = (input, output, length, count, step, stride) => {
+    for (let line = 0; line < count; line++) {
+      const start = line * stride;
+      let sum = 0;
+      for (let k = -radius; k <= radius; k++) sum += input[start + Math.min(Math.max(k, 0), length - 1) * step];
+      for (let i = 0; i < length; i++) {
+        output[start + i * step] = sum / (2 * radius + 1);
+        sum += input[start + Math.min(i + radius + 1, length - 1) * step] - input[start + Math.max(i - radius, 0) * step];
+      }
+    }
+  };
+  const temp = new Float32Array(values.length);
+  const out = new Float32Array(values.length);
+  pass(values, temp, width, height, 1, width);
+  pass(temp, out, height, width, width, 1);
+  return out;
+}
+
+// The threshold that best splits a histogram of 0-255 values in two (Otsu's method).
+function otsuThreshold(values) {
+  const histogram = new Array(256).fill(0);
+  for (const value of values) histogram[Math.round(value)]++;
+  const total = values.length;
+  const sumAll = histogram.reduce((sum, count, value) => sum + count * value, 0);
+  let below = 0, sumBelow = 0, best = 0, threshold = 128;
+  for (let t = 0; t < 256; t++) {
+    below += histogram[t];
+    sumBelow += histogram[t] * t;
+    const above = total - below;
+    if (below === 0 || above === 0) continue;
+    const between = below * above * (sumBelow / below - (sumAll - sumBelow) / above) ** 2;
+    if (between > best) [best, threshold] = [between, t];
+  }
+  return threshold;
+}
+
+function percentile(values, share) {
+  const histogram = new Array(256).fill(0);
+  for (const value of values) histogram[Math.round(value)]++;
+  let seen = 0;
+  for (let value = 0; value < 256; value++) {
+    seen += histogram[value];
+    if (seen >= share * values.length) return value;
+  }
+  return 255;
+}
+
+// The left- and rightmost pixel of every row of the largest area brighter
+// than `threshold`, and that area's size.
+function largestBrightArea(values, width, height, threshold) {
+  const labels = new Int32Array(values.length);
+  const stack = new Int32Array(values.length);
+  let best = 0, bestArea = 0;
+  for (let start = 0, label = 0; start < values.length; start++) {
+    if (labels[start] || values[start] <= threshold) continue;
+    label++;
+    let area = 0, top = 0;
+    stack[top++] = start;
+    labels[start] = label;
+    while (top > 0) {
+      const i = stack[--top];
+      area++;
+      const x = i % width;
+      for (const j of [x > 0 ? i - 1 : -1, x < width - 1 ? i + 1 : -1, i - width, i + width]) {
+        if (j < 0 || j >= values.length || labels[j] || values[j] <= threshold) continue;
+        labels[j] = label;
+        stack[top++] = j;
+      }
+    }
+    if (area > bestArea) [best, bestArea] = [label, area];
+  }
+  const points = [];
+  for (let y = 0; y < height; y++) {
+    let left = -1, right = -1;
+    for (let x = 0; x < width; x++) {
+      if (labels[y * width + x] !== best) continue;
+      if (left < 0) left = x;
+      right = x;
+    }
+    if (left >= 0) points.push([left, y], [right + 1, y], [left, y + 1], [right + 1, y + 1]);
+  }
+  return { points, area: bestArea };
+}
+
+const cross = (o, a, b) => (a[0] - o[0]) * (b[1] - o[1]) - (a[1] - o[1]) * (b[0] - o[0]);
+
+// Andrew's monotone chain.
+function convexHull(points) {
+  const sorted = [...points].sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+  const half = (list) => {
+    const hull = [];
+    for (const point of list) {
+      while (hull.length >= 2 && cross(hull[hull.length - 2], hull[hull.length - 1], point) <= 0) hull.pop();
+      hull.push(point);
+    }
+    hull.pop();
+    return hull;
+  };
+  return [...half(sorted), ...half(sorted.reverse())];
+}
+
+// Drops the corner that adds the least area until `count` are left.
+function simplifyPolygon(polygon, count) {
+  const points = [...polygon];
+  while (points.length > count) {
+    let smallest = Infinity, index = 0;
+    points.forEach((point, i) => {
+      const area = Math.abs(cross(points[(i + points.length - 1) % points.length], point, points[(i + 1) % points.length]));
+      if (area < smallest) [smallest, index] = [area, i];
+    });
+    points.splice(index, 1);
+  }
+  return points;
+}
+
+// Moves the corners of `quad` to where lines fitted through the outline
+// points along each of its sides meet; the hull alone cuts corners off.
+function refineCorners(quad, outline) {
+  const lines = quad.map((start, i) => {
+    const end = quad[(i + 1) % quad.length];
+    const [dx, dy] = [end[0] - start[0], end[1] - start[1]];
+    const length = Math.hypot(dx, dy);
+    // Points near the middle of the side, close to it.
+    const near = outline.filter(([x, y]) => {
+      const along = ((x - start[0]) * dx + (y - start[1]) * dy) / length ** 2;
+      return along > 0.15 && along < 0.85 && Math.abs(cross(start, end, [x, y])) / length < Math.max(2, length * 0.03);
+    });
+    if (near.length < 5) return { point: start, direction: [dx / length, dy / length] };
+    // Total least squares: through the mean, along the main axis of the points.
+    const mx = near.reduce((sum, [x]) => sum + x, 0) / near.length;
+    const my = near.reduce((sum, [, y]) => sum + y, 0) / near.length;
+    let sxx = 0, sxy = 0, syy = 0;
+    for (const [x, y] of near) {
+      sxx += (x - mx) ** 2;
+      sxy += (x - mx) * (y - my);
+      syy += (y - my) ** 2;
+    }
+    const angle = Math.atan2(2 * sxy, sxx - syy) / 2;
+    return { point: [mx, my], direction: [Math.cos(angle), Math.sin(angle)] };
+  });
+  return quad.map((corner, i) => {
+    const a = lines[(i + lines.length - 1) % lines.length];
+    const b = lines[i];
+    const det = a.direction[0] * b.direction[1] - a.direction[1] * b.direction[0];
+    if (Math.abs(det) < 1e-6) return corner;
+    const t = ((b.point[0] - a.point[0]) * b.direction[1] - (b.point[1] - a.point[1]) * b.direction[0]) / det;
+    return [a.point[0] + a.direction[0] * t, a.point[1] + a.direction[1] * t];
+  });
+}
+
+// Clockwise from the corner nearest the photo's top-left.
+function orderCorners(corners) {
+  const cx = corners.reduce((sum, [x]) => sum + x, 0) / corners.length;
+  const cy = corners.reduce((sum, [, y]) => sum + y, 0) / corners.length;
+  const sorted = [...corners].sort((a, b) => Math.atan2(a[1] - cy, a[0] - cx) - Math.atan2(b[1] - cy, b[0] - cx));
+  const first = sorted.reduce((best, corner, i) => (corner[0] + corner[1] < sorted[best][0] + sorted[best][1] ? i : best), 0);
+  return [...sorted.slice(first), ...sorted.slice(0, first)];
+}
+
+/**
+ * Looks for a sheet of paper in image pixel data ({ data, width, height }):
+ * the largest area clearly brighter than its surroundings, reduced to four
+ * corners. Returns the corners, or null if no page stands out.
+ */
+export function detectPageCorners(image) {
+  const { width, height } = image;
+  const gray = boxBlur(grayscale(image), width, height, 2);
+  // Halfway between the split and the background, so dimly lit parts of the page count too.
+  const threshold = otsuThreshold(gray);
+  let sum = 0, count = 0;
+  for (const value of gray) {
+    if (value > threshold) continue;
+    sum += value;
+    count++;
+  }
+  const { points, area } = largestBrightArea(gray, width, height, (threshold + sum / Math.max(count, 1)) / 2);
+  const share = area / (width * height);
+  if (share < PAGE_AREA[0] || share > PAGE_AREA[1]) return null;
+  const quad = simplifyPolygon(convexHull(points), 4);
+  if (quad.length < 4) return null;
+  const corners = refineCorners(quad, points);
+  // The blur and the low threshold make the area a little larger than the page.
+  const cx = corners.reduce((sum, [x]) => sum + x, 0) / 4;
+  const cy = corners.reduce((sum, [, y]) => sum + y, 0) / 4;
+  const clamp = (value, max) => Math.min(Math.max(value, 0), max);
+  return orderCorners(corners.map(([x, y]) => {
+    const inset = EDGE_INSET / Math.hypot(cx - x, cy - y);
+    return [clamp(x + (cx - x) * inset, width) / width, clamp(y + (cy - y) * inset, height) / height];
+  }));
+}
+
+// Decodes an image the way it is shown (phone photos carry their rotation as
+// EXIF data), at most `maxSide` pixels on its long side.
+async function loadPixels(file, maxSide) {
+  const bitmap = await createImageBitmap(file, { imageOrientation: 'from-image' });
+  const scale = Math.min(1, maxSide / Math.max(bitmap.width, bitmap.height));
+  const canvas = createCanvas(Math.max(1, Math.round(bitmap.width * scale)), Math.max(1, Math.round(bitmap.height * scale)));
+  const context = canvas.getContext('2d');
+  context.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+  bitmap.close();
+  return context.getImageData(0, 0, canvas.width, canvas.height);
+}
+
+/** detectPageCorners for an image file. */
+export async function detectCorners(file) {
+  return detectPageCorners(await loadPixels(file, DETECT_SIZE));
+}
+
+// Builds a width × height image whose pixel centres are looked up in
+// `source` by map(x, y) -> [sx, sy] (bilinear; white outside the source).
+function resample(source, width, height, map) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  const { data: from, width: sw, height: sh } = source;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const out = (y * width + x) * 4;
+      const [fx, fy] = map(x + 0.5, y + 0.5);
+      const px = fx - 0.5;
+      const py = fy - 0.5;
+      if (px < -1 || py < -1 || px > sw || py > sh) {
+        data.fill(255, out, out + 4);
+        continue;
+      }
+      const x0 = Math.floor(px);
+      const y0 = Math.floor(py);
+      const ax = px - x0;
+      const ay = py - y0;
+      const at = (sx, sy) => (Math.min(Math.max(sy, 0), sh - 1) * sw + Math.min(Math.max(sx, 0), sw - 1)) * 4;
+      const [p00, p10, p01, p11] = [at(x0, y0), at(x0 + 1, y0), at(x0, y0 + 1), at(x0 + 1, y0 + 1)];
+      for (let c = 0; c < 3; c++) {
+        const top = from[p00 + c] + (from[p10 + c] - from[p00 + c]) * ax;
+        const bottom = from[p01 + c] + (from[p11 + c] - from[p01 + c]) * ax;
+        data[out + c] = top + (bottom - top) * ay;
+      }
+      data[out + 3] = 255;
+    }
+  }
+  return { data, width, height };
+}
+
+// The projective transform taking the unit square to the quadrilateral
+// `corners` (Heckbert's square-to-quad mapping).
+function squareToQuad([[x0, y0], [x1, y1], [x2, y2], [x3, y3]]) {
+  const [dx1, dx2, dx3] = [x1 - x2, x3 - x2, x0 - x1 + x2 - x3];
+  const [dy1, dy2, dy3] = [y1 - y2, y3 - y2, y0 - y1 + y2 - y3];
+  const det = dx1 * dy2 - dx2 * dy1;
+  if (det === 0) throw new Error('The corners must outline a page (no three of them in a line).');
+  const g = (dx3 * dy2 - dx2 * dy3) / det;
+  const h = (dx1 * dy3 - dx3 * dy1) / det;
+  const [a, b, c] = [x1 - x0 + g * x1, x3 - x0 + h * x3, x0];
+  const [d, e, f] = [y1 - y0 + g * y1, y3 - y0 + h * y3, y0];
+  return (u, v) => {
+    const w = g * u + h * v + 1;
+    return [(a * u + b * v + c) / w, (d * u + e * v + f) / w];
+  };
+}
+
+// Cuts out the quadrilateral `corners` (in pixels) as an upright rectangle,
+// as large as its longest sides, scaled down to at most maxSide.
+function straighten(source, corners, maxSide) {
+  const length = ([ax, ay], [bx, by]) => Math.hypot(bx - ax, by - ay);
+  const [tl, tr, br, bl] = corners;
+  let width = Math.max(length(tl, tr), length(bl, br));
+  let height = Math.max(length(tl, bl), length(tr, br));
+  const scale = Math.min(1, maxSide / Math.max(width, height));
+  width = Math.max(1, Math.round(width * scale));
+  height = Math.max(1, Math.round(height * scale));
+  const map = squareToQuad(corners);
+  return resample(source, width, height, (x, y) => map(x / width, y / height));
+}
+
+/**
+ * The angle (radians, clockwise) text lines in image pixel data are tilted
+ * by, found as the angle at which dark pixels line up into the sharpest rows.
+ */
+export function estimateSkew(image) {
+  const { width, height } = image;
+  const step = Math.max(1, Math.ceil(Math.max(width, height) / SKEW_SIZE));
+  const gray = grayscale(image);
+  const threshold = otsuThreshold(gray);
+  const xs = [];
+  const ys = [];
+  // Edges of the page (or table peeking in at them) would outweigh the text.
+  const [mx, my] = [Math.round(width * SKEW_MARGIN), Math.round(height * SKEW_MARGIN)];
+  for (let y = my; y < height - my; y += step) {
+    for (let x = mx; x < width - mx; x += step) {
+      if (gray[y * width + x] > threshold) continue;
+      xs.push(x / step);
+      ys.push(y / step);
+    }
+  }
+  // Nothing to line up: a blank page, or a photo rather than text.
+  const sampled = Math.ceil((width - 2 * mx) / step) * Math.ceil((height - 2 * my) / step);
+  if (xs.length < 100 || xs.length > sampled / 2) return 0;
+  const offset = Math.ceil(Math.hypot(width, height) / step);
+  const rows = new Int32Array(offset * 2 + 1);
+  let best = 0, bestScore = -1;
+  for (let degrees = -MAX_SKEW; degrees <= MAX_SKEW + 1e-9; degrees += SKEW_STEP) {
+    const angle = (degrees * Math.PI) / 180;
+    const [sin, cos] = [Math.sin(angle), Math.cos(angle)];
+    rows.fill(0);
+    for (let i = 0; i < xs.length; i++) rows[Math.round(ys[i] * cos - xs[i] * sin) + offset]++;
+    let score = 0;
+    for (const count of rows) score += count * count;
+    // Ties go to the smaller correction.
+    if (score > bestScore || (score === bestScore && Math.abs(angle) < Math.abs(best))) [best, bestScore] = [angle, score];
+  }
+  return best;
+}
+
+// Turns an image by -angle around its centre, keeping its size.
+function rotate(image, angle) {
+  const [cx, cy] = [image.width / 2, image.height / 2];
+  const [sin, cos] = [Math.sin(angle), Math.cos(angle)];
+  return resample(image, image.width, image.height, (x, y) => [cx + (x - cx) * cos - (y - cy) * sin, cy + (x - cx) * sin + (y - cy) * cos]);
+}
+
+// The paper's brightness around every pixel, from the brightest pixels of a
+// coarse grid, so shadows and uneven light can be divided out.
+function paperBrightness(gray, width, height) {
+  const block = Math.max(8, Math.ceil(Math.max(width, height) / 40));
+  const columns = Math.ceil(width / block);
+  const rows = Math.ceil(height / block);
+  const grid = new Float32Array(columns * rows);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const cell = Math.floor(y / block) * columns + Math.floor(x / block);
+      grid[cell] = Math.max(grid[cell], gray[y * width + x]);
+    }
+  }
+  const smooth = boxBlur(boxBlur(grid, columns, rows, 1), columns, rows, 1);
+  const light = new Float32Array(width * height);
+  for (let y = 0; y < height; y++) {
+    const gy = Math.min(Math.max((y + 0.5) / block - 0.5, 0), rows - 1);
+    const r0 = Math.floor(gy);
+    const r1 = Math.min(r0 + 1, rows - 1);
+    for (let x = 0; x < width; x++) {
+      const gx = Math.min(Math.max((x + 0.5) / block - 0.5, 0), columns - 1);
+      const c0 = Math.floor(gx);
+      const c1 = Math.min(c0 + 1, columns - 1);
+      const top = smooth[r0 * columns + c0] + (smooth[r0 * columns + c1] - smooth[r0 * columns + c0]) * (gx - c0);
+      const bottom = smooth[r1 * columns + c0] + (smooth[r1 * columns + c1] - smooth[r1 * columns + c0]) * (gx - c0);
+      light[y * width + x] = Math.max(1, top + (bottom - top) * (gy - r0));
+    }
+  }
+  return light;
+}
+
+/**
+ * Cleans up page pixel data in place: `color` and `gray` even out the light
+ * and make the paper white, `bw` turns the page into black ink on white and
+ * `none` leaves it alone.
+ */
+export function applyScanFilter(image, filter) {
+  if (filter === 'none') return;
+  if (!SCAN_FILTERS[filter]) throw new Error(`Unknown scan filter "${filter}".`);
+  const { data, width, height } = image;
+  const gray = grayscale(image);
+  const light = paperBrightness(gray, width, height);
+  const even = new Uint8ClampedArray(gray.length);
+  for (let i = 0; i < gray.length; i++) even[i] = (gray[i] * 255) / light[i];
+
+  if (filter === 'bw') {
+    // Faint specks on an empty page shouldn't turn into ink.
+    const threshold = Math.min(otsuThreshold(even), 200);
+    for (let i = 0; i < even.length; i++) data.fill(even[i] <= threshold ? 0 : 255, i * 4, i * 4 + 3);
+    return;
+  }
+  const black = Math.min(percentile(even, 0.01), MAX_BLACK);
+  const levels = (value) => ((value - black) * 255) / (WHITE - black);
+  for (let i = 0; i < gray.length; i++) {
+    if (filter === 'gray') {
+      data.fill(levels(even[i]), i * 4, i * 4 + 3);
+    } else {
+      for (let c = 0; c < 3; c++) data[i * 4 + c] = levels((data[i * 4 + c] * 255) / light[i]);
+    }
+  }
+}
+
+/**
+ * Turns a photo of a page into a scan: cuts out and straightens the page
+ * outlined by options.corners (default: the whole photo), removes what's left
+ * of its skew (options.deskew) and applies options.filter (SCAN_FILTERS).
+ * Black-and-white scans are PNGs, the others JPEGs.
+ * options.maxSide limits the long side, e.g. for previews.
+ * @param {Blob} file a PNG, JPEG or other image the browser decodes
+ * @returns {Promise<Blob>}
+ */
+export async function scanImage(file, options = {}, onProgress = () => {}) {
+  const { corners = FULL_FRAME, filter, deskew, maxSide = MAX_SIDE } = { ...DEFAULT_SCAN_OPTIONS, ...options };
+  // Decoding more than twice the output size gains nothing.
+  const source = await loadPixels(file, maxSide * 2);
+  let page = straighten(source, corners.map(([x, y]) => [x * source.width, y * source.height]), maxSide);
+  onProgress(0.4);
+  if (deskew) {
+    const angle = estimateSkew(page);
+    if (angle !== 0) page = rotate(page, angle);
+  }
+  onProgress(0.6);
+  applyScanFilter(page, filter);
+  const canvas = createCanvas(page.width, page.height);
+  const context = canvas.getContext('2d');
+  const pixels = context.createImageData(page.width, page.height);
+  pixels.data.set(page.data);
+  context.putImageData(pixels, 0, 0);
+  const blob = await canvasToBlob(canvas, filter === 'bw' ? 'image/png' : 'image/jpeg', 0.9);
+  onProgress(1);
+  return blob;
+}
@@ -0,0 +1,94 @@
+// Saved signatures: PNG data URLs kept in localStorage, made by drawing,
+// typing or uploading (see SignModal). The canvas helpers need the main thread.
+
+const STORAGE_KEY = 'convertzz.signatures';
+// Saved signatures are scaled down to this width to stay well inside the localStorage quota.
+const MAX_WIDTH = 600;
+const TRIM_PADDING = 8;
+
+// Script-style system fonts; the first one installed is used.
+export const SIGNATURE_FONTS = {
+  script: { label: 'Script', family: "'Segoe Script', 'Brush Script MT', 'Snell Roundhand', 'URW Chancery L', cursive" },
+  handwriting: { label: 'Handwriting', family: "'Segoe Print', 'Bradley Hand', 'Comic Sans MS', cursive" },
+  italic: { label: 'Italic', family: "Georgia, 'Times New Roman', serif" },
+};
+
+export const INK_COLORS = { black: '#111111', blue: '#1d3fbb' };
+
+export const createSignatureId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+export function loadSignatures() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(saved) ? saved.filter(s => typeof s?.dataUrl === 'string') : [];
+  } catch {
+    return [];
+  }
+}
+
+export function saveSignatures(signatures) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(signatures));
+}
+
+// Copies `canvas` (or the part given by sx, sy, sw, sh) into a PNG data URL no wider than MAX_WIDTH.
+function toDataUrl(canvas, sx = 0, sy = 0, sw = canvas.width, sh = canvas.height) {
+  const scale = Math.min(1, MAX_WIDTH / sw);
+  const out = document.createElement('canvas');
+  out.width = Math.max(1, Math.round(sw * scale));
+  out.height = Math.max(1, Math.round(sh * scale));
+  out.getContext('2d').drawImage(canvas, sx, sy, sw, sh, 0, 0, out.width, out.height);
+  return out.toDataURL('image/png');
+}
+
+/**
+ * The inked part of a transparent canvas as a PNG data URL, or null if
+ * nothing was drawn.
+ */
+export function trimSignature(canvas) {
+  const { width, height } = canvas;
+  const { data } = canvas.getContext('2d').getImageData(0, 0, width, height);
+  let top = height, left = width, right = -1, bottom = -1;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (data[(y * width + x) * 4 + 3] === 0) continue;
+      top = Math.min(top, y);
+      bottom = Math.max(bottom, y);
+      left = Math.min(left, x);
+      right = Math.max(right, x);
+    }
+  }
+  if (right < 0) return null;
+  const x = Math.max(0, left - TRIM_PADDING);
+  const y = Math.max(0, top - TRIM_PADDING);
+  return toDataUrl(canvas, x, y, Math.min(width, right + TRIM_PADDING + 1) - x, Math.min(height, bottom + TRIM_PADDING + 1) - y);
+}
+
+/** Renders typed text in a script font (a key of SIGNATURE_FONTS). */
+export function typedSignature(text, font, color) {
+  const canvas = document.createElement('canvas');
+  const size = 96;
+  const context = canvas.getContext('2d');
+  const cssFont = `${size}px ${SIGNATURE_FONTS[font].family}`;
+  context.font = cssFont;
+  canvas.width = Math.ceil(context.measureText(text).width + size);
+  canvas.height = size * 2;
+  // Resizing the canvas resets its state.
+  context.font = cssFont;
+  context.fillStyle = color;
+  context.textBaseline = 'middle';
+  context.fillText(text, size / 2, size);
+  return trimSignature(canvas);
+}
+
+/** An uploaded image as a signature; transparency is kept. */
+export async function signatureFromImage(file) {
+  const bitmap = await createImageBitmap(file);
+  const canvas = document.createElement('canvas');
+  canvas.width = bitmap.width;
+  canvas.height = bitmap.height;
+  canvas.getContext('2d').drawImage(bitmap, 0, 0);
+  bitmap.close();
+  return toDataUrl(canvas);
+}
+
+export const blobFromDataUrl = async (dataUrl) => (await fetch(dataUrl)).blob();
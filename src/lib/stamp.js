@@ -0,0 +1,224 @@
+// Watermarks, headers/footers, Bates numbers and signatures drawn onto
+// existing PDF pages with pdf-lib. DOM-free like ./pdf.js.
+import { PDFDocument, StandardFonts, degrees, rgb } from 'pdf-lib';
+import { parsePageRanges } from './pageRanges.js';
+import { embedImage, encodableText } from './pdf.js';
+
+// Where a stamp sits on the page, as it is displayed.
+export const STAMP_POSITIONS = [
+  'top-left', 'top', 'top-right',
+  'left', 'center', 'right',
+  'bottom-left', 'bottom', 'bottom-right',
+];
+
+/**
+ * watermark: null, { type: 'text', text, fontSize, color } or { type: 'image', image, scale }
+ *   (`image` is a PNG/JPEG Blob, `scale` its width as a fraction of the page width),
+ *   both with opacity (0-1), rotation (degrees, counter-clockwise) and position.
+ * header/footer: { left, center, right } templates; tokens are {page}, {total},
+ *   {filename}, {date} and {bates}.
+ * bates: null or { prefix, start, digits, position }.
+ * pages: page spec the stamps go on ("" for all); {page} and {total} still
+ *   count every page. margin is in points.
+ */
+export const DEFAULT_STAMP_OPTIONS = {
+  watermark: null,
+  header: { left: '', center: '', right: '' },
+  footer: { left: '', center: '', right: '' },
+  bates: null,
+  pages: '',
+  fontSize: 10,
+  margin: 24,
+};
+
+// A signature's date stamp is this share of the signature's height, within DATE_SIZES points.
+const DATE_SIZE_RATIO = 0.3;
+const DATE_SIZES = [6, 14];
+
+const DEFAULT_WATERMARK = { fontSize: 72, color: '#ff0000', opacity: 0.3, rotation: 45, position: 'center', scale: 0.5 };
+
+function parseColor(hex) {
+  const match = /^#?([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(hex || '');
+  if (!match) return rgb(0, 0, 0);
+  return rgb(...match.slice(1).map(part => parseInt(part, 16) / 255));
+}
+
+export function formatBates({ prefix = '', digits = 6 }, number) {
+  return `${prefix}${String(number).padStart(parseInt(digits, 10) || 0, '0')}`;
+}
+
+export function fillStampTemplate(template, tokens) {
+  return template.replace(/\{(page|total|filename|date|bates)\}/g, (_, key) => String(tokens[key] ?? ''));
+}
+
+/**
+ * Lets stamps be placed in the page's displayed coordinates: pages with a
+ * /Rotate entry are drawn in unrotated user space, so positions and angles are
+ * mapped back through the rotation.
+ */
+function displayFrame(page) {
+  const box = page.getCropBox();
+  const rotation = ((page.getRotation().angle % 360) + 360) % 360;
+  const sideways = rotation % 180 !== 0;
+  const width = sideways ? box.height : box.width;
+  const height = sideways ? box.width : box.height;
+  const toUser = {
+    0: (x, y) => [x, y],
+    90: (x, y) => [box.width - y, x],
+    180: (x, y) => [box.width - x, box.height - y],
+    270: (x, y) => [y, box.height - x],
+  }[rotation];
+  return {
+    width,
+    height,
+    rotation,
+    toUser: (x, y) => {
+      const [ux, uy] = toUser(x, y);
+      return [box.x + ux, box.y + uy];
+    },
+  };
+}
+
+// Draws a w x h box (text or image) whose rotated bounding box sits at `position`.
+// `draw(x, y, angle)` receives the user-space origin and rotation.
+function placeBox(frame, { w, h, rotation = 0, position, margin }, draw) {
+  const rad = (rotation * Math.PI) / 180;
+  const cos = Math.cos(rad);
+  const sin = Math.sin(rad);
+  const boxWidth = Math.abs(w * cos) + Math.abs(h * sin);
+  const boxHeight = Math.abs(w * sin) + Math.abs(h * cos);
+
+  const [vertical, horizontal] = position.includes('-') ? position.split('-')
+    : ['top', 'bottom'].includes(position) ? [position, 'center']
+    : ['middle', position];
+  const cx = { left: margin + boxWidth / 2, center: frame.width / 2, right: frame.width - margin - boxWidth / 2 }[horizontal];
+  const cy = { top: frame.height - margin - boxHeight / 2, middle: frame.height / 2, bottom: margin + boxHeight / 2 }[vertical];
+  if (cx === undefined || cy === undefined) throw new Error(`Unknown position "${position}".`);
+
+  // Origin (bottom-left corner before rotation) that puts the box centre at (cx, cy).
+  const ox = cx - (w / 2) * cos + (h / 2) * sin;
+  const oy = cy - (w / 2) * sin - (h / 2) * cos;
+  const [x, y] = frame.toUser(ox, oy);
+  draw(x, y, degrees(rotation + frame.rotation));
+}
+
+function drawTextAt(page, frame, font, text, { size, color = rgb(0, 0, 0), opacity = 1, rotation = 0, position, margin }) {
+  text = encodableText(font, text);
+  if (!text.trim()) return;
+  const w = font.widthOfTextAtSize(text, size);
+  const h = font.heightAtSize(size, { descender: false });
+  placeBox(frame, { w, h, rotation, position, margin }, (x, y, rotate) => {
+    page.drawText(text, { x, y, size, font, color, opacity, rotate });
+  });
+}
+
+/**
+ * Stamps a copy of a PDF. See DEFAULT_STAMP_OPTIONS for `options`; missing
+ * keys take the defaults. Bates numbers count up from bates.start over the
+ * stamped pages, so a batch continues from the returned `nextBates`.
+ * @param {Blob & { name?: string }} file
+ * @param {object} options
+ * @returns {Promise<{ bytes: Uint8Array, nextBates: number }>}
+ */
+export async function stampPdf(file, options, onProgress = () => {}) {
+  options = { ...DEFAULT_STAMP_OPTIONS, ...options };
+  const pdfDoc = await PDFDocument.load(await file.arrayBuffer());
+  const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+  const boldFont = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
+  const total = pdfDoc.getPageCount();
+  const targets = new Set(options.pages?.trim()
+    ? parsePageRanges(options.pages, total)
+    : pdfDoc.getPageIndices());
+
+  const watermark = options.watermark && { ...DEFAULT_WATERMARK, ...options.watermark };
+  const watermarkImage = watermark?.type === 'image' ? await embedImage(pdfDoc, watermark.image) : null;
+  const size = parseFloat(options.fontSize) || DEFAULT_STAMP_OPTIONS.fontSize;
+  const margin = parseFloat(options.margin) || 0;
+  const date = options.date || new Date().toISOString().slice(0, 10);
+  let bates = options.bates ? parseInt(options.bates.start, 10) || 1 : 0;
+
+  for (const [index, page] of pdfDoc.getPages().entries()) {
+    if (!targets.has(index)) continue;
+    const frame = displayFrame(page);
+    const batesLabel = options.bates ? formatBates(options.bates, bates++) : '';
+    const tokens = { page: index + 1, total, filename: file.name || '', date, bates: batesLabel };
+
+    if (watermark?.type === 'text' && watermark.text) {
+      drawTextAt(page, frame, boldFont, watermark.text, {
+        size: parseFloat(watermark.fontSize),
+        color: parseColor(watermark.color),
+        opacity: parseFloat(watermark.opacity),
+        rotation: parseFloat(watermark.rotation) || 0,
+        position: watermark.position,
+        margin,
+      });
+    } else if (watermarkImage) {
+      const w = frame.width * (parseFloat(watermark.scale) || DEFAULT_WATERMARK.scale);
+      const h = w * (watermarkImage.height / watermarkImage.width);
+      placeBox(frame, { w, h, rotation: parseFloat(watermark.rotation) || 0, position: watermark.position, margin }, (x, y, rotate) => {
+        page.drawImage(watermarkImage, { x, y, width: w, height: h, rotate, opacity: parseFloat(watermark.opacity) });
+      });
+    }
+
+    for (const [band, vertical] of [['header', 'top'], ['footer', 'bottom']]) {
+      for (const horizontal of ['left', 'center', 'right']) {
+        const template = options[band]?.[horizontal];
+        if (!template) continue;
+        const position = horizontal === 'center' ? vertical : `${vertical}-${horizontal}`;
+        drawTextAt(page, frame, font, fillStampTemplate(template, tokens), { size, position, margin });
+      }
+    }
+
+    if (options.bates) {
+      drawTextAt(page, frame, boldFont, batesLabel, { size, position: options.bates.position || 'bottom-right', margin });
+    }
+    onProgress((index + 1) / total);
+  }
+
+  return { bytes: await pdfDoc.save(), nextBates: bates };
+}
+
+/**
+ * Places signature images on a copy of a PDF. Each placement is
+ * { page, image, x, y, width, height, date }: `page` is a page index, `image`
+ * a PNG/JPEG Blob, and the box is given in fractions of the page as displayed,
+ * from its top-left corner (as placed on a preview). `date`, if set, is written
+ * next to the signature: to its right, or below it when there's no room.
+ * @param {Blob} file
+ * @returns {Promise<Uint8Array>}
+ */
+export async function signPdf(file, placements, onProgress = () => {}) {
+  const pdfDoc = await PDFDocument.load(await file.arrayBuffer());
+  const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+  const pages = pdfDoc.getPages();
+  // A signature used several times is embedded once.
+  const images = new Map();
+
+  for (const [i, placement] of placements.entries()) {
+    const page = pages[placement.page];
+    if (!page) throw new Error(`The PDF has no page ${placement.page + 1}.`);
+    if (!images.has(placement.image)) images.set(placement.image, await embedImage(pdfDoc, placement.image));
+    const frame = displayFrame(page);
+    const rotate = degrees(frame.rotation);
+    const w = placement.width * frame.width;
+    const h = placement.height * frame.height;
+    const left = placement.x * frame.width;
+    const bottom = frame.height - (placement.y + placement.height) * frame.height;
+    const [x, y] = frame.toUser(left, bottom);
+    page.drawImage(images.get(placement.image), { x, y, width: w, height: h, rotate });
+
+    const date = placement.date && encodableText(font, placement.date);
+    if (date) {
+      const size = Math.min(Math.max(h * DATE_SIZE_RATIO, DATE_SIZES[0]), DATE_SIZES[1]);
+      const gap = size / 2;
+      const fitsRight = left + w + gap + font.widthOfTextAtSize(date, size) <= frame.width;
+      // Baseline level with the middle of the signature, or one line under it.
+      const [dx, dy] = fitsRight
+        ? frame.toUser(left + w + gap, bottom + (h - size * 0.7) / 2)
+        : frame.toUser(left, Math.max(bottom - gap - size * 0.7, 0));
+      page.drawText(date, { x: dx, y: dy, size, font, rotate });
+    }
+    onProgress((i + 1) / placements.length);
+  }
+  return await pdfDoc.save();
+}
@@ -0,0 +1,173 @@
+// Keeps the file queue and finished outputs in IndexedDB so they survive a
+// reload. Files and Blobs are stored as they are (IndexedDB clones them), so
+// nothing is re-encoded on the way in or out.
+
+const DB_NAME = 'convertzz';
+const DB_VERSION = 1;
+// History may use up to this share of the origin's quota; the queue is the
+// user's working set and is never evicted.
+const HISTORY_QUOTA_SHARE = 0.6;
+const HISTORY_LIMIT = 50;
+
+let dbPromise = null;
+// Queue files that are already stored, and their record ids.
+const fileIds = new WeakMap();
+const storedIds = new Set();
+
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const transactionDone = (tx) => new Promise((resolve, reject) => {
+  tx.oncomplete = () => resolve();
+  tx.onerror = () => reject(tx.error);
+  tx.onabort = () => reject(tx.error || new DOMException('Transaction aborted.', 'AbortError'));
+});
+
+function openDb() {
+  if (!dbPromise) {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      db.createObjectStore('queue', { keyPath: 'id' });
+      db.createObjectStore('state');
+      db.createObjectStore('history', { keyPath: 'id' }).createIndex('createdAt', 'createdAt');
+    };
+    dbPromise = promisify(request);
+    // Ask the browser not to clear our data under storage pressure; it may say no.
+    navigator.storage?.persist?.().catch(() => {});
+  }
+  return dbPromise;
+}
+
+const createId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+/**
+ * Reads the saved queue. infos are what saveQueue's `infoOf` returned for each file.
+ * @returns {Promise<{ files: File[], infos: Array, selected: number[] }>} selected as queue indices
+ */
+export async function loadQueue() {
+  const db = await openDb();
+  const tx = db.transaction(['queue', 'state'], 'readonly');
+  const [records, state] = await Promise.all([
+    promisify(tx.objectStore('queue').getAll()),
+    promisify(tx.objectStore('state').get('queue')),
+  ]);
+  const byId = new Map(records.map(record => [record.id, record]));
+  const order = (state?.order || []).filter(id => byId.has(id));
+  order.forEach(id => fileIds.set(byId.get(id).file, id));
+  // Records left behind by an interrupted save are dropped on the next one.
+  records.forEach(({ id }) => storedIds.add(id));
+  return {
+    files: order.map(id => byId.get(id).file),
+    infos: order.map(id => byId.get(id).info),
+    selected: (state?.selected || []).map(id => order.indexOf(id)).filter(i => i !== -1),
+  };
+}
+
+/**
+ * Saves the queue: stores files that are new since the last save (with
+ * `infoOf(file)`, any cloneable details to restore with them), deletes removed
+ * ones and records the order and selection.
+ */
+export async function saveQueue(files, selected, infoOf = () => undefined) {
+  const db = await openDb();
+  const ids = files.map(file => {
+    if (!fileIds.has(file)) fileIds.set(file, createId());
+    return fileIds.get(file);
+  });
+  const current = new Set(ids);
+  const tx = db.transaction(['queue', 'state'], 'readwrite');
+  const queue = tx.objectStore('queue');
+  const added = [];
+  files.forEach((file, i) => {
+    if (storedIds.has(ids[i])) return;
+    queue.put({ id: ids[i], file, info: infoOf(file) });
+    added.push(ids[i]);
+  });
+  const removed = [...storedIds].filter(id => !current.has(id));
+  removed.forEach(id => queue.delete(id));
+  tx.objectStore('state').put({ order: ids, selected: selected.map(i => ids[i]).filter(Boolean) }, 'queue');
+  await transactionDone(tx);
+  added.forEach(id => storedIds.add(id));
+  removed.forEach(id => storedIds.delete(id));
+}
+
+// Total size of the Blobs inside a value (job arguments hold the input files).
+function blobSize(value) {
+  if (value instanceof Blob) return value.size;
+  if (Array.isArray(value)) return value.reduce((sum, item) => sum + blobSize(item), 0);
+  if (value && typeof value === 'object') return Object.values(value).reduce((sum, item) => sum + blobSize(item), 0);
+  return 0;
+}
+
+/**
+ * Past jobs, newest first: { id, label, createdAt, op, args, archiveName, outputs: [{ name, blob }], size }.
+ */
+export async function listHistory() {
+  const db = await openDb();
+  const entries = await promisify(db.transaction('history').objectStore('history').index('createdAt').getAll());
+  return entries.reverse();
+}
+
+export async function deleteHistory(id) {
+  const db = await openDb();
+  const tx = db.transaction('history', 'readwrite');
+  tx.objectStore('history').delete(id);
+  await transactionDone(tx);
+}
+
+export async function clearHistory() {
+  const db = await openDb();
+  const tx = db.transaction('history', 'readwrite');
+  tx.objectStore('history').clear();
+  await transactionDone(tx);
+}
+
+// Deletes the oldest history entry; false when there is none left.
+async function evictOldest() {
+  const db = await openDb();
+  const tx = db.transaction('history', 'readwrite');
+  const cursor = await promisify(tx.objectStore('history').index('createdAt').openCursor());
+  if (!cursor) return false;
+  cursor.delete();
+  await transactionDone(tx);
+  return true;
+}
+
+/**
+ * Records a finished job so it can be downloaded or run again later. Oldest
+ * entries are evicted to stay within HISTORY_LIMIT and the history's share of
+ * the storage quota, or when the browser reports the quota is exceeded.
+ * @returns {Promise<boolean>} false if the entry is too large to keep at all
+ */
+export async function addHistory({ label, op, args, archiveName, outputs }) {
+  const size = blobSize(args) + outputs.reduce((sum, { blob }) => sum + blob.size, 0);
+  const entry = { id: createId(), label, createdAt: Date.now(), op, args, archiveName, outputs, size };
+
+  const estimate = await navigator.storage?.estimate?.();
+  const limit = estimate?.quota ? estimate.quota * HISTORY_QUOTA_SHARE : Infinity;
+  if (size > limit) return false;
+  const entries = await listHistory();
+  let used = entries.reduce((sum, e) => sum + e.size, 0);
+  let count = entries.length;
+  while (count > 0 && (used + size > limit || count >= HISTORY_LIMIT)) {
+    used -= entries[count - 1].size;
+    count--;
+    await evictOldest();
+  }
+
+  const db = await openDb();
+  for (;;) {
+    try {
+      const tx = db.transaction('history', 'readwrite');
+      tx.objectStore('history').put(entry);
+      await transactionDone(tx);
+      return true;
+    } catch (error) {
+      if (error?.name !== 'QuotaExceededError') throw error;
+      if (!(await evictOldest())) return false;
+    }
+  }
+}
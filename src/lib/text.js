@@ -0,0 +1,219 @@
+import { openPdf } from './convert';
+import { parsePageRanges } from './pageRanges';
+
+// Text extraction from pdfjs text content. Items are grouped into lines,
+// lines into paragraphs and headings, and two-column pages are read one
+// column at a time.
+
+export const TEXT_FORMATS = {
+  txt: { label: 'Plain text', extension: '.txt', type: 'text/plain;charset=utf-8' },
+  md: { label: 'Markdown', extension: '.md', type: 'text/markdown;charset=utf-8' },
+  html: { label: 'HTML', extension: '.html', type: 'text/html;charset=utf-8' },
+};
+
+const median = (values) => {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+};
+
+// pdfjs items in page space: x/y of the baseline start, width and font size.
+function toItems(textContent) {
+  return textContent.items
+    .filter(item => item.str !== undefined && item.str.trim() !== '')
+    .map(item => {
+      const [a, b, c, d, x, y] = item.transform;
+      return { str: item.str, x, y, width: item.width, size: Math.hypot(c, d) || Math.hypot(a, b) || item.height };
+    });
+}
+
+// Finds the x of a vertical gutter splitting the page into two columns, or null.
+// A gutter is a gap near the middle that only a few (full-width) items cross.
+function findGutter(items, pageWidth) {
+  if (items.length < 10) return null;
+  const step = 2;
+  const crossings = new Array(Math.ceil(pageWidth / step)).fill(0);
+  items.forEach(({ x, width }) => {
+    for (let i = Math.max(0, Math.floor(x / step)); i < Math.min(crossings.length, Math.ceil((x + width) / step)); i++) crossings[i]++;
+  });
+  const limit = Math.max(1, items.length * 0.05);
+  let best = null;
+  let start = null;
+  for (let i = Math.floor(crossings.length * 0.3); i <= Math.ceil(crossings.length * 0.7); i++) {
+    if (i < crossings.length && crossings[i] <= limit) {
+      if (start === null) start = i;
+    } else if (start !== null) {
+      if ((i - start) * step >= 12 && (!best || i - start > best.length)) best = { start, length: i - start };
+      start = null;
+    }
+  }
+  if (!best) return null;
+  const gutter = (best.start + best.length / 2) * step;
+  // Both sides need real content for this to be a column layout.
+  const left = items.filter(item => item.x + item.width <= gutter).length;
+  const right = items.filter(item => item.x >= gutter).length;
+  return left >= items.length * 0.2 && right >= items.length * 0.2 ? gutter : null;
+}
+
+// Groups items into lines (top to bottom), joining words with spaces where there is a gap.
+function buildLines(items) {
+  const sorted = [...items].sort((p, q) => q.y - p.y || p.x - q.x);
+  const lines = [];
+  for (const item of sorted) {
+    const line = lines[lines.length - 1];
+    if (line && Math.abs(line.y - item.y) <= Math.min(line.size, item.size) * 0.5) {
+      line.items.push(item);
+      line.size = Math.max(line.size, item.size);
+    } else {
+      lines.push({ y: item.y, size: item.size, items: [item] });
+    }
+  }
+  return lines.map(line => {
+    const parts = line.items.sort((p, q) => p.x - q.x);
+    let text = '';
+    let end = null;
+    for (const part of parts) {
+      if (end !== null && part.x - end > part.size * 0.15 && !text.endsWith(' ') && !part.str.startsWith(' ')) text += ' ';
+      text += part.str;
+      end = part.x + part.width;
+    }
+    return { y: line.y, size: line.size, x: parts[0].x, text: text.replace(/\s+/g, ' ').trim() };
+  });
+}
+
+// Splits lines into paragraphs at larger vertical gaps and font size changes.
+function buildBlocks(lines) {
+  const gaps = lines.slice(1).map((line, i) => lines[i].y - line.y).filter(gap => gap > 0);
+  const spacing = median(gaps) || 12;
+  const blocks = [];
+  lines.forEach((line, i) => {
+    const prev = lines[i - 1];
+    const block = blocks[blocks.length - 1];
+    const sameBlock = prev && block
+      && prev.y - line.y <= spacing * 1.4
+      && Math.abs(prev.size - line.size) <= Math.max(prev.size, line.size) * 0.15;
+    if (sameBlock) block.lines.push(line.text);
+    else blocks.push({ size: line.size, lines: [line.text] });
+  });
+  return blocks;
+}
+
+// Reading order for one page: full-width lines (crossing the gutter, or above
+// or below the columns) split the page into bands, and within a band the left
+// column is read before the right one.
+function pageBlocks(items, pageWidth) {
+  const gutter = findGutter(items, pageWidth);
+  if (gutter === null) return buildBlocks(buildLines(items));
+
+  const isLeft = (item) => item.x + item.width <= gutter;
+  const isRight = (item) => item.x >= gutter;
+  // The right column's extent bounds the two-column region; left-side lines
+  // above or below it (titles, short headings) are read as full width.
+  const rightItems = items.filter(isRight);
+  const top = Math.max(...rightItems.map(item => item.y + item.size));
+  const bottom = Math.min(...rightItems.map(item => item.y));
+  const inColumns = (item) => (isLeft(item) || isRight(item)) && item.y <= top && item.y >= bottom - item.size;
+
+  const full = buildLines(items.filter(item => !inColumns(item)));
+  const left = buildLines(items.filter(item => inColumns(item) && isLeft(item)));
+  const right = buildLines(items.filter(item => inColumns(item) && isRight(item)));
+
+  const blocks = [];
+  let run = [];
+  let above = Infinity;
+  for (const band of [...full, null]) {
+    const below = band ? band.y : -Infinity;
+    const inBand = (line) => line.y < above && line.y > below;
+    const columns = [left.filter(inBand), right.filter(inBand)];
+    if (columns.some(lines => lines.length > 0)) {
+      blocks.push(...buildBlocks(run), ...columns.flatMap(buildBlocks));
+      run = [];
+    }
+    if (band) run.push(band);
+    above = below;
+  }
+  blocks.push(...buildBlocks(run));
+  return blocks;
+}
+
+// Marks short blocks in a clearly larger font than the body text as headings,
+// with levels by size (largest is 1).
+function markHeadings(pages) {
+  const blocks = pages.flatMap(page => page.blocks);
+  const bodySize = median(blocks.flatMap(block => block.lines.map(() => block.size)));
+  const headingSizes = [...new Set(blocks
+    .filter(block => block.size >= bodySize * 1.2 && block.lines.length <= 3)
+    .map(block => Math.round(block.size)))].sort((a, b) => b - a);
+  blocks.forEach(block => {
+    const rank = headingSizes.indexOf(Math.round(block.size));
+    block.type = rank === -1 || block.lines.length > 3 ? 'paragraph' : 'heading';
+    if (block.type === 'heading') block.level = Math.min(rank + 1, 3);
+  });
+}
+
+/**
+ * Extracts structured text from a PDF.
+ * options: { pages: page spec ("" for all), password }
+ * @returns {Promise<Array<{ number: number, blocks: Array<{ type: 'heading'|'paragraph', level?: number, lines: string[] }> }>>}
+ */
+export async function extractPdfText(pdfFile, options = {}, onProgress = () => {}) {
+  const pdf = await openPdf(await pdfFile.arrayBuffer(), options.password);
+  try {
+    const numbers = options.pages?.trim()
+      ? parsePageRanges(options.pages, pdf.numPages).map(i => i + 1)
+      : Array.from({ length: pdf.numPages }, (_, i) => i + 1);
+    const pages = [];
+    for (const [index, number] of numbers.entries()) {
+      const page = await pdf.getPage(number);
+      // Text positions are in unrotated page space, so use that width for columns.
+      const [x0, , x1] = page.view;
+      const items = toItems(await page.getTextContent());
+      pages.push({ number, blocks: items.length ? pageBlocks(items, x1 - x0) : [] });
+      onProgress((index + 1) / numbers.length);
+    }
+    markHeadings(pages);
+    return pages;
+  } finally {
+    await pdf.destroy();
+  }
+}
+
+const escapeHtml = (text) => text.replace(/[&<>"]/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[ch]);
+
+/**
+ * Renders extracted pages as 'txt', 'md' or 'html'. Line breaks inside a
+ * paragraph are kept; `separators` adds a marker between pages.
+ */
+export function formatPdfText(pages, format, { separators = true, title = '' } = {}) {
+  if (format === 'html') {
+    const body = pages.map(({ number, blocks }) => {
+      const content = blocks.map(({ type, level, lines }) => (type === 'heading'
+        ? `<h${level}>${escapeHtml(lines.join(' '))}</h${level}>`
+        : `<p>${lines.map(escapeHtml).join('<br>\n')}</p>`)).join('\n');
+      return separators ? `<section id="page-${number}">\n${content}\n</section>` : content;
+    }).join(separators ? '\n<hr>\n' : '\n');
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+  }
+
+  const pageTexts = pages.map(({ number, blocks }) => {
+    const content = blocks.map(({ type, level, lines }) => {
+      if (format === 'md') {
+        return type === 'heading' ? `${'#'.repeat(level)} ${lines.join(' ')}` : lines.join('  \n');
+      }
+      return lines.join('\n');
+    }).join('\n\n');
+    if (!separators) return content;
+    return format === 'md' ? `<!-- Page ${number} -->\n\n${content}` : `--- Page ${number} ---\n\n${content}`;
+  });
+  return pageTexts.join(separators && format === 'md' ? '\n\n---\n\n' : '\n\n') + '\n';
+}
@@ -0,0 +1,105 @@
+import { Zip, ZipDeflate, ZipPassThrough, unzip } from 'fflate';
+
+// Already-compressed formats are stored as-is; deflating them again only costs time.
+const STORED_EXTENSIONS = /\.(pdf|jpe?g|png|webp|gif|zip)$/i;
+// Output chunks are rolled into Blob parts of this size so the browser can page them out.
+const PART_SIZE = 16 * 1024 * 1024;
+// Imported archives are unpacked in memory; bigger ones (or "ZIP bombs") are refused.
+const MAX_UNZIPPED_SIZE = 1024 * 1024 * 1024;
+const MAX_ENTRIES = 10000;
+
+export class ZipTooLargeError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ZipTooLargeError';
+  }
+}
+
+function uniqueName(name, usedNames) {
+  let candidate = name;
+  for (let n = 2; usedNames.has(candidate); n++) {
+    candidate = name.replace(/(\.[^/.]+)?$/, ext => ` (${n})${ext}`);
+  }
+  usedNames.add(candidate);
+  return candidate;
+}
+
+/**
+ * Streams entries into a ZIP archive.
+ * add(name, blob) reads the blob chunk by chunk; finish() resolves to the archive Blob.
+ */
+export function createZipArchive() {
+  const parts = [];
+  const usedNames = new Set();
+  let pending = [];
+  let pendingSize = 0;
+  let resolveArchive, rejectArchive;
+  const archive = new Promise((resolve, reject) => {
+    resolveArchive = resolve;
+    rejectArchive = reject;
+  });
+
+  const zip = new Zip((err, chunk, final) => {
+    if (err) return rejectArchive(err);
+    pending.push(chunk);
+    pendingSize += chunk.length;
+    if (pendingSize >= PART_SIZE || final) {
+      parts.push(new Blob(pending));
+      pending = [];
+      pendingSize = 0;
+    }
+    if (final) resolveArchive(new Blob(parts, { type: 'application/zip' }));
+  });
+
+  return {
+    async add(name, blob) {
+      const entryName = uniqueName(name, usedNames);
+      const entry = STORED_EXTENSIONS.test(entryName)
+        ? new ZipPassThrough(entryName)
+        : new ZipDeflate(entryName, { level: 6 });
+      zip.add(entry);
+      const reader = blob.stream().getReader();
+      for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        entry.push(value);
+      }
+      entry.push(new Uint8Array(0), true);
+    },
+    finish() {
+      zip.end();
+      return archive;
+    },
+  };
+}
+
+/**
+ * Reads every file out of a ZIP archive. Directory entries are dropped; names
+ * keep their folder path inside the archive, e.g. "scans/page-1.png".
+ * Throws a ZipTooLargeError, before inflating anything past the limit, when
+ * the sizes in the central directory add up to more than MAX_UNZIPPED_SIZE or
+ * there are more than MAX_ENTRIES files (fflate never inflates an entry past
+ * its listed size).
+ * @returns {Promise<Array<{ name: string, data: Uint8Array }>>}
+ */
+export async function readZipArchive(blob) {
+  const data = new Uint8Array(await blob.arrayBuffer());
+  let total = 0;
+  let count = 0;
+  let tooLarge = null;
+  const filter = ({ name, originalSize }) => {
+    if (tooLarge || name.endsWith('/')) return false;
+    total += originalSize;
+    count++;
+    if (count > MAX_ENTRIES) tooLarge = `more than ${MAX_ENTRIES} files`;
+    else if (total > MAX_UNZIPPED_SIZE) tooLarge = `more than ${MAX_UNZIPPED_SIZE / 1024 ** 3} GB unpacked`;
+    return !tooLarge;
+  };
+  const entries = await new Promise((resolve, reject) => {
+    unzip(data, { filter }, (err, result) => (err ? reject(err) : resolve(result)));
+  });
+  if (tooLarge) throw new ZipTooLargeError(`The archive is too large to open (${tooLarge}).`);
+  return Object.entries(entries)
+    .filter(([name]) => !name.endsWith('/'))
+    .map(([name, content]) => ({ name, data: content }));
+}
@@ -0,0 +1,236 @@
+import { dataURLFromImage, extractPdfImages, pdfToImages, rasterizeImages, rasterizePdf } from '../lib/convert';
+import { imagesToPdf, mergePdfs, organizePdfPages, splitPdf } from '../lib/pdf';
+import { writePdfMetadata } from '../lib/metadata';
+import { fillPdfForm } from '../lib/forms';
+import { signPdf, stampPdf } from '../lib/stamp';
+import { compressPdf } from '../lib/compress';
+import { redactPdf } from '../lib/redact';
+import { scanImage } from '../lib/scan';
+import { ocrFile } from '../lib/ocr';
+import { TEXT_FORMATS, extractPdfText, formatPdfText } from '../lib/text';
+import { DEFAULT_IMAGE_SETTINGS, IMAGE_FORMATS } from '../lib/imageSettings';
+import { RECIPE_STEPS, recipeStepJobs } from '../lib/recipes';
+
+// Batch operations handle each input on its own: `fn(input, { emit, progress })`
+// runs per input and a failure is reported instead of ending the job. Every
+// input gets a `report({ index, name, status, message, duration, size })`;
+// fn may return a message to report the input as skipped.
+async function eachInput(inputs, fn, { emit, progress, report }) {
+  for (const [index, input] of inputs.entries()) {
+    const { name } = input.file || input;
+    const started = performance.now();
+    let size = 0;
+    const context = {
+      emit: (outputName, blob) => {
+        size += blob.size;
+        emit(outputName, blob);
+      },
+      progress: p => progress((index + p) / inputs.length),
+    };
+    try {
+      const skipped = await fn(input, context);
+      report({ index, name, status: skipped ? 'skipped' : 'done', message: skipped || '', duration: performance.now() - started, size });
+    } catch (error) {
+      report({ index, name, status: 'error', message: error.message, duration: performance.now() - started, size: 0 });
+    }
+    progress((index + 1) / inputs.length);
+  }
+}
+
+// Each operation receives its arguments plus `emit(name, blob)` for finished
+// outputs, `progress(fraction)` for the jobs panel, `warn(message)` for
+// problems that don't stop the job and `report(result)` for the per-file
+// results of batch operations (see eachInput).
+const operations = {
+  async convert_images({ files, targetType, settings }, context) {
+    const { extension } = IMAGE_FORMATS[targetType];
+    await eachInput(files, async (file, { emit }) => {
+      const arrayBuffer = await dataURLFromImage(file, targetType, settings);
+      emit(file.name.replace(/\.[^/.]+$/, "") + extension, new Blob([arrayBuffer], { type: targetType }));
+    }, context);
+  },
+
+  // Untouched settings embed the original files (transcoding formats pdf-lib
+  // can't embed); otherwise each image is re-encoded first, PNGs as PNG and
+  // everything else as JPEG.
+  async images_to_pdf({ files, name, settings }, { emit, progress }) {
+    const reencode = settings.resize.mode !== 'none' || settings.quality !== DEFAULT_IMAGE_SETTINGS.quality;
+    let images;
+    if (reencode) {
+      images = [];
+      for (const file of files) {
+        const type = file.type === 'image/png' ? 'image/png' : 'image/jpeg';
+        images.push(new Blob([await dataURLFromImage(file, type, settings)], { type }));
+      }
+    } else {
+      images = await rasterizeImages(files);
+    }
+    const pdfBytes = await imagesToPdf(images, settings.layout, progress);
+    emit(name, new Blob([pdfBytes], { type: 'application/pdf' }));
+  },
+
+  // inputs: [{ file, corners }]; options: { filter, deskew, layout }. With a
+  // page layout the scans go into one PDF, otherwise each is its own image.
+  async scan_images({ inputs, name, options }, context) {
+    const { filter, deskew, layout } = options;
+    const scans = [];
+    await eachInput(inputs, async ({ file, corners }, { emit, progress }) => {
+      const scan = await scanImage(file, { corners, filter, deskew }, progress);
+      if (layout) scans.push(scan);
+      else emit(`${file.name.replace(/\.[^/.]+$/, '')}-scan${scan.type === 'image/png' ? '.png' : '.jpg'}`, scan);
+    }, context);
+    if (layout && scans.length > 0) context.emit(name, new Blob([await imagesToPdf(scans, layout)], { type: 'application/pdf' }));
+  },
+
+  async pdf_to_images({ file, baseName, options }, { emit, progress }) {
+    const { extension } = IMAGE_FORMATS[options.format];
+    await pdfToImages(file, options, ({ page, index, count, blob }) => {
+      emit(`${baseName}-page-${page}${extension}`, blob);
+      progress((index + 1) / count);
+    });
+  },
+
+  async extract_pdf_images({ file, baseName, options }, { emit, progress, warn }) {
+    const { extension } = IMAGE_FORMATS[options.format];
+    const found = await extractPdfImages(file, options, ({ page, number, blob }) => {
+      emit(`${baseName}-page-${page}-image-${number}${extension}`, blob);
+    }, progress);
+    if (found === 0) warn(`${file.name} has no embedded images on the selected pages.`);
+  },
+
+  async unlock_pdf({ file, password }, { emit, progress }) {
+    const bytes = await rasterizePdf(file, { password }, progress);
+    emit(file.name, new Blob([bytes], { type: 'application/pdf' }));
+  },
+
+  async merge_pdfs({ inputs, options, name }, { emit, progress, warn }) {
+    const { bytes, skipped } = await mergePdfs(inputs, options, progress);
+    skipped.forEach(({ reason }) => warn(`Skipped: ${reason}`));
+    emit(name, new Blob([bytes], { type: 'application/pdf' }));
+  },
+
+  async organize_pages({ sources, pages, name }, { emit, progress }) {
+    const resultBytes = await organizePdfPages(sources, pages, progress);
+    emit(name, new Blob([resultBytes], { type: 'application/pdf' }));
+  },
+
+  // Outputs keep the input names: the point is to send the cleaned copy on.
+  async edit_metadata({ files, fields, options }, context) {
+    await eachInput(files, async (file, { emit }) => {
+      const bytes = await writePdfMetadata(file, fields, options);
+      emit(file.name, new Blob([bytes], { type: 'application/pdf' }));
+    }, context);
+  },
+
+  // Bates numbers run on from one file to the next (a failed file uses none).
+  async stamp_pdfs({ files, options }, context) {
+    let { bates } = options;
+    await eachInput(files, async (file, { emit, progress }) => {
+      const result = await stampPdf(file, { ...options, bates }, progress);
+      if (bates) bates = { ...bates, start: result.nextBates };
+      emit(`${file.name.replace(/\.pdf$/i, '')}-stamped.pdf`, new Blob([result.bytes], { type: 'application/pdf' }));
+    }, context);
+  },
+
+  async sign_pdf({ file, placements }, { emit, progress }) {
+    const bytes = await signPdf(file, placements, progress);
+    emit(`${file.name.replace(/\.pdf$/i, '')}-signed.pdf`, new Blob([bytes], { type: 'application/pdf' }));
+  },
+
+  // regions: [{ page, x, y, width, height }]; the pages they are on are re-rendered as images.
+  async redact_pdf({ file, regions, options }, { emit, progress }) {
+    const { bytes } = await redactPdf(file, regions, options, progress);
+    emit(`${file.name.replace(/\.pdf$/i, '')}-redacted.pdf`, new Blob([bytes], { type: 'application/pdf' }));
+  },
+
+  // Files that don't get smaller are passed through unchanged (and reported as skipped).
+  async compress_pdfs({ files, options }, context) {
+    await eachInput(files, async (file, { emit, progress }) => {
+      const { bytes } = await compressPdf(file, options, progress);
+      const name = `${file.name.replace(/\.pdf$/i, '')}-compressed.pdf`;
+      if (bytes.length < file.size) {
+        emit(name, new Blob([bytes], { type: 'application/pdf' }));
+        return null;
+      }
+      emit(name, file);
+      return 'Could not be made smaller; the original is kept.';
+    }, context);
+  },
+
+  // inputs: [{ file, password }]; one text file per PDF.
+  async pdf_to_text({ inputs, options }, context) {
+    const { extension, type } = TEXT_FORMATS[options.format];
+    await eachInput(inputs, async ({ file, password }, { emit, progress }) => {
+      const pages = await extractPdfText(file, { pages: options.pages, password }, progress);
+      const title = file.name.replace(/\.pdf$/i, '');
+      emit(title + extension, new Blob([formatPdfText(pages, options.format, { separators: options.separators, title })], { type }));
+      // Still emitted, so page separators show which pages were empty.
+      if (!pages.some(page => page.blocks.length > 0)) return 'No text on the selected pages (scanned pages need OCR first).';
+      return null;
+    }, context);
+  },
+
+  // inputs: [{ file, password }]; options: { languages, pdf, text, hocr } picks the outputs per file.
+  async ocr({ inputs, options }, context) {
+    const langPath = import.meta.env.VITE_TESSDATA_PATH || undefined;
+    await eachInput(inputs, async ({ file, password }, { emit, progress }) => {
+      const result = await ocrFile(file, { ...options, password, langPath }, progress);
+      const base = file.name.replace(/\.[^/.]+$/, '');
+      if (result.pdf) emit(`${base}-ocr.pdf`, new Blob([result.pdf], { type: 'application/pdf' }));
+      if (result.text !== undefined) emit(`${base}.txt`, new Blob([result.text], { type: 'text/plain;charset=utf-8' }));
+      if (result.hocr) emit(`${base}.hocr`, new Blob([result.hocr], { type: 'text/html;charset=utf-8' }));
+    }, context);
+  },
+
+  // inputs: [{ name, values }], one filled copy of the same form each (one per CSV row in batches).
+  async fill_form({ file, inputs, options }, context) {
+    const bytes = await file.arrayBuffer();
+    await eachInput(inputs, async ({ name, values }, { emit }) => {
+      const filled = await fillPdfForm(bytes, values, options);
+      emit(name, new Blob([filled], { type: 'application/pdf' }));
+    }, context);
+  },
+
+  async split_pdf({ file, options }, { emit, progress }) {
+    const outputs = await splitPdf(file, options, progress);
+    outputs.forEach(({ name, bytes }) => emit(name, new Blob([bytes], { type: 'application/pdf' })));
+  },
+
+  // Runs the steps of a recipe back to back: each step's outputs (plus the
+  // files it doesn't handle) are the next step's inputs, and only the last
+  // step's files are emitted.
+  // Per-file problems inside a step are reported with the step they happened in.
+  async run_recipe({ files, steps, name }, { emit, progress, warn, report }) {
+    let current = files;
+    for (const [i, step] of steps.entries()) {
+      const { jobs, passThrough } = await recipeStepJobs(step, current, name);
+      if (jobs.length === 0) warn(`Step ${i + 1} (${RECIPE_STEPS[step.type].label}) was skipped: no files it can work on.`);
+      const outputs = [];
+      const collect = (outputName, blob) => outputs.push(new File([blob], outputName, { type: blob.type }));
+      for (const [j, { op, args }] of jobs.entries()) {
+        await operations[op](args, {
+          emit: collect,
+          progress: p => progress((i + (j + p) / jobs.length) / steps.length),
+          warn,
+          report: (result) => result.status !== 'done' && report({ ...result, index: null, message: `Step ${i + 1}: ${result.message}` }),
+        });
+      }
+      current = jobs.length === 0 ? current : [...outputs, ...passThrough];
+    }
+    current.forEach(file => emit(file.name, file));
+  },
+};
+
+self.onmessage = async ({ data: { id, op, args } }) => {
+  const emit = (name, blob) => self.postMessage({ id, type: 'output', name, blob });
+  const progress = (value) => self.postMessage({ id, type: 'progress', progress: value });
+  const warn = (message) => self.postMessage({ id, type: 'warning', message });
+  const report = (result) => self.postMessage({ id, type: 'result', result });
+  try {
+    if (!operations[op]) throw new Error(`Unknown operation "${op}".`);
+    await operations[op](args, { emit, progress, warn, report });
+    self.postMessage({ id, type: 'done' });
+  } catch (error) {
+    self.postMessage({ id, type: 'error', message: error.message });
+  }
+};